@@ -1,11 +1,21 @@
-import { httpServer } from "./index.js";
+import { httpServer, startCluster, stopServer, restoreRooms } from "./index.js";
 import { env } from "./config/env.js";
 import { connectDB } from "./config/db.js";
-connectDB().then(() => {
+connectDB().then(startCluster).then(restoreRooms).then(() => {
     httpServer.listen(env.PORT, () => {
         console.log("Server is running on port " + env.PORT);
     });
 }).catch((error) => {
-    console.error("MongoDB connection error:", error);
+    console.error("Server startup error:", error);
     process.exit(1);
-});
\ No newline at end of file
+});
+
+const shutdown = (signal) => {
+    console.log(`${signal} received, shutting down`);
+    stopServer().then(() => process.exit(0)).catch((error) => {
+        console.error("Server shutdown error:", error);
+        process.exit(1);
+    });
+};
+process.once("SIGTERM", shutdown);
+process.once("SIGINT", shutdown);
\ No newline at end of file
@@ -62,4 +62,18 @@ export const env = {
     REFRESH_TOKEN_SECRET: process.env.REFRESH_TOKEN_SECRET,
     REFRESH_TOKEN_EXPIRY: process.env.REFRESH_TOKEN_EXPIRY,
     NODE_ENV: process.env.NODE_ENV || "development",
+    // How long (ms) a disconnected player keeps their seat before being removed
+    RECONNECT_GRACE_PERIOD: parseInt(process.env.RECONNECT_GRACE_PERIOD ?? "30000"),
+    // Freeze the running game while a player is inside the grace period
+    PAUSE_ON_DISCONNECT: process.env.PAUSE_ON_DISCONNECT === "true",
+    // Directory for room snapshots used to restore live games after a restart (empty disables)
+    ROOM_SNAPSHOT_DIR: process.env.ROOM_SNAPSHOT_DIR ?? "data/rooms",
+    // Redis server shared by a cluster of game servers (empty runs a single node in memory;
+    // a cluster keeps room snapshots in Redis instead of ROOM_SNAPSHOT_DIR)
+    REDIS_URL: process.env.REDIS_URL || "",
+    // How long (ms) a quick-play player waits before free seats go to bots (negative never adds bots)
+    MATCHMAKING_BOT_DELAY: parseInt(process.env.MATCHMAKING_BOT_DELAY ?? "30000"),
+    // Leaderboard defaults (overridable per request)
+    LEADERBOARD_MIN_GAMES: parseInt(process.env.LEADERBOARD_MIN_GAMES ?? "5"),
+    LEADERBOARD_TIES: process.env.LEADERBOARD_TIES || "shared",
 }
\ No newline at end of file
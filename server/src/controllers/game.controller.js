@@ -0,0 +1,310 @@
+import { ApiError } from "../lib/ApiError.js";
+import { ApiResponse } from "../lib/ApiResponse.js";
+import { asyncHandler } from "../lib/asyncHandler.js";
+import { Game } from "../models/game.model.js";
+import { verifyDeal, hashServerSeed } from "../lib/fairness.js";
+import { foldGameEvents } from "../lib/gameEvents.js";
+import mongoose from "mongoose";
+
+
+const isValidObjectId = (id) =>
+    mongoose.Types.ObjectId.isValid(id);
+
+const parseDate = (value, field) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new ApiError(400, `Invalid ${field} date`);
+    }
+    return date;
+};
+
+const getMatchHistory = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const { result, from, to, opponent } = req.query;
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const skip = (page - 1) * limit;
+
+    const filter = { "participants.user": userId };
+
+    // 🏆 Won / lost (everyone tied on the top score shares rank 1 and won)
+    if (result !== undefined) {
+        if (!["won", "lost"].includes(result)) {
+            throw new ApiError(400, "Invalid result filter");
+        }
+        filter.participants = {
+            $elemMatch: { user: userId, rank: result === "won" ? 1 : { $ne: 1 } }
+        };
+    }
+
+    // 📅 Date range (on when the game ended)
+    if (from || to) {
+        filter.endedAt = {};
+        if (from) filter.endedAt.$gte = parseDate(from, "from");
+        if (to) filter.endedAt.$lte = parseDate(to, "to");
+    }
+
+    // 🤝 Only games shared with a specific opponent
+    if (opponent !== undefined) {
+        if (!isValidObjectId(opponent)) {
+            throw new ApiError(400, "Invalid opponent id");
+        }
+        filter["participants.user"] = {
+            $all: [userId, new mongoose.Types.ObjectId(opponent)]
+        };
+    }
+
+    const [games, total] = await Promise.all([
+        Game.find(filter)
+            .select("-rounds -events")
+            .sort({ endedAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        Game.countDocuments(filter)
+    ]);
+
+    const data = games.map(game => {
+        const me = game.participants.find(p => p.user?.equals(userId));
+        // A tie for first is a win for each of the tied players, not only the recorded winner
+        const topScore = Math.max(...game.participants.filter(p => !p.leftEarly).map(p => p.score));
+        return {
+            _id: game._id,
+            roomId: game.roomId,
+            result: !me.leftEarly && me.score === topScore ? "won" : "lost",
+            score: me.score,
+            rank: me.rank,
+            leftEarly: me.leftEarly,
+            participants: game.participants,
+            totalRounds: game.totalRounds,
+            maxRounds: game.maxRounds,
+            variant: game.variant,
+            endReason: game.endReason,
+            startedAt: game.startedAt,
+            endedAt: game.endedAt,
+            duration: game.duration
+        };
+    });
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                data,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            },
+            "Match history fetched successfully"
+        )
+    );
+});
+
+const getMatchDetails = asyncHandler(async (req, res) => {
+    const { gameId } = req.params;
+    const userId = req.user._id;
+
+    if (!isValidObjectId(gameId)) {
+        throw new ApiError(400, "Invalid game id");
+    }
+
+    const game = await Game.findOne({
+        _id: gameId,
+        "participants.user": userId
+    })
+        .populate("participants.user", "username avatar")
+        .lean();
+
+    if (!game) {
+        throw new ApiError(404, "Game not found");
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, game, "Match details fetched successfully")
+    );
+});
+
+// Games recorded before guesses were stored per guesser only kept the Mantri's guess
+const getRoundGuesses = (round) => {
+    if (round.guesses?.length) {
+        return round.guesses;
+    }
+    if (!round.mantriId) {
+        return [];
+    }
+    return [{
+        guesserId: round.mantriId,
+        role: "Mantri",
+        targetRole: "Chor",
+        attempts: round.guessedPlayerId ? [round.guessedPlayerId] : [],
+        guessedAfter: round.timedOut ? null : round.roundDuration,
+        guessedPlayerId: round.guessedPlayerId,
+        isCorrect: round.isCorrect
+    }];
+};
+
+// Round-by-round playback of a recorded game
+const getMatchReplay = asyncHandler(async (req, res) => {
+    const { gameId } = req.params;
+    const userId = req.user._id;
+
+    if (!isValidObjectId(gameId)) {
+        throw new ApiError(400, "Invalid game id");
+    }
+
+    const game = await Game.findOne({
+        _id: gameId,
+        "participants.user": userId
+    }).lean();
+
+    if (!game) {
+        throw new ApiError(404, "Game not found");
+    }
+
+    const players = game.participants.map(participant => ({
+        playerId: participant.playerId || participant.user.toString(),
+        name: participant.name,
+        isBot: participant.isBot,
+        score: participant.score,
+        rank: participant.rank,
+        leftEarly: participant.leftEarly
+    }));
+
+    // Running totals after each round
+    const totals = Object.fromEntries(players.map(player => [player.playerId, 0]));
+
+    const rounds = game.rounds.map(round => {
+        const scores = round.scores || {};
+        Object.entries(scores).forEach(([playerId, score]) => {
+            totals[playerId] = (totals[playerId] || 0) + score;
+        });
+
+        return {
+            round: round.round,
+            cards: round.cards,
+            guesses: getRoundGuesses(round),
+            emotes: round.emotes || [],
+            timedOut: round.timedOut,
+            roundDuration: round.roundDuration,
+            scores,
+            totals: { ...totals },
+            playedAt: round.playedAt
+        };
+    });
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                _id: game._id,
+                roomId: game.roomId,
+                variant: game.variant,
+                maxRounds: game.maxRounds,
+                totalRounds: game.totalRounds,
+                endReason: game.endReason,
+                startedAt: game.startedAt,
+                endedAt: game.endedAt,
+                duration: game.duration,
+                winner: game.winner,
+                players,
+                rounds
+            },
+            "Match replay fetched successfully"
+        )
+    );
+});
+
+// Audit trail: the game's event log and the state it folds into
+const getMatchEvents = asyncHandler(async (req, res) => {
+    const { gameId } = req.params;
+    const userId = req.user._id;
+
+    if (!isValidObjectId(gameId)) {
+        throw new ApiError(400, "Invalid game id");
+    }
+
+    const game = await Game.findOne({
+        _id: gameId,
+        "participants.user": userId
+    })
+        .select("events")
+        .lean();
+
+    if (!game) {
+        throw new ApiError(404, "Game not found");
+    }
+
+    const events = game.events || [];
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                events,
+                state: foldGameEvents(events)
+            },
+            "Match events fetched successfully"
+        )
+    );
+});
+
+// Re-run every recorded deal from the revealed seed
+const verifyMatch = asyncHandler(async (req, res) => {
+    const { gameId } = req.params;
+    const userId = req.user._id;
+
+    if (!isValidObjectId(gameId)) {
+        throw new ApiError(400, "Invalid game id");
+    }
+
+    const game = await Game.findOne({
+        _id: gameId,
+        "participants.user": userId
+    })
+        .select("fairness rounds")
+        .lean();
+
+    if (!game) {
+        throw new ApiError(404, "Game not found");
+    }
+
+    if (!game.fairness?.serverSeed) {
+        throw new ApiError(400, "This game was played before deals were seeded");
+    }
+
+    const { algorithm, seedHash, serverSeed, deck } = game.fairness;
+
+    const rounds = game.rounds.map(round => ({
+        round: round.round,
+        verified: verifyDeal({
+            serverSeed,
+            seedHash,
+            deck,
+            round: round.round,
+            dealOrder: round.dealOrder.map(id => id.toString()),
+            cards: round.cards
+        })
+    }));
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                algorithm,
+                seedHash,
+                serverSeed,
+                seedMatchesHash: hashServerSeed(serverSeed) === seedHash,
+                rounds,
+                verified: rounds.every(round => round.verified)
+            },
+            "Match verified successfully"
+        )
+    );
+});
+
+
+export { getMatchHistory, getMatchDetails, getMatchReplay, getMatchEvents, verifyMatch }
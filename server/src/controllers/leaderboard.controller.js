@@ -0,0 +1,202 @@
+import { ApiError } from "../lib/ApiError.js";
+import { ApiResponse } from "../lib/ApiResponse.js";
+import { asyncHandler } from "../lib/asyncHandler.js";
+import { DEFAULT_RATING } from "../lib/rating.js";
+import { Game } from "../models/game.model.js";
+import { User } from "../models/user.model.js";
+import { env } from "../config/env.js";
+
+
+const PERIODS = {
+    all: null,
+    weekly: 7 * 24 * 60 * 60 * 1000,
+    monthly: 30 * 24 * 60 * 60 * 1000
+};
+
+const SORT_FIELDS = {
+    score: "totalScore",
+    winRate: "winRate",
+    rating: "rating"
+};
+
+// How equal values are ordered: shared ranks, or broken by a secondary key
+const TIE_BREAKERS = {
+    shared: null,
+    games: { games: -1 },
+    recent: { lastPlayedAt: -1 }
+};
+
+/**
+ * Parse and validate leaderboard query options
+ */
+const parseLeaderboardQuery = (query) => {
+    const period = query.period || "all";
+    const sortBy = query.sortBy || "score";
+    const ties = query.ties || env.LEADERBOARD_TIES;
+    const minGames = query.minGames !== undefined
+        ? parseInt(query.minGames)
+        : env.LEADERBOARD_MIN_GAMES;
+
+    if (!(period in PERIODS)) {
+        throw new ApiError(400, "Invalid period");
+    }
+    if (!(sortBy in SORT_FIELDS)) {
+        throw new ApiError(400, "Invalid sort field");
+    }
+    if (!(ties in TIE_BREAKERS)) {
+        throw new ApiError(400, "Invalid tie-breaking mode");
+    }
+    if (Number.isNaN(minGames) || minGames < 0) {
+        throw new ApiError(400, "Invalid minimum games");
+    }
+
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(parseInt(query.limit) || 10, 50);
+
+    return { period, sortBy, ties, minGames, page, limit };
+};
+
+/**
+ * Aggregate recorded games into a ranked, paginated leaderboard
+ * @param {Object} options - Parsed query options
+ * @param {Array} [userIds] - Restrict the board to these users (friends view)
+ */
+const buildLeaderboard = async ({ period, sortBy, ties, minGames, page, limit }, userIds = null) => {
+    const skip = (page - 1) * limit;
+    const sortField = SORT_FIELDS[sortBy];
+    const tieBreaker = TIE_BREAKERS[ties];
+
+    // Bot games are unrated practice
+    const match = { hasBots: { $ne: true } };
+    if (PERIODS[period]) {
+        match.endedAt = { $gte: new Date(Date.now() - PERIODS[period]) };
+    }
+    if (userIds) {
+        match["participants.user"] = { $in: userIds };
+    }
+
+    const participantMatch = userIds
+        ? [{ $match: { "participants.user": { $in: userIds } } }]
+        : [];
+
+    // Shared ranks use $rank on the sort field alone; otherwise every row gets its own position
+    const rankStage = tieBreaker
+        ? {
+            $setWindowFields: {
+                sortBy: { [sortField]: -1, ...tieBreaker, _id: 1 },
+                output: { rank: { $documentNumber: {} } }
+            }
+        }
+        : {
+            $setWindowFields: {
+                sortBy: { [sortField]: -1 },
+                output: { rank: { $rank: {} } }
+            }
+        };
+
+    const [result] = await Game.aggregate([
+        { $match: match },
+        { $unwind: "$participants" },
+        ...participantMatch,
+        {
+            $group: {
+                _id: "$participants.user",
+                games: { $sum: 1 },
+                wins: {
+                    $sum: { $cond: [{ $eq: ["$winner", "$participants.user"] }, 1, 0] }
+                },
+                totalScore: { $sum: "$participants.score" },
+                lastPlayedAt: { $max: "$endedAt" }
+            }
+        },
+        {
+            $match: { games: { $gte: minGames } }
+        },
+        {
+            $lookup: {
+                from: "users",
+                localField: "_id",
+                foreignField: "_id",
+                as: "user"
+            }
+        },
+        {
+            $unwind: "$user"
+        },
+        {
+            $project: {
+                _id: 1,
+                username: "$user.username",
+                avatar: "$user.avatar",
+                rating: { $ifNull: ["$user.rating", DEFAULT_RATING] },
+                games: 1,
+                wins: 1,
+                winRate: { $round: [{ $divide: ["$wins", "$games"] }, 4] },
+                totalScore: 1,
+                lastPlayedAt: 1
+            }
+        },
+        rankStage,
+        {
+            $sort: { rank: 1, _id: 1 }
+        },
+        {
+            $facet: {
+                data: [
+                    { $skip: skip },
+                    { $limit: limit }
+                ],
+                totalCount: [
+                    { $count: "total" }
+                ]
+            }
+        },
+        {
+            $project: {
+                data: 1,
+                total: {
+                    $ifNull: [{ $arrayElemAt: ["$totalCount.total", 0] }, 0]
+                }
+            }
+        }
+    ]);
+
+    return {
+        data: result.data,
+        pagination: {
+            page,
+            limit,
+            total: result.total,
+            totalPages: Math.ceil(result.total / limit)
+        }
+    };
+};
+
+const getGlobalLeaderboard = asyncHandler(async (req, res) => {
+    const options = parseLeaderboardQuery(req.query);
+    const leaderboard = await buildLeaderboard(options);
+
+    return res.status(200).json(
+        new ApiResponse(200, leaderboard, "Leaderboard fetched successfully")
+    );
+});
+
+const getFriendsLeaderboard = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const options = parseLeaderboardQuery(req.query);
+
+    const user = await User.findById(userId).select("friends").lean();
+    if (!user) {
+        throw new ApiError(404, "User not found");
+    }
+
+    // Friends plus the requesting user, so they can see where they stand
+    const leaderboard = await buildLeaderboard(options, [...user.friends, userId]);
+
+    return res.status(200).json(
+        new ApiResponse(200, leaderboard, "Friends leaderboard fetched successfully")
+    );
+});
+
+
+export { getGlobalLeaderboard, getFriendsLeaderboard }
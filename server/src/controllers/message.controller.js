@@ -0,0 +1,195 @@
+import { ApiError } from "../lib/ApiError.js";
+import { ApiResponse } from "../lib/ApiResponse.js";
+import { asyncHandler } from "../lib/asyncHandler.js";
+import { getRelationship, getBlockedAmong } from "../lib/relationships.js";
+import { playerChannel } from "../lib/gameManager.js";
+import { Conversation } from "../models/conversation.model.js";
+import { Message } from "../models/message.model.js";
+import mongoose from "mongoose";
+
+
+const isValidObjectId = (id) =>
+    mongoose.Types.ObjectId.isValid(id);
+
+/**
+ * Make sure the other user exists and neither of the two blocked the other
+ */
+const checkRelationship = async (userId, friendId) => {
+    if (!isValidObjectId(friendId)) {
+        throw new ApiError(400, "Invalid user id");
+    }
+
+    const relationship = await getRelationship(userId, friendId);
+    if (!relationship.exists) {
+        throw new ApiError(404, "User not found");
+    }
+    if (relationship.blocked) {
+        throw new ApiError(403, "You cannot message this user");
+    }
+    return relationship;
+};
+
+const getConversations = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+
+    const conversations = await Conversation.find({ participants: userId })
+        .sort({ updatedAt: -1 })
+        .populate("participants", "username avatar")
+        .lean();
+
+    const otherOf = (conversation) =>
+        conversation.participants.find(participant => !participant._id.equals(userId));
+
+    // 🚫 Conversations with blocked users disappear
+    const blocked = await getBlockedAmong(
+        userId.toString(),
+        conversations.map(conversation => otherOf(conversation)?._id.toString()).filter(Boolean)
+    );
+
+    const data = conversations
+        .filter(conversation => otherOf(conversation) && !blocked.has(otherOf(conversation)._id.toString()))
+        .map(conversation => ({
+            _id: conversation._id,
+            friend: otherOf(conversation),
+            lastMessage: conversation.lastMessage,
+            unreadCount: conversation.unreadCounts?.[userId.toString()] || 0,
+            updatedAt: conversation.updatedAt
+        }));
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                data,
+                unreadCount: data.reduce((total, conversation) => total + conversation.unreadCount, 0)
+            },
+            "Conversations fetched successfully"
+        )
+    );
+});
+
+const getMessages = asyncHandler(async (req, res) => {
+    const { friendId } = req.params;
+    const userId = req.user._id;
+
+    await checkRelationship(userId, friendId);
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 30, 100);
+    const skip = (page - 1) * limit;
+
+    const conversation = await Conversation.findOne({
+        pairKey: Conversation.pairKeyOf(userId, friendId)
+    }).select("_id").lean();
+
+    const [messages, total] = conversation
+        ? await Promise.all([
+            Message.find({ conversation: conversation._id })
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            Message.countDocuments({ conversation: conversation._id })
+        ])
+        : [[], 0];
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                // Newest first
+                data: messages,
+                conversationId: conversation?._id ?? null,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            },
+            "Messages fetched successfully"
+        )
+    );
+});
+
+const sendMessage = asyncHandler(async (req, res) => {
+    const { friendId } = req.params;
+    const { text } = req.body;
+    const userId = req.user._id;
+
+    const relationship = await checkRelationship(userId, friendId);
+    if (!relationship.friends) {
+        throw new ApiError(403, "You can only message friends");
+    }
+
+    const sentAt = new Date();
+    const conversation = await Conversation.findOneAndUpdate(
+        { pairKey: Conversation.pairKeyOf(userId, friendId) },
+        {
+            $setOnInsert: {
+                participants: [userId.toString(), friendId].sort()
+            },
+            $set: {
+                lastMessage: { text, sender: userId, sentAt }
+            },
+            $inc: { [`unreadCounts.${friendId}`]: 1 }
+        },
+        { upsert: true, new: true }
+    );
+
+    const message = await Message.create({
+        conversation: conversation._id,
+        sender: userId,
+        text
+    });
+
+    // 📨 Live delivery to the friend, and to the sender's other tabs
+    const io = req.app.locals.io;
+    if (io) {
+        io.to([playerChannel(friendId), playerChannel(userId.toString())]).emit("directMessage", {
+            message: message.toObject(),
+            conversationId: conversation._id,
+            from: { _id: userId, username: req.user.username },
+            to: friendId
+        });
+    }
+
+    return res.status(201).json(
+        new ApiResponse(201, message, "Message sent successfully")
+    );
+});
+
+const markConversationRead = asyncHandler(async (req, res) => {
+    const { friendId } = req.params;
+    const userId = req.user._id;
+
+    if (!isValidObjectId(friendId)) {
+        throw new ApiError(400, "Invalid user id");
+    }
+
+    const result = await Conversation.updateOne(
+        { pairKey: Conversation.pairKeyOf(userId, friendId) },
+        { $set: { [`unreadCounts.${userId}`]: 0 } }
+    );
+
+    if (result.matchedCount === 0) {
+        throw new ApiError(404, "Conversation not found");
+    }
+
+    // 👀 Read receipt for the friend, badge update for the reader's other tabs
+    const io = req.app.locals.io;
+    if (io) {
+        io.to([playerChannel(friendId), playerChannel(userId.toString())]).emit("directMessagesRead", {
+            readerId: userId,
+            friendId,
+            readAt: new Date()
+        });
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, null, "Conversation marked as read")
+    );
+});
+
+
+export { getConversations, getMessages, sendMessage, markConversationRead }
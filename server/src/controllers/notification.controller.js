@@ -0,0 +1,110 @@
+import { ApiError } from "../lib/ApiError.js";
+import { ApiResponse } from "../lib/ApiResponse.js";
+import { asyncHandler } from "../lib/asyncHandler.js";
+import { Notification } from "../models/notification.model.js";
+import mongoose from "mongoose";
+
+
+const isValidObjectId = (id) =>
+    mongoose.Types.ObjectId.isValid(id);
+
+const getNotifications = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const skip = (page - 1) * limit;
+
+    const filter = { recipient: userId };
+    if (req.query.unread === "true") {
+        filter.read = false;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+        Notification.find(filter)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        Notification.countDocuments(filter),
+        Notification.countDocuments({ recipient: userId, read: false })
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                data: notifications,
+                unreadCount,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            },
+            "Notifications fetched successfully"
+        )
+    );
+});
+
+const markNotificationRead = asyncHandler(async (req, res) => {
+    const { notificationId } = req.params;
+
+    if (!isValidObjectId(notificationId)) {
+        throw new ApiError(400, "Invalid notification id");
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+        { _id: notificationId, recipient: req.user._id },
+        { read: true },
+        { new: true }
+    ).lean();
+
+    if (!notification) {
+        throw new ApiError(404, "Notification not found");
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, notification, "Notification marked as read")
+    );
+});
+
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+    const result = await Notification.updateMany(
+        { recipient: req.user._id, read: false },
+        { read: true }
+    );
+
+    return res.status(200).json(
+        new ApiResponse(200, { updated: result.modifiedCount }, "All notifications marked as read")
+    );
+});
+
+const deleteNotification = asyncHandler(async (req, res) => {
+    const { notificationId } = req.params;
+
+    if (!isValidObjectId(notificationId)) {
+        throw new ApiError(400, "Invalid notification id");
+    }
+
+    const result = await Notification.deleteOne({ _id: notificationId, recipient: req.user._id });
+    if (result.deletedCount === 0) {
+        throw new ApiError(404, "Notification not found");
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, null, "Notification deleted")
+    );
+});
+
+const clearNotifications = asyncHandler(async (req, res) => {
+    const result = await Notification.deleteMany({ recipient: req.user._id });
+
+    return res.status(200).json(
+        new ApiResponse(200, { deleted: result.deletedCount }, "Notifications cleared")
+    );
+});
+
+
+export { getNotifications, markNotificationRead, markAllNotificationsRead, deleteNotification, clearNotifications }
@@ -5,6 +5,9 @@ import { generateToken } from "../lib/tokens.js";
 import { User } from "../models/user.model.js";
 import { env } from "../config/env.js";
 import { Request } from "../models/request.model.js";
+import { NOTIFICATION_TYPES } from "../models/notification.model.js";
+import { notify } from "../lib/notifications.js";
+import { DEFAULT_RATING, isProvisional } from "../lib/rating.js";
 import mongoose from "mongoose";
 
 
@@ -127,6 +130,10 @@ const getMe = asyncHandler(async (req, res) => {
             bio: user.bio,
             avatar: user.avatar,
             friends: user.friends,
+            rating: user.rating ?? DEFAULT_RATING,
+            ratedGames: user.ratedGames ?? 0,
+            isProvisional: isProvisional(user.ratedGames),
+            ratingHistory: user.ratingHistory || [],
             createdAt: user.createdAt,
             updatedAt: user.updatedAt
         }
@@ -239,6 +246,13 @@ const sendFriendRequest = asyncHandler(async (req, res) => {
 
             await session.commitTransaction();
 
+            notify(req.app.locals.io, {
+                recipient: receiverId,
+                type: NOTIFICATION_TYPES.FRIEND_REQUEST_ACCEPTED,
+                message: `${req.user.username} accepted your friend request`,
+                data: { userId: senderId, username: req.user.username }
+            });
+
             return res.status(200).json(
                 new ApiResponse(200, null, "Friend request accepted automatically")
             );
@@ -257,6 +271,13 @@ const sendFriendRequest = asyncHandler(async (req, res) => {
         receiver: receiverId
     });
 
+    notify(req.app.locals.io, {
+        recipient: receiverId,
+        type: NOTIFICATION_TYPES.FRIEND_REQUEST,
+        message: `${req.user.username} sent you a friend request`,
+        data: { requestId: request._id, userId: senderId, username: req.user.username }
+    });
+
     return res.status(201).json(
         new ApiResponse(201, request, "Friend request sent successfully")
     );
@@ -316,6 +337,13 @@ const acceptOrRejectRequest = asyncHandler(async (req, res) => {
 
         await session.commitTransaction();
 
+        notify(req.app.locals.io, {
+            recipient: request.sender,
+            type: NOTIFICATION_TYPES.FRIEND_REQUEST_ACCEPTED,
+            message: `${req.user.username} accepted your friend request`,
+            data: { userId, username: req.user.username }
+        });
+
         return res.status(200).json(
             new ApiResponse(200, null, "Friend request accepted")
         );
@@ -399,6 +427,15 @@ const getFriends = asyncHandler(async (req, res) => {
         }
     ]);
 
+    // Live online status (see lib/presence.js); follow changes with the `subscribePresence` socket event
+    const presence = req.app.locals.presence;
+    if (presence) {
+        const statuses = await presence.lookup(friends.map(friend => friend._id.toString()));
+        friends.forEach((friend, index) => {
+            friend.presence = statuses[index];
+        });
+    }
+
     return res.status(200).json(
         new ApiResponse(200, friends, "Friends fetched successfully")
     );
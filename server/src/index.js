@@ -3,11 +3,30 @@ import cors from "cors";
 import helmet from "helmet";
 import { createServer } from "http";
 import { Server } from "socket.io";
+import { createClient } from "redis";
 import { socketAuthMiddleware } from "./middlewares/socketAuth.js";
 import userRoutes from "./routes/user.routes.js";
+import gameRoutes from "./routes/game.routes.js";
+import leaderboardRoutes from "./routes/leaderboard.routes.js";
+import notificationRoutes from "./routes/notification.routes.js";
+import messageRoutes from "./routes/message.routes.js";
 import { errorHandler, notFoundHandler } from "./middlewares/error.handler.middleware.js";
 import { RoomManager } from "./lib/roomManager.js";
-import GameManager from "./lib/gameManager.js";
+import GameManager, { playerChannel, spectatorChannel } from "./lib/gameManager.js";
+import { createSnapshotStore } from "./lib/snapshotStore.js";
+import { createMemoryEventBus, createRedisEventBus } from "./lib/eventBus.js";
+import { createMemoryStateStore, createRedisStateStore, MEMBER_KINDS } from "./lib/stateStore.js";
+import { createBusAdapter } from "./lib/busAdapter.js";
+import { createClusterNode } from "./lib/cluster.js";
+import { createMatchmaker, resolveMatchmakingOptions, MATCH_SIZE } from "./lib/matchmaker.js";
+import { DEFAULT_BOT_DIFFICULTY } from "./lib/bots.js";
+import { DEFAULT_RATING } from "./lib/rating.js";
+import { getRelationship, getBlockedAmong } from "./lib/relationships.js";
+import { createPresenceTracker, presenceChannel } from "./lib/presence.js";
+import { notify } from "./lib/notifications.js";
+import { User } from "./models/user.model.js";
+import { NOTIFICATION_TYPES } from "./models/notification.model.js";
+import { env } from "./config/env.js";
 
 const app = express();
 const httpServer = createServer(app);
@@ -15,6 +34,20 @@ const httpServer = createServer(app);
 // Initialize RoomManager singleton
 const roomManager = RoomManager.getInstance();
 
+// Nodes of a cluster share room state and events through Redis; a single node keeps both in memory
+const redisClient = env.REDIS_URL ? createClient({ url: env.REDIS_URL }) : null;
+const bus = redisClient ? createRedisEventBus(redisClient) : createMemoryEventBus();
+const stateStore = redisClient ? createRedisStateStore(redisClient) : createMemoryStateStore();
+
+roomManager.enableStateStore(stateStore);
+
+// Persist live rooms so they survive a restart (in a cluster, so any node can take them over)
+if (redisClient) {
+    roomManager.enableSnapshots(stateStore);
+} else if (env.ROOM_SNAPSHOT_DIR) {
+    roomManager.enableSnapshots(createSnapshotStore(env.ROOM_SNAPSHOT_DIR));
+}
+
 const io = new Server(httpServer, {
     cors: {
         origin: "*",
@@ -22,6 +55,9 @@ const io = new Server(httpServer, {
     }
 });
 
+// Online status of users, followed by their friends
+const presence = createPresenceTracker({ io, store: stateStore });
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cors({
@@ -32,438 +68,1491 @@ app.use(helmet());
 
 // API Routes
 app.use("/api/users", userRoutes);
+app.use("/api/games", gameRoutes);
+app.use("/api/leaderboard", leaderboardRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/messages", messageRoutes);
 
 // Apply authentication middleware to all socket connections
 io.use(socketAuthMiddleware);
 
-// Socket.IO connection handler
-io.on("connection", (socket) => {
-    const userId = socket.user.id;
-    const userName = socket.user?.name || socket.user?.username || 'Unknown';
+/**
+ * Send the lobby the open rooms of the whole cluster
+ */
+const broadcastRoomList = () => {
+    roomManager.listRooms({ notFull: true })
+        .then(rooms => io.emit("roomListUpdated", { rooms }))
+        .catch(error => {
+            console.error(`[SOCKET] Error broadcasting room list:`, error.message);
+        });
+};
+
+/**
+ * Deal with a seat that just emptied: a game about to start waits for players again,
+ * a running game that no longer has enough players is ended
+ */
+const handleSeatLost = (room, reason) => {
+    const game = room.game;
+    if (!game || room.players.length >= room.maxPlayers) {
+        return;
+    }
 
-    console.log(`[SOCKET] User connected: ${userName} (${userId})`);
+    if (game.cancelStartCountdown(reason)) {
+        return;
+    }
+
+    if (game.state === 'playing') {
+        const results = game.forceEndGame();
+        io.to(room.roomId).emit("gameForceEnded", {
+            reason,
+            results
+        });
+    }
+};
+
+/**
+ * Remove a player from their room and notify the remaining players
+ * Stops a game that no longer has enough players (see handleSeatLost)
+ */
+const removePlayerFromRoom = (playerId, reason) => {
+    const room = roomManager.getRoomByPlayerId(playerId);
+    if (!room) {
+        return;
+    }
+
+    const roomId = room.roomId;
+    const result = roomManager.leaveRoom(playerId);
+
+    if (result.roomDeleted) {
+        io.emit("roomDeleted", { roomId });
+        io.in(roomId).socketsLeave([roomId, spectatorChannel(roomId)]);
+    } else {
+        io.to(roomId).emit("playerLeft", {
+            playerId,
+            room: room.toPublicData(),
+            wasCreator: result.wasCreator
+        });
+
+        handleSeatLost(room, reason);
+    }
+
+    // Broadcast room list update
+    broadcastRoomList();
+};
+
+/**
+ * Let a room know a player just took a seat in it
+ */
+const announceJoin = (room, userId, userName) => {
+    const roomId = room.roomId;
+
+    // Join socket room (a spectator taking a seat stops getting spectator-only events)
+    io.in(playerChannel(userId)).socketsJoin(roomId);
+    io.in(playerChannel(userId)).socketsLeave(spectatorChannel(roomId));
+
+    console.log(`[SOCKET] ${userName} joined room ${roomId}`);
+
+    // Notify existing players
+    io.to(roomId).except(playerChannel(userId)).emit("playerJoined", {
+        player: room.getPlayer(userId).toPublicData(),
+        room: room.toPublicData()
+    });
+
+    // Broadcast room list update
+    broadcastRoomList();
+};
+
+/**
+ * Keep a disconnected player's seat for the grace period, removing them if they don't come back
+ */
+const holdSeat = (playerId, playerName) => {
+    const room = roomManager.markDisconnected(playerId, env.RECONNECT_GRACE_PERIOD, () => {
+        try {
+            console.log(`[SOCKET] ${playerName} did not reconnect to room ${room.roomId}`);
+            removePlayerFromRoom(playerId, 'Player disconnected');
+        } catch (error) {
+            console.error(`[SOCKET] Error removing disconnected player:`, error.message);
+        }
+    });
 
-    // ==================== ROOM MANAGEMENT ====================
+    return room;
+};
 
+/**
+ * Create the GameManager of a room brought back from a snapshot
+ */
+const attachRestoredGame = (room, gameSnapshot) => {
+    const game = new GameManager(room, io);
+    if (gameSnapshot) {
+        game.restoreSnapshot(gameSnapshot);
+    }
+    return game;
+};
+
+/**
+ * Pick a restored room back up: every player starts out disconnected and gets the
+ * usual grace period to reconnect; a running game re-arms its timers from the stored deadlines.
+ */
+const resumeRestoredRoom = (room) => {
+    room.getHumanPlayers().forEach(player => holdSeat(player.id, player.name));
+
+    room.game.rearmTimers();
+    if (env.PAUSE_ON_DISCONNECT && room.game.canPause()) {
+        room.game.pauseGame(null, 'disconnect');
+    }
+};
+
+/**
+ * Claim an unused room ID for a new room hosted on this node
+ */
+const claimNewRoomId = async () => {
+    let roomId;
+    do {
+        roomId = roomManager.generateRoomId();
+    } while (!await cluster.claimRoom(roomId));
+    return roomId;
+};
+
+/**
+ * Everyone who can read a room's chat (human players and spectators)
+ */
+const chatMemberIds = (room) => [
+    ...room.getHumanPlayers().map(player => player.id),
+    ...room.spectators.keys()
+];
+
+/**
+ * Mute or unmute a user in the chat of the room the requester created
+ */
+const setChatMuted = (userId, userName, targetId, muted) => {
+    const room = roomManager.getRoomByPlayerId(userId);
+    if (!room) {
+        throw new Error('You are not in any room');
+    }
+
+    roomManager.setChatMuted(room.roomId, userId, targetId, muted);
+
+    console.log(`[SOCKET] ${userName} ${muted ? 'muted' : 'unmuted'} ${targetId} in room ${room.roomId}`);
+
+    io.to(room.roomId).emit("chatMuteUpdated", {
+        userId: targetId,
+        muted,
+        room: room.toPublicData()
+    });
+
+    return {
+        room: room.toPublicData()
+    };
+};
+
+// ==================== ROOM COMMANDS ====================
+
+/**
+ * Everything a user can do to a room, run on the node that owns the room
+ * Each command takes the acting user ({ userId, userName }) and the event payload,
+ * and returns what the client's callback receives alongside `success: true`.
+ * They never touch a socket directly: sockets are moved in and out of Socket.IO
+ * rooms through the user's private channel, which reaches them on any node.
+ */
+const roomCommands = {
     /**
      * Create a new room
      */
-    socket.on("createRoom", ({ password, maxPlayers = 4 }, callback) => {
+    async createRoom({ userId, userName }, { password, maxPlayers = 4, settings }) {
+        const roomId = await claimNewRoomId();
+
+        let room;
         try {
-            const room = roomManager.createRoom({
+            room = roomManager.createRoom({
+                roomId,
                 creatorId: userId,
                 creatorName: userName,
                 password,
-                maxPlayers
+                maxPlayers,
+                settings
             });
+        } catch (error) {
+            await cluster.releaseRoom(roomId);
+            throw error;
+        }
 
-            // Attach GameManager to room with io instance for timer events
-            room.game = new GameManager(room, io);
+        // Attach GameManager to room with io instance for timer events
+        room.game = new GameManager(room, io);
 
-            // Join socket room
-            socket.join(room.roomId);
+        // Join socket room
+        io.in(playerChannel(userId)).socketsJoin(room.roomId);
 
-            console.log(`[SOCKET] ${userName} created room ${room.roomId}`);
+        console.log(`[SOCKET] ${userName} created room ${room.roomId}`);
 
-            callback({
-                success: true,
-                room: room.toPublicData(),
-                message: 'Room created successfully'
-            });
+        // Broadcast room list update
+        broadcastRoomList();
 
-            // Broadcast room list update
-            io.emit("roomListUpdated", {
-                rooms: roomManager.getAllRooms({ notFull: true })
-            });
+        return {
+            room: room.toPublicData(),
+            message: 'Room created successfully'
+        };
+    },
 
-        } catch (error) {
-            console.error(`[SOCKET] Error creating room:`, error.message);
-            callback({
-                success: false,
-                error: error.message
-            });
+    /**
+     * Join an existing room
+     */
+    joinRoom({ userId, userName }, { roomId, password }) {
+        const room = roomManager.joinRoom(roomId, userId, userName, password);
+        announceJoin(room, userId, userName);
+
+        return {
+            room: room.toPublicData(),
+            message: 'Joined room successfully'
+        };
+    },
+
+    /**
+     * Invite an online friend to take a seat in your room
+     */
+    async inviteToRoom({ userId, userName }, { friendId }) {
+        if (!roomManager.getRoomByPlayerId(userId)) {
+            throw new Error('You are not in any room');
         }
-    });
+
+        const relationship = await getRelationship(userId, friendId);
+        if (!relationship.exists) {
+            throw new Error('User not found');
+        }
+        if (relationship.blocked) {
+            throw new Error('You cannot invite this user');
+        }
+        if (!relationship.friends) {
+            throw new Error('You can only invite friends');
+        }
+
+        const sockets = await io.in(playerChannel(friendId)).fetchSockets().catch(() => []);
+        if (sockets.length === 0) {
+            throw new Error('Your friend is not online');
+        }
+
+        const { room, invite } = roomManager.inviteToRoom(userId, friendId);
+
+        console.log(`[SOCKET] ${userName} invited ${friendId} to room ${room.roomId}`);
+
+        io.to(playerChannel(friendId)).emit("roomInvite", {
+            ...invite,
+            room: room.toPublicData()
+        });
+        notify(io, {
+            recipient: friendId,
+            type: NOTIFICATION_TYPES.ROOM_INVITE,
+            message: `${userName} invited you to room ${room.roomId}`,
+            data: invite
+        });
+
+        return {
+            invite,
+            message: 'Invitation sent'
+        };
+    },
 
     /**
-     * Join an existing room
+     * Accept (join the room, no password needed) or decline an invitation
      */
-    socket.on("joinRoom", ({ roomId, password }, callback) => {
-        try {
-            const room = roomManager.joinRoom(roomId, userId, userName, password);
+    async respondToInvite({ userId, userName }, { roomId, inviteId, accept }) {
+        if (!accept) {
+            const invite = roomManager.declineInvite(roomId, inviteId, userId);
+            if (invite) {
+                io.to(playerChannel(invite.from.id)).emit("roomInviteDeclined", {
+                    inviteId,
+                    roomId,
+                    userId,
+                    userName
+                });
+            }
 
-            // Join socket room
-            socket.join(roomId);
+            return {
+                message: 'Invitation declined'
+            };
+        }
 
-            console.log(`[SOCKET] ${userName} joined room ${roomId}`);
+        // A block placed after the invitation was sent voids it
+        const pending = roomManager.getRoom(roomId).invites.get(userId);
+        if (pending?.inviteId === inviteId && (await getRelationship(userId, pending.from.id)).blocked) {
+            roomManager.declineInvite(roomId, inviteId, userId);
+            throw new Error('This invitation is no longer valid');
+        }
 
-            // Notify existing players
-            socket.to(roomId).emit("playerJoined", {
-                player: room.getPlayer(userId).toPublicData(),
-                room: room.toPublicData()
-            });
+        const { room } = roomManager.acceptInvite(roomId, inviteId, userId, userName);
+        announceJoin(room, userId, userName);
+
+        return {
+            room: room.toPublicData(),
+            message: 'Joined room successfully'
+        };
+    },
 
-            callback({
-                success: true,
+    /**
+     * Leave current room
+     */
+    leaveRoom({ userId }) {
+        const leftRoomId = roomManager.getRoomByPlayerId(userId)?.roomId;
+        const result = roomManager.leaveRoom(userId);
+        const { room, roomDeleted, wasCreator } = result;
+
+        if (roomDeleted) {
+            // Notify all clients that room was deleted; spectators stop receiving its events
+            io.emit("roomDeleted", { roomId: leftRoomId });
+            io.in(leftRoomId).socketsLeave([leftRoomId, spectatorChannel(leftRoomId)]);
+        } else {
+            const roomId = room.roomId;
+
+            // Notify remaining players
+            io.to(roomId).except(playerChannel(userId)).emit("playerLeft", {
+                playerId: userId,
                 room: room.toPublicData(),
-                message: 'Joined room successfully'
+                wasCreator
             });
 
-            // Broadcast room list update
-            io.emit("roomListUpdated", {
-                rooms: roomManager.getAllRooms({ notFull: true })
-            });
+            io.in(playerChannel(userId)).socketsLeave(roomId);
 
-        } catch (error) {
-            console.error(`[SOCKET] Error joining room:`, error.message);
-            callback({
-                success: false,
-                error: error.message
-            });
+            handleSeatLost(room, 'Not enough players');
         }
-    });
+
+        // Broadcast room list update
+        broadcastRoomList();
+
+        return {
+            message: 'Left room successfully'
+        };
+    },
 
     /**
-     * Leave current room
+     * Update room rules (creator only, before the game starts)
      */
-    socket.on("leaveRoom", (callback) => {
-        try {
-            const result = roomManager.leaveRoom(userId);
-            const { room, roomDeleted, wasCreator } = result;
+    updateRoomSettings({ userId, userName }, { settings }) {
+        const room = roomManager.getRoomByPlayerId(userId);
+        if (!room) {
+            throw new Error('You are not in any room');
+        }
 
-            if (roomDeleted) {
-                // Notify all clients that room was deleted
-                io.emit("roomDeleted", { roomId: room?.roomId });
-                socket.leave(room?.roomId);
-            } else {
-                const roomId = room.roomId;
+        if (!room.isCreator(userId)) {
+            throw new Error('Only the room creator can change settings');
+        }
 
-                // Notify remaining players
-                socket.to(roomId).emit("playerLeft", {
-                    playerId: userId,
-                    room: room.toPublicData(),
-                    wasCreator
-                });
+        const updatedSettings = room.updateSettings(settings);
 
-                socket.leave(roomId);
+        console.log(`[SOCKET] ${userName} updated settings in room ${room.roomId}`);
 
-                // If game was in progress and not enough players, end it
-                if (room.game && room.players.length < 4 && room.game.state === 'playing') {
-                    const results = room.game.forceEndGame();
-                    io.to(roomId).emit("gameForceEnded", {
-                        reason: 'Not enough players',
-                        results
-                    });
-                }
-            }
+        // Notify everyone in the room
+        io.to(room.roomId).emit("roomSettingsUpdated", {
+            settings: updatedSettings,
+            room: room.toPublicData()
+        });
 
-            callback({
-                success: true,
-                message: 'Left room successfully'
-            });
+        // Broadcast room list update
+        broadcastRoomList();
 
-            // Broadcast room list update
-            io.emit("roomListUpdated", {
-                rooms: roomManager.getAllRooms({ notFull: true })
-            });
+        return {
+            settings: updatedSettings,
+            message: 'Room settings updated'
+        };
+    },
 
-        } catch (error) {
-            console.error(`[SOCKET] Error leaving room:`, error.message);
-            callback({
-                success: false,
-                error: error.message
-            });
+    /**
+     * Watch a room without taking a seat
+     */
+    spectateRoom({ userId, userName }, { roomId, password }) {
+        const { room, spectator } = roomManager.spectateRoom(roomId, userId, userName, password);
+
+        // Spectators get the room's public events plus spectator-only ones, never `yourCard`
+        io.in(playerChannel(userId)).socketsJoin([roomId, spectatorChannel(roomId)]);
+
+        console.log(`[SOCKET] ${userName} is spectating room ${roomId}`);
+
+        io.to(roomId).except(playerChannel(userId)).emit("spectatorJoined", {
+            spectator,
+            room: room.toPublicData()
+        });
+
+        return {
+            room: room.toPublicData(),
+            gameState: room.game ? room.game.getPublicState() : null,
+            snapshot: room.game ? room.game.getSpectatorSnapshot() : null
+        };
+    },
+
+    /**
+     * Stop watching a room
+     */
+    stopSpectating({ userId, userName }) {
+        const { room } = roomManager.stopSpectating(userId);
+
+        io.in(playerChannel(userId)).socketsLeave([room.roomId, spectatorChannel(room.roomId)]);
+
+        console.log(`[SOCKET] ${userName} stopped spectating room ${room.roomId}`);
+
+        io.to(room.roomId).emit("spectatorLeft", {
+            spectatorId: userId,
+            room: room.toPublicData()
+        });
+
+        return {
+            message: 'Stopped spectating'
+        };
+    },
+
+    /**
+     * Seat a bot in an empty slot (creator only, before the game starts)
+     */
+    addBot({ userId, userName }, { difficulty = 'easy' }) {
+        const room = roomManager.getRoomByPlayerId(userId);
+        if (!room) {
+            throw new Error('You are not in any room');
         }
-    });
+
+        const { bot } = roomManager.addBot(room.roomId, userId, difficulty);
+
+        console.log(`[SOCKET] ${userName} added ${bot.name} to room ${room.roomId}`);
+
+        // Notify everyone in the room
+        io.to(room.roomId).emit("playerJoined", {
+            player: bot.toPublicData(),
+            room: room.toPublicData()
+        });
+
+        // Broadcast room list update
+        broadcastRoomList();
+
+        return {
+            bot: bot.toPublicData(),
+            room: room.toPublicData()
+        };
+    },
 
     /**
-     * Get available rooms
+     * Remove a bot (creator only, before the game starts)
      */
-    socket.on("getRooms", ({ filters = {} }, callback) => {
-        try {
-            const rooms = roomManager.getAllRooms(filters);
-            callback({
-                success: true,
-                rooms
-            });
-        } catch (error) {
-            console.error(`[SOCKET] Error getting rooms:`, error.message);
-            callback({
-                success: false,
-                error: error.message
-            });
+    removeBot({ userId, userName }, { botId }) {
+        const room = roomManager.getRoomByPlayerId(userId);
+        if (!room) {
+            throw new Error('You are not in any room');
         }
-    });
+
+        const { bot } = roomManager.removeBot(room.roomId, userId, botId);
+
+        console.log(`[SOCKET] ${userName} removed ${bot.name} from room ${room.roomId}`);
+
+        // Notify everyone in the room
+        io.to(room.roomId).emit("playerLeft", {
+            playerId: bot.id,
+            room: room.toPublicData(),
+            wasCreator: false
+        });
+
+        // Broadcast room list update
+        broadcastRoomList();
+
+        return {
+            room: room.toPublicData()
+        };
+    },
 
     /**
      * Get current room state
      */
-    socket.on("getRoomState", (callback) => {
-        try {
-            const room = roomManager.getRoomByPlayerId(userId);
-            if (!room) {
+    getRoomState({ userId }) {
+        const room = roomManager.getRoomByPlayerId(userId);
+        if (!room) {
+            const spectatedRoom = roomManager.getRoomBySpectatorId(userId);
+            if (!spectatedRoom) {
                 throw new Error('You are not in any room');
             }
 
-            callback({
-                success: true,
+            return {
+                spectating: true,
+                room: spectatedRoom.toPublicData(),
+                gameState: spectatedRoom.game ? spectatedRoom.game.getPublicState() : null,
+                snapshot: spectatedRoom.game ? spectatedRoom.game.getSpectatorSnapshot() : null
+            };
+        }
+
+        return {
+            room: room.toPublicData(),
+            gameState: room.game ? room.game.getPublicState() : null,
+            snapshot: room.game ? room.game.getPlayerSnapshot(userId) : null
+        };
+    },
+
+    // ==================== CHAT ====================
+
+    /**
+     * Post a chat message to everyone in the room, except users who blocked the sender or whom they blocked
+     */
+    async sendChatMessage({ userId, userName }, { text }) {
+        const current = roomManager.getRoomByMemberId(userId);
+        if (!current) {
+            throw new Error('You are not in any room');
+        }
+
+        // Resolve blocks before the message enters the history, so a failed lookup cannot leave
+        // a message there that was never sent (if the lookup fails, nobody is hidden)
+        const hidden = await getBlockedAmong(userId, chatMemberIds(current)).catch((error) => {
+            console.error(`[SOCKET] Failed to load blocks for ${userName}:`, error.message);
+            return new Set();
+        });
+
+        const { room, message } = roomManager.sendChatMessage(userId, userName, text);
+        io.to(room.roomId)
+            .except(Array.from(hidden, playerChannel))
+            .emit("chatMessage", message);
+
+        return {
+            message
+        };
+    },
+
+    /**
+     * Chat messages of the room you are in, without those of muted or blocked users
+     */
+    async getChatHistory({ userId }) {
+        const room = roomManager.getRoomByMemberId(userId);
+        if (!room) {
+            throw new Error('You are not in any room');
+        }
+
+        const senders = Array.from(new Set(room.chat.map(message => message.userId)));
+        const hidden = await getBlockedAmong(userId, senders);
+
+        return {
+            messages: room.getChatHistory(hidden)
+        };
+    },
+
+    /**
+     * Silence a player or spectator in the chat (creator only)
+     */
+    muteUser({ userId, userName }, { targetId }) {
+        return setChatMuted(userId, userName, targetId, true);
+    },
+
+    /**
+     * Let a muted player or spectator chat again (creator only)
+     */
+    unmuteUser({ userId, userName }, { targetId }) {
+        return setChatMuted(userId, userName, targetId, false);
+    },
+
+    // ==================== MODERATION ====================
+
+    /**
+     * Remove a player or spectator from the room (creator only), banning them if asked
+     */
+    kickPlayer({ userId, userName }, { targetId, ban = false }) {
+        const room = roomManager.getRoomByPlayerId(userId);
+        if (!room) {
+            throw new Error('You are not in any room');
+        }
+
+        const roomId = room.roomId;
+        const { kind, member } = roomManager.kickFromRoom(roomId, userId, targetId, { ban: !!ban });
+        const reason = ban ? 'banned' : 'kicked';
+
+        console.log(`[SOCKET] ${userName} ${reason} ${member.name} from room ${roomId}`);
+
+        io.in(playerChannel(targetId)).socketsLeave([roomId, spectatorChannel(roomId)]);
+        io.to(playerChannel(targetId)).emit("removedFromRoom", {
+            roomId,
+            reason,
+            message: ban ? 'You were banned from the room by its creator' : 'You were kicked from the room by its creator'
+        });
+
+        if (kind === MEMBER_KINDS.SPECTATOR) {
+            io.to(roomId).emit("spectatorLeft", {
+                spectatorId: targetId,
                 room: room.toPublicData(),
-                gameState: room.game ? room.game.getPublicState() : null
+                kicked: true
             });
-        } catch (error) {
-            console.error(`[SOCKET] Error getting room state:`, error.message);
-            callback({
-                success: false,
-                error: error.message
+        } else {
+            io.to(roomId).emit("playerLeft", {
+                playerId: targetId,
+                room: room.toPublicData(),
+                wasCreator: false,
+                kicked: true
             });
+
+            // A kicked player leaves the same hole in a game as one who left, but is not rated as a leaver
+            room.game?.markKicked(targetId);
+            handleSeatLost(room, `${member.name} was removed from the room`);
         }
-    });
+
+        broadcastRoomList();
+
+        return {
+            room: room.toPublicData()
+        };
+    },
+
+    /**
+     * Let a banned user back into the room (creator only)
+     */
+    unbanPlayer({ userId, userName }, { targetId }) {
+        const room = roomManager.getRoomByPlayerId(userId);
+        if (!room) {
+            throw new Error('You are not in any room');
+        }
+
+        roomManager.unbanFromRoom(room.roomId, userId, targetId);
+
+        console.log(`[SOCKET] ${userName} lifted the ban on ${targetId} in room ${room.roomId}`);
+
+        io.to(room.roomId).emit("roomBansUpdated", {
+            room: room.toPublicData()
+        });
+
+        return {
+            room: room.toPublicData()
+        };
+    },
+
+    /**
+     * Hand the creator role to another human player (creator only)
+     */
+    transferHost({ userId, userName }, { targetId }) {
+        const room = roomManager.getRoomByPlayerId(userId);
+        if (!room) {
+            throw new Error('You are not in any room');
+        }
+
+        const { newCreator } = roomManager.transferHost(room.roomId, userId, targetId);
+
+        console.log(`[SOCKET] ${userName} made ${newCreator.name} the host of room ${room.roomId}`);
+
+        io.to(room.roomId).emit("hostTransferred", {
+            previousHostId: userId,
+            newHostId: newCreator.id,
+            room: room.toPublicData()
+        });
+
+        broadcastRoomList();
+
+        return {
+            room: room.toPublicData()
+        };
+    },
+
+    /**
+     * Close the room to newcomers, or open it again (creator only); invitations still get in
+     */
+    lockRoom({ userId, userName }, { locked }) {
+        const room = roomManager.getRoomByPlayerId(userId);
+        if (!room) {
+            throw new Error('You are not in any room');
+        }
+
+        roomManager.setRoomLocked(room.roomId, userId, !!locked);
+
+        console.log(`[SOCKET] ${userName} ${locked ? 'locked' : 'unlocked'} room ${room.roomId}`);
+
+        io.to(room.roomId).emit("roomLockUpdated", {
+            locked: !!locked,
+            room: room.toPublicData()
+        });
+
+        broadcastRoomList();
+
+        return {
+            room: room.toPublicData()
+        };
+    },
 
     // ==================== GAME LOGIC ====================
 
     /**
      * Start game
      */
-    socket.on("startGame", (callback) => {
-        try {
-            const room = roomManager.getRoomByPlayerId(userId);
-            if (!room) {
-                throw new Error('You are not in any room');
-            }
+    startGame({ userId }) {
+        const room = roomManager.getRoomByPlayerId(userId);
+        if (!room) {
+            throw new Error('You are not in any room');
+        }
 
-            if (!room.isCreator(userId)) {
-                throw new Error('Only the room creator can start the game');
-            }
+        if (!room.isCreator(userId)) {
+            throw new Error('Only the room creator can start the game');
+        }
 
-            const result = room.game.startGame();
+        // Note: GameManager now handles:
+        // 1. gameStartCountdown events (5, 4, 3, 2, 1)
+        // 2. gameActuallyStarted event (after countdown)
+        // 3. yourCard events (sent privately to each player)
+        // 4. roundTimerUpdate events (30-second countdown)
+        return room.game.startGame();
+    },
 
-            // Callback to confirm command received
-            callback({
-                success: true,
-                ...result
-            });
+    /**
+     * Make a guess (Mantri or Senapati)
+     */
+    makeGuess({ userId }, { guessedPlayerId }) {
+        const room = roomManager.getRoomByPlayerId(userId);
+        if (!room) {
+            throw new Error('You are not in any room');
+        }
 
-            // Note: GameManager now handles:
-            // 1. gameStartCountdown events (5, 4, 3, 2, 1)
-            // 2. gameActuallyStarted event (after countdown)
-            // 3. yourCard events (sent privately to each player)
-            // 4. roundTimerUpdate events (30-second countdown)
+        // GameManager announces guessRecorded / guessResult to the room
+        return room.game.makeGuess(userId, guessedPlayerId);
+    },
 
-        } catch (error) {
-            console.error(`[SOCKET] Error starting game:`, error.message);
-            callback({
-                success: false,
-                error: error.message
-            });
+    /**
+     * React with an emote while the guessers hunt
+     */
+    sendEmote({ userId }, { emote }) {
+        const room = roomManager.getRoomByPlayerId(userId);
+        if (!room) {
+            throw new Error('You are not in any room');
         }
-    });
+
+        // GameManager announces emoteSent to the room
+        return {
+            emote: room.game.sendEmote(userId, emote)
+        };
+    },
 
     /**
-     * Make a guess (Mantri only)
+     * Proceed to next round
      */
-    socket.on("makeGuess", ({ guessedPlayerId }, callback) => {
-        try {
-            const room = roomManager.getRoomByPlayerId(userId);
-            if (!room) {
-                throw new Error('You are not in any room');
-            }
+    nextRound({ userId }) {
+        const room = roomManager.getRoomByPlayerId(userId);
+        if (!room) {
+            throw new Error('You are not in any room');
+        }
 
-            const result = room.game.makeGuess(userId, guessedPlayerId);
+        if (!room.isCreator(userId)) {
+            throw new Error('Only the room creator can start the next round');
+        }
 
-            // Notify all players of the result
-            io.to(room.roomId).emit("guessResult", result);
+        const result = room.game.nextRound();
 
-            callback({
-                success: true,
-                ...result
+        if (result.isGameFinished) {
+            // Game finished
+            io.to(room.roomId).emit("gameFinished", result);
+        } else {
+            // Next round started (cards are sent privately by GameManager)
+            io.to(room.roomId).emit("nextRoundStarted", {
+                ...result,
+                gameState: room.game.getPublicState()
             });
+        }
 
-        } catch (error) {
-            console.error(`[SOCKET] Error making guess:`, error.message);
-            callback({
-                success: false,
-                error: error.message
-            });
+        return result;
+    },
+
+    /**
+     * Pause the game (creator pauses directly, other players vote)
+     */
+    pauseGame({ userId }) {
+        const room = roomManager.getRoomByPlayerId(userId);
+        if (!room) {
+            throw new Error('You are not in any room');
         }
-    });
+
+        // GameManager emits gamePaused / pauseVoteUpdate to the room
+        return room.game.requestPause(userId);
+    },
 
     /**
-     * Proceed to next round
+     * Resume a paused game (creator resumes directly, other players vote)
      */
-    socket.on("nextRound", (callback) => {
-        try {
-            const room = roomManager.getRoomByPlayerId(userId);
-            if (!room) {
-                throw new Error('You are not in any room');
-            }
+    resumeGame({ userId }) {
+        const room = roomManager.getRoomByPlayerId(userId);
+        if (!room) {
+            throw new Error('You are not in any room');
+        }
+
+        // GameManager emits gameResumed / pauseVoteUpdate to the room
+        return room.game.requestResume(userId);
+    },
+
+    /**
+     * Handle play again response
+     */
+    playAgainResponse({ userId }, { accepted }) {
+        const room = roomManager.getRoomByPlayerId(userId);
+        if (!room) {
+            throw new Error('You are not in any room');
+        }
+
+        const result = room.game.handlePlayAgainResponse(userId, accepted);
+
+        // Notify all players
+        io.to(room.roomId).emit("playAgainUpdate", result);
+
+        // If all players accepted, reset the game
+        if (result.allAccepted) {
+            const resetResult = room.game.resetGame();
+            io.to(room.roomId).emit("gameReset", resetResult);
+        }
+
+        return result;
+    },
+
+    /**
+     * Get game results
+     */
+    getResults({ userId }) {
+        const room = roomManager.getRoomByPlayerId(userId);
+        if (!room) {
+            throw new Error('You are not in any room');
+        }
+
+        return {
+            results: room.game.getResults()
+        };
+    },
+
+    // ==================== CONNECTION ====================
+
+    /**
+     * Rebind a user still seated in a room (e.g. after a network switch or a move to another node)
+     * Returns what the rejoining socket needs to catch up, or null if they hold no seat.
+     */
+    rejoinRoom({ userId, userName }) {
+        const currentRoom = roomManager.getRoomByPlayerId(userId);
+        if (!currentRoom) {
+            return null;
+        }
 
-            if (!room.isCreator(userId)) {
-                throw new Error('Only the room creator can start the next round');
+        io.in(playerChannel(userId)).socketsJoin(currentRoom.roomId);
+
+        if (roomManager.markReconnected(userId)) {
+            console.log(`[SOCKET] ${userName} rejoined room ${currentRoom.roomId}`);
+
+            io.to(currentRoom.roomId).except(playerChannel(userId)).emit("playerReconnected", {
+                playerId: userId,
+                room: currentRoom.toPublicData()
+            });
+
+            // Resume a game that was frozen only because players dropped
+            const game = currentRoom.game;
+            if (game && game.isPaused && game.pauseReason === 'disconnect'
+                && currentRoom.players.every(p => p.connected)) {
+                game.resumeGame(userId);
             }
+        }
 
-            const result = room.game.nextRound();
+        return {
+            rejoined: {
+                room: currentRoom.toPublicData(),
+                gameState: currentRoom.game ? currentRoom.game.getPublicState() : null,
+                snapshot: currentRoom.game ? currentRoom.game.getPlayerSnapshot(userId) : null
+            },
+            card: currentRoom.game && currentRoom.game.state === 'playing' ? {
+                card: currentRoom.game.getPlayerCard(userId),
+                round: currentRoom.game.currentRound
+            } : null
+        };
+    },
 
-            if (result.isGameFinished) {
-                // Game finished
-                io.to(room.roomId).emit("gameFinished", result);
-            } else {
-                // Next round started
-                io.to(room.roomId).emit("nextRoundStarted", {
-                    ...result,
-                    gameState: room.game.getPublicState()
-                });
+    /**
+     * A user's last socket went away: spectators stop watching, players keep their seat for the grace period
+     */
+    async userDisconnected({ userId, userName }) {
+        // The user may have come back (another tab, or a reconnect on another node) in the meantime
+        const sockets = await io.in(playerChannel(userId)).fetchSockets().catch(() => []);
+        if (sockets.length > 0) {
+            return;
+        }
+
+        // Spectators hold no seat, they just stop watching
+        if (roomManager.getRoomBySpectatorId(userId)) {
+            const { room: spectatedRoom } = roomManager.stopSpectating(userId);
+            io.to(spectatedRoom.roomId).emit("spectatorLeft", {
+                spectatorId: userId,
+                room: spectatedRoom.toPublicData()
+            });
+            return;
+        }
 
-                // Send each player their new card privately
-                room.players.forEach(player => {
-                    const playerSocket = io.sockets.sockets.get(
-                        Array.from(io.sockets.adapter.rooms.get(room.roomId) || [])
-                            .find(sid => {
-                                const s = io.sockets.sockets.get(sid);
-                                return s?.userId === player.id;
-                            })
-                    );
-
-                    if (playerSocket) {
-                        playerSocket.emit("yourCard", {
-                            card: room.game.getPlayerCard(player.id),
-                            round: room.game.currentRound
-                        });
-                    }
+        const room = roomManager.getRoomByPlayerId(userId);
+        if (!room) {
+            return;
+        }
+
+        if (env.RECONNECT_GRACE_PERIOD <= 0) {
+            removePlayerFromRoom(userId, 'Player disconnected');
+            return;
+        }
+
+        // Hold the seat; only leave the room if they don't come back in time
+        holdSeat(userId, userName);
+
+        io.to(room.roomId).emit("playerDisconnected", {
+            playerId: userId,
+            room: room.toPublicData(),
+            gracePeriod: env.RECONNECT_GRACE_PERIOD
+        });
+
+        if (env.PAUSE_ON_DISCONNECT && room.game && room.game.canPause()) {
+            room.game.pauseGame(userId, 'disconnect');
+        }
+    }
+};
+
+// ==================== MATCHMAKING ====================
+
+// Lease key of the node that runs the quick-play queue (one queue for the whole cluster)
+const MATCHMAKING_QUEUE_ID = "matchmaking";
+
+// How often (ms) the queue looks for matches, and how often waiting players hear about their wait
+const MATCHMAKING_TICK = 1000;
+const MATCHMAKING_UPDATE_INTERVAL = 5000;
+
+const matchmaker = createMatchmaker({ botDelay: env.MATCHMAKING_BOT_DELAY });
+let matchmakingInterval = null;
+let lastMatchmakingUpdate = 0;
+
+/**
+ * Rating a player is matched on (the default for users without one)
+ */
+const getPlayerRating = async (userId) => {
+    try {
+        const user = await User.findById(userId).select("rating").lean();
+        return user?.rating ?? DEFAULT_RATING;
+    } catch (error) {
+        console.error(`[MATCH] Could not load rating of ${userId}:`, error.message);
+        return DEFAULT_RATING;
+    }
+};
+
+/**
+ * Seat a group of matched players (and bots) in a new room and start the game
+ */
+const startMatch = async ({ players, bots }) => {
+    // Players who found a room of their own while waiting drop out; the rest keep their place
+    const memberships = await Promise.all(players.map(player => findMembership(player.userId)));
+    if (memberships.some(Boolean)) {
+        players.forEach((player, i) => {
+            if (memberships[i]) {
+                io.to(playerChannel(player.userId)).emit("matchmakingCancelled", {
+                    reason: 'You joined another room'
                 });
+            } else {
+                matchmaker.requeue(player);
             }
+        });
+        scheduleMatchmaking();
+        return;
+    }
 
-            callback({
-                success: true,
-                ...result
-            });
+    const [host, ...guests] = players;
+    const roomId = await claimNewRoomId();
+
+    let room;
+    try {
+        room = roomManager.createRoom({
+            roomId,
+            creatorId: host.userId,
+            creatorName: host.userName,
+            maxPlayers: MATCH_SIZE
+        });
+        room.game = new GameManager(room, io);
+
+        guests.forEach(guest => roomManager.joinRoom(roomId, guest.userId, guest.userName));
+        for (let i = 0; i < bots; i++) {
+            roomManager.addBot(roomId, host.userId, DEFAULT_BOT_DIFFICULTY);
+        }
+    } catch (error) {
+        // Undo the half-built room and let everyone keep waiting
+        console.error(`[MATCH] Could not set up room ${roomId}:`, error.message);
+        players.forEach(player => {
+            if (roomManager.getRoomByPlayerId(player.userId)?.roomId === roomId) {
+                roomManager.leaveRoom(player.userId);
+            }
+            matchmaker.requeue(player);
+        });
+        if (!room) {
+            await cluster.releaseRoom(roomId);
+        }
+        scheduleMatchmaking();
+        return;
+    }
 
-        } catch (error) {
-            console.error(`[SOCKET] Error proceeding to next round:`, error.message);
-            callback({
-                success: false,
-                error: error.message
-            });
+    console.log(`[MATCH] Matched ${players.map(player => player.userName).join(", ")} `
+        + `with ${bots} bot(s) in room ${roomId}`);
+
+    players.forEach(player => {
+        io.in(playerChannel(player.userId)).socketsJoin(roomId);
+        io.to(playerChannel(player.userId)).emit("matchFound", {
+            room: room.toPublicData(),
+            bots
+        });
+    });
+
+    broadcastRoomList();
+
+    try {
+        room.game.startGame();
+    } catch (error) {
+        // The room stays open; its host can start the game by hand
+        console.error(`[MATCH] Could not start the game in room ${roomId}:`, error.message);
+    }
+};
+
+/**
+ * Form the matches possible now and keep waiting players posted
+ */
+const runMatchmaking = () => {
+    const now = Date.now();
+
+    matchmaker.takeMatches(now).forEach(match => {
+        startMatch(match).catch(error => {
+            console.error(`[MATCH] Error starting match:`, error.message);
+        });
+    });
+
+    if (now - lastMatchmakingUpdate >= MATCHMAKING_UPDATE_INTERVAL) {
+        lastMatchmakingUpdate = now;
+        matchmaker.waitingOrder().forEach(entry => {
+            io.to(playerChannel(entry.userId)).emit("matchmakingUpdate", matchmaker.status(entry, now));
+        });
+    }
+
+    if (matchmaker.queue.size === 0) {
+        clearInterval(matchmakingInterval);
+        matchmakingInterval = null;
+    }
+};
+
+/**
+ * Make sure the queue is being worked while anyone is in it
+ */
+const scheduleMatchmaking = () => {
+    if (!matchmakingInterval && matchmaker.queue.size > 0) {
+        lastMatchmakingUpdate = Date.now();
+        matchmakingInterval = setInterval(runMatchmaking, MATCHMAKING_TICK);
+    }
+};
+
+/**
+ * Another node took over the queue: whoever waited here has to search again
+ */
+const dropMatchmakingQueue = () => {
+    clearInterval(matchmakingInterval);
+    matchmakingInterval = null;
+
+    matchmaker.clear().forEach(entry => {
+        io.to(playerChannel(entry.userId)).emit("matchmakingCancelled", {
+            reason: 'Matchmaking was interrupted. Please search again.'
+        });
+    });
+};
+
+/**
+ * Quick-play queue commands, run on the node that holds the queue
+ */
+const matchmakingCommands = {
+    /**
+     * Start looking for a match
+     */
+    async findMatch({ userId, userName }, options) {
+        const { region, matchRating, allowBots } = resolveMatchmakingOptions(options);
+        const rating = await getPlayerRating(userId);
+
+        const entry = matchmaker.enqueue({ userId, userName, rating, region, matchRating, allowBots });
+        console.log(`[MATCH] ${userName} (${rating}${region ? `, ${region}` : ""}) is looking for a match`);
+
+        scheduleMatchmaking();
+
+        return {
+            queue: matchmaker.status(entry)
+        };
+    },
+
+    /**
+     * Stop looking for a match
+     */
+    cancelMatchmaking({ userId, userName }) {
+        if (!matchmaker.dequeue(userId)) {
+            throw new Error('You are not looking for a match');
         }
+
+        console.log(`[MATCH] ${userName} stopped looking for a match`);
+
+        return {
+            message: 'Stopped looking for a match'
+        };
+    },
+
+    /**
+     * A queued user's socket went away: they leave the queue unless another of their sockets is still there
+     */
+    async matchmakingDisconnected({ userId }) {
+        const sockets = await io.in(playerChannel(userId)).fetchSockets().catch(() => []);
+        if (sockets.length === 0) {
+            matchmaker.dequeue(userId);
+        }
+    }
+};
+
+// Commands that enter the room named in their payload (when the user is in no room yet)
+const ROOM_ENTRY_COMMANDS = ["joinRoom", "spectateRoom"];
+
+/**
+ * Bring a room whose owner went away to this node, from its last snapshot
+ */
+const adoptRoom = async (roomId) => {
+    // The matchmaking queue is not snapshotted: its new node starts with an empty queue
+    if (roomId === MATCHMAKING_QUEUE_ID) {
+        return true;
+    }
+
+    const snapshot = await roomManager.snapshotStore?.load(roomId);
+    if (!snapshot) {
+        stateStore.unpublishRoom(roomId).catch(() => {});
+        return false;
+    }
+
+    const room = roomManager.restoreRoom(snapshot, attachRestoredGame);
+    if (!room) {
+        return false;
+    }
+
+    resumeRestoredRoom(room);
+
+    // Users still connected through other nodes carry on: players are rebound and brought
+    // up to date (the snapshot may be a moment old), spectators keep watching
+    for (const player of room.getHumanPlayers()) {
+        const sockets = await io.in(playerChannel(player.id)).fetchSockets().catch(() => []);
+        if (sockets.length === 0) {
+            continue;
+        }
+
+        const rejoin = roomCommands.rejoinRoom({ userId: player.id, userName: player.name });
+        io.to(playerChannel(player.id)).emit("rejoinedRoom", rejoin.rejoined);
+        if (rejoin.card) {
+            io.to(playerChannel(player.id)).emit("yourCard", rejoin.card);
+        }
+    }
+
+    const watchers = await io.in(spectatorChannel(roomId)).fetchSockets().catch(() => []);
+    watchers.forEach(({ data }) => {
+        if (data.user) {
+            roomManager.readmitSpectator(roomId, data.user.id, data.user.name);
+        }
+    });
+
+    broadcastRoomList();
+    return true;
+};
+
+const cluster = createClusterNode({
+    bus,
+    store: stateStore,
+    commands: { ...roomCommands, ...matchmakingCommands },
+    adoptRoom,
+    dropRoom: (roomId) => roomId === MATCHMAKING_QUEUE_ID ? dropMatchmakingQueue() : roomManager.dropRoom(roomId)
+});
+
+// Friends follow what room members are doing
+roomManager.on('activityChanged', ({ userId, activity }) => {
+    presence.publish(userId, activity).catch(error => {
+        console.error(`[PRESENCE] Failed to publish presence of ${userId}:`, error.message);
     });
+});
+
+// A deleted room frees its ID for any node
+roomManager.on('roomDeleted', ({ roomId }) => {
+    cluster.releaseRoom(roomId).catch(error => {
+        console.error(`[CLUSTER] Failed to release room ${roomId}:`, error.message);
+    });
+});
+
+/**
+ * The room a user is seated in (or else watching) anywhere in the cluster
+ * Memberships of rooms that no longer exist are cleared on the way.
+ */
+const findMembership = async (userId) => {
+    for (const kind of [MEMBER_KINDS.PLAYER, MEMBER_KINDS.SPECTATOR]) {
+        const roomId = await stateStore.getMember(kind, userId);
+        if (!roomId) {
+            continue;
+        }
+
+        if (await cluster.ownerOf(roomId)) {
+            return { kind, roomId };
+        }
+        await stateStore.removeMember(kind, userId);
+    }
+
+    return null;
+};
+
+/**
+ * Run a room command on the right node: the one owning the user's current room,
+ * or for a user in no room, the target room's owner (joining) or this node (creating)
+ * A user already in a room is refused entry to another by their own room's node.
+ */
+const routeCommand = async (command, context, payload) => {
+    const membership = await findMembership(context.userId);
+    const roomId = membership?.roomId
+        ?? (ROOM_ENTRY_COMMANDS.includes(command) ? payload.roomId : null);
+
+    return cluster.run(roomId, command, context, payload);
+};
+
+/**
+ * Connect this node to the rest of the cluster (must run before the server accepts connections)
+ */
+const startCluster = async () => {
+    if (redisClient) {
+        redisClient.on("error", (error) => console.error("[CLUSTER] Redis error:", error.message));
+        await redisClient.connect();
+    }
+
+    io.adapter(createBusAdapter(bus));
+    await cluster.start();
+};
+
+/**
+ * Leave the cluster cleanly before the process exits: write every pending room snapshot,
+ * then hand back the room leases so other nodes take the rooms over at once
+ * instead of after the leases lapse
+ */
+const stopServer = async () => {
+    await roomManager.flushSnapshots();
+    await cluster.stop();
+    await bus.close();
+
+    if (redisClient?.isOpen) {
+        await redisClient.quit();
+    }
+};
+
+/**
+ * Bring back the rooms that were live when the server last stopped
+ * In a cluster only rooms that no other node is running are taken.
+ */
+const restoreRooms = async () => {
+    const rooms = await roomManager.restoreRooms(attachRestoredGame, (roomId) => cluster.claimRoom(roomId));
+    rooms.forEach(resumeRestoredRoom);
+
+    if (rooms.length > 0) {
+        console.log(`[SNAPSHOT] Restored ${rooms.length} room(s)`);
+    }
+
+    return rooms;
+};
+
+// Socket.IO connection handler
+io.on("connection", (socket) => {
+    const userId = socket.user.id;
+    const userName = socket.user?.name || socket.user?.username || 'Unknown';
+    const context = { userId, userName };
+
+    // Visible to other nodes through fetchSockets()
+    socket.data.user = { id: userId, name: userName };
+
+    console.log(`[SOCKET] User connected: ${userName} (${userId})`);
+
+    // Private channel for events addressed to this user (cards, etc.)
+    socket.join(playerChannel(userId));
+
+    const publishPresence = () => {
+        presence.publish(userId).catch(error => {
+            console.error(`[PRESENCE] Failed to publish presence of ${userName}:`, error.message);
+        });
+    };
+
+    publishPresence();
 
     /**
-     * Handle play again response
+     * Answer a client event with the result of a room command
+     * Events carry a payload and a callback, or only a callback.
      */
-    socket.on("playAgainResponse", ({ accepted }, callback) => {
-        try {
-            const room = roomManager.getRoomByPlayerId(userId);
-            if (!room) {
-                throw new Error('You are not in any room');
+    const onCommand = (event, run) => {
+        socket.on(event, async (...args) => {
+            const callback = typeof args[args.length - 1] === "function" ? args.pop() : () => {};
+            try {
+                const result = await run(args[0] ?? {});
+                callback({
+                    success: true,
+                    ...result
+                });
+            } catch (error) {
+                console.error(`[SOCKET] Error handling ${event}:`, error.message);
+                callback({
+                    success: false,
+                    error: error.message
+                });
             }
+        });
+    };
 
-            const result = room.game.handlePlayAgainResponse(userId, accepted);
+    // ==================== ROOM MANAGEMENT & GAME LOGIC ====================
 
-            // Notify all players
-            io.to(room.roomId).emit("playAgainUpdate", result);
+    [
+        "createRoom", "joinRoom", "leaveRoom", "updateRoomSettings", "spectateRoom", "stopSpectating",
+        "addBot", "removeBot", "inviteToRoom", "getRoomState", "startGame", "makeGuess", "sendEmote", "nextRound",
+        "pauseGame", "resumeGame", "playAgainResponse", "getResults",
+        "sendChatMessage", "getChatHistory", "muteUser", "unmuteUser",
+        "kickPlayer", "unbanPlayer", "transferHost", "lockRoom"
+    ].forEach(command => onCommand(command, (payload) => routeCommand(command, context, payload)));
 
-            // If all players accepted, reset the game
-            if (result.allAccepted) {
-                const resetResult = room.game.resetGame();
-                io.to(room.roomId).emit("gameReset", resetResult);
-            }
+    /**
+     * Answer an invitation, on the node of the room it is for
+     */
+    onCommand("respondToInvite", async (payload) => {
+        const membership = payload.accept ? await findMembership(userId) : null;
+        if (membership && membership.roomId !== payload.roomId) {
+            throw new Error(membership.kind === MEMBER_KINDS.PLAYER
+                ? 'You are already in another room. Leave it first.'
+                : 'You are spectating another room. Stop spectating first.');
+        }
 
-            callback({
-                success: true,
-                ...result
-            });
+        return cluster.run(payload.roomId, "respondToInvite", context, payload);
+    });
 
-        } catch (error) {
-            console.error(`[SOCKET] Error handling play again:`, error.message);
-            callback({
-                success: false,
-                error: error.message
-            });
+    /**
+     * Get available rooms (across the cluster)
+     */
+    onCommand("getRooms", async ({ filters = {} }) => ({
+        rooms: await roomManager.listRooms(filters)
+    }));
+
+    // ==================== MATCHMAKING ====================
+
+    // Whether this socket put its user in the matchmaking queue (they leave it when it disconnects)
+    let queued = false;
+
+    /**
+     * Look for a quick-play match (options: region, matchRating, allowBots)
+     */
+    onCommand("findMatch", async (options) => {
+        const membership = await findMembership(userId);
+        if (membership) {
+            throw new Error(membership.kind === MEMBER_KINDS.PLAYER
+                ? 'You are already in a room. Leave your current room first.'
+                : 'You are spectating a room. Stop spectating first.');
         }
+
+        const result = await cluster.run(MATCHMAKING_QUEUE_ID, "findMatch", context, options);
+        queued = true;
+        return result;
     });
 
     /**
-     * Get game results
+     * Stop looking for a match
      */
-    socket.on("getResults", (callback) => {
-        try {
-            const room = roomManager.getRoomByPlayerId(userId);
-            if (!room) {
-                throw new Error('You are not in any room');
-            }
+    onCommand("cancelMatchmaking", () => cluster.run(MATCHMAKING_QUEUE_ID, "cancelMatchmaking", context));
 
-            const results = room.game.getResults();
+    // ==================== PRESENCE ====================
 
-            callback({
-                success: true,
-                results
-            });
+    // Users whose presence this socket follows
+    let followedIds = [];
 
-        } catch (error) {
-            console.error(`[SOCKET] Error getting results:`, error.message);
-            callback({
-                success: false,
-                error: error.message
-            });
+    /**
+     * Follow the online status of your friends (`presenceUpdated`); returns where each of them is now
+     * Call again after your friends list changed.
+     */
+    onCommand("subscribePresence", async () => {
+        const user = await User.findById(userId).select("friends").lean();
+
+        followedIds.forEach(followedId => socket.leave(presenceChannel(followedId)));
+        followedIds = (user?.friends ?? []).map(friendId => friendId.toString());
+        socket.join(followedIds.map(presenceChannel));
+
+        return {
+            presence: await presence.lookup(followedIds)
+        };
+    });
+
+    /**
+     * Stop following your friends' online status
+     */
+    onCommand("unsubscribePresence", async () => {
+        followedIds.forEach(followedId => socket.leave(presenceChannel(followedId)));
+        followedIds = [];
+
+        return {
+            message: 'Unsubscribed from presence updates'
+        };
+    });
+
+    // ==================== DIRECT MESSAGES ====================
+
+    /**
+     * Tell a friend you started (or stopped) typing a direct message to them
+     * The messages themselves go through the REST API (POST /api/messages/:friendId).
+     */
+    onCommand("typing", async ({ friendId, isTyping = true }) => {
+        const relationship = await getRelationship(userId, friendId);
+        if (!relationship.friends || relationship.blocked) {
+            throw new Error('You can only message friends');
         }
+
+        io.to(playerChannel(friendId)).emit("friendTyping", {
+            userId,
+            userName,
+            isTyping: !!isTyping
+        });
+
+        return {};
     });
 
     // ==================== ADMIN/DEBUG ====================
 
     /**
-     * Get server statistics
+     * Get server statistics (for this node)
      */
-    socket.on("getServerStats", (callback) => {
-        try {
-            const stats = roomManager.getStats();
-            callback({
-                success: true,
-                stats
-            });
-        } catch (error) {
-            console.error(`[SOCKET] Error getting stats:`, error.message);
-            callback({
-                success: false,
-                error: error.message
-            });
+    onCommand("getServerStats", async () => ({
+        stats: {
+            ...roomManager.getStats(),
+            nodeId: cluster.nodeId
+        }
+    }));
+
+    // ==================== RECONNECTION ====================
+
+    const rebind = async () => {
+        const membership = await findMembership(userId);
+        if (!membership) {
+            return;
         }
+
+        // Extra tabs of a spectator watch along
+        if (membership.kind === MEMBER_KINDS.SPECTATOR) {
+            socket.join([membership.roomId, spectatorChannel(membership.roomId)]);
+            return;
+        }
+
+        // A user still seated in a room gets the current state replayed to this socket
+        const rejoin = await cluster.run(membership.roomId, "rejoinRoom", context);
+        if (!rejoin) {
+            return;
+        }
+
+        socket.emit("rejoinedRoom", rejoin.rejoined);
+        if (rejoin.card) {
+            socket.emit("yourCard", rejoin.card);
+        }
+    };
+
+    rebind().catch(error => {
+        console.error(`[SOCKET] Error rejoining room:`, error.message);
     });
 
     // ==================== DISCONNECT ====================
 
-    socket.on("disconnect", (reason) => {
+    socket.on("disconnect", async (reason) => {
         try {
             console.log(`[SOCKET] User disconnected: ${userName} (${userId}), Reason: ${reason}`);
 
-            // Auto-leave room on disconnect
-            const room = roomManager.getRoomByPlayerId(userId);
-            if (room) {
-                const roomId = room.roomId;
-                const result = roomManager.leaveRoom(userId);
-
-                if (result.roomDeleted) {
-                    io.emit("roomDeleted", { roomId });
-                } else {
-                    io.to(roomId).emit("playerLeft", {
-                        playerId: userId,
-                        room: room.toPublicData(),
-                        wasCreator: result.wasCreator
-                    });
-
-                    // If game was in progress, end it
-                    if (room.game && room.players.length < 4 && room.game.state === 'playing') {
-                        const results = room.game.forceEndGame();
-                        io.to(roomId).emit("gameForceEnded", {
-                            reason: 'Player disconnected',
-                            results
-                        });
-                    }
-                }
-
-                // Broadcast room list update
-                io.emit("roomListUpdated", {
-                    rooms: roomManager.getAllRooms({ notFull: true })
-                });
+            publishPresence();
+
+            if (queued) {
+                await cluster.run(MATCHMAKING_QUEUE_ID, "matchmakingDisconnected", context);
             }
+
+            const membership = await findMembership(userId);
+            if (!membership) {
+                return;
+            }
+
+            await cluster.run(membership.roomId, "userDisconnected", context);
         } catch (error) {
             console.error(`[SOCKET] Error on disconnect:`, error.message);
         }
@@ -476,6 +1565,7 @@ app.get("/", (req, res) => {
 
 // Make io instance available to routes via app.locals
 app.locals.io = io;
+app.locals.presence = presence;
 
 // 404 Handler - Must be after all routes
 app.use(notFoundHandler);
@@ -483,4 +1573,4 @@ app.use(notFoundHandler);
 // Global Error Handler - Must be last
 app.use(errorHandler);
 
-export { httpServer, io };
\ No newline at end of file
+export { httpServer, io, startCluster, stopServer, restoreRooms };
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * Computer-controlled players
+ *
+ * A bot sits in a room as a regular Player (with `isBot` set and a `bot` brain
+ * attached). GameManager hands it its card in sendCardsToPlayers and, when the
+ * card makes it a guesser, asks the brain whom to accuse and how long to think.
+ */
+
+export const BOT_DIFFICULTIES = Object.freeze(['easy', 'hard']);
+export const DEFAULT_BOT_DIFFICULTY = 'easy';
+
+const BOT_NAMES = [
+    'Akbar', 'Birbal', 'Chanakya', 'Draupadi', 'Ekalavya', 'Ganga',
+    'Harsha', 'Indra', 'Jhansi', 'Kalidasa', 'Lakshmi', 'Meera'
+];
+
+// Think times (ms) before a bot guesses
+const MIN_THINK_TIME = 1500;
+const DEFAULT_THINK_TIME = { min: 3000, max: 8000 };
+const THINK_TIME_MARGIN = 1000; // Always guess this long before the round timer runs out
+
+// Reactions that give a card away: suspicion added for each one a player sent this round
+const TELLS = Object.freeze({ notMe: 3, sweating: 2 });
+
+const randomBetween = (min, max, random = Math.random) => min + random() * (max - min);
+
+const pickRandom = (items, random = Math.random) => items[Math.floor(random() * items.length)];
+
+/**
+ * Players the bot could still accuse: not itself, not a player it already
+ * accused this round, and not another guesser (guesser cards are public)
+ */
+const getCandidates = (game, botId) => {
+    const guess = game.guessers.get(botId);
+
+    return game.room.players
+        .map(player => player.id)
+        .filter(id => id !== botId
+            && !game.guessers.has(id)
+            && !guess.attempts.includes(id));
+};
+
+/**
+ * Guessing strategies by difficulty: (game, botId, random) => playerId
+ */
+const STRATEGIES = {
+    // Accuse anyone it can
+    easy: (game, botId, random) => pickRandom(getCandidates(game, botId), random),
+
+    // Every deal is a fresh uniform shuffle, so earlier rounds say nothing about this one;
+    // the table's reactions since the deal do. Players who protest their innocence or
+    // sweat (see TELLS) are suspected more, and without reactions this is a random pick.
+    hard: (game, botId, random) => {
+        const candidates = getCandidates(game, botId);
+
+        const weights = candidates.map(id => game.roundEmotes
+            .filter(entry => entry.playerId === id)
+            .reduce((weight, entry) => weight + (TELLS[entry.emote] ?? 0), 1));
+
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        let roll = random() * total;
+        for (let i = 0; i < candidates.length; i++) {
+            roll -= weights[i];
+            if (roll <= 0) return candidates[i];
+        }
+        return candidates[candidates.length - 1];
+    }
+};
+
+/**
+ * How long a human guesser took in earlier rounds (ms), or null if none has guessed yet
+ */
+const getHumanGuessTime = (game) => {
+    const durations = game.roundHistory
+        .filter(round => !round.timedOut && !game.room.getPlayer(round.mantriId)?.isBot)
+        .map(round => round.roundDuration)
+        .sort((a, b) => a - b);
+
+    return durations.length > 0 ? durations[Math.floor(durations.length / 2)] : null;
+};
+
+/**
+ * Create the brain for a bot player
+ * @param {string} difficulty - One of BOT_DIFFICULTIES
+ * @param {Object} [options]
+ * @param {Function} [options.random] - Source of uniform numbers in [0, 1), Math.random by default
+ */
+export const createBot = (difficulty = DEFAULT_BOT_DIFFICULTY, { random = Math.random } = {}) => {
+    if (!BOT_DIFFICULTIES.includes(difficulty)) {
+        throw new Error(`Bot difficulty must be one of: ${BOT_DIFFICULTIES.join(', ')}`);
+    }
+
+    return {
+        difficulty,
+        card: null,
+        round: 0,
+
+        /**
+         * Card dealt to the bot for a round
+         */
+        receiveCard(card, round) {
+            this.card = card;
+            this.round = round;
+        },
+
+        /**
+         * Pick the player to accuse
+         */
+        chooseGuess(game, botId) {
+            return STRATEGIES[this.difficulty](game, botId, random);
+        },
+
+        /**
+         * Milliseconds to wait before guessing, kept inside the time left in the round
+         * Hard bots pace themselves on how long the humans at the table take.
+         */
+        getThinkTime(game, timeLeft) {
+            const humanTime = this.difficulty === 'hard' ? getHumanGuessTime(game) : null;
+            const thinkTime = humanTime !== null
+                ? humanTime * randomBetween(0.8, 1.2, random)
+                : randomBetween(DEFAULT_THINK_TIME.min, DEFAULT_THINK_TIME.max, random);
+
+            return Math.max(Math.min(thinkTime, timeLeft - THINK_TIME_MARGIN), Math.min(MIN_THINK_TIME, timeLeft));
+        }
+    };
+};
+
+/**
+ * Pick a bot name that is not taken in the room
+ */
+export const pickBotName = (room) => {
+    const taken = new Set(room.players.map(player => player.name.toLowerCase()));
+    const available = BOT_NAMES.filter(name => !taken.has(`bot ${name}`.toLowerCase()));
+
+    if (available.length === 0) {
+        throw new Error('No bot names left for this room');
+    }
+
+    return `Bot ${pickRandom(available)}`;
+};
@@ -0,0 +1,57 @@
+import { ClusterAdapterWithHeartbeat } from 'socket.io-adapter';
+
+/**
+ * Socket.IO adapter that links the servers of a cluster over an event bus
+ *
+ * Broadcasts, room joins/leaves and fetchSockets() issued on any node reach the
+ * sockets connected to every node, so code holding `io` (GameManager included)
+ * can emit to a room without knowing where its players are connected.
+ * Messages go out as JSON, so packets must not carry binary attachments.
+ */
+class BusAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp, bus, opts) {
+        super(nsp, opts);
+        this.bus = bus;
+        this.channel = `socket.io#${nsp.name}`;
+        this.responseChannel = `${this.channel}#${this.uid}`;
+
+        this.onBusMessage = (message) => this.onMessage(message);
+        this.onBusResponse = (response) => this.onResponse(response);
+    }
+
+    async init() {
+        await Promise.all([
+            this.bus.subscribe(this.channel, this.onBusMessage),
+            this.bus.subscribe(this.responseChannel, this.onBusResponse)
+        ]);
+        super.init();
+    }
+
+    close() {
+        super.close();
+        return Promise.all([
+            this.bus.unsubscribe(this.channel, this.onBusMessage),
+            this.bus.unsubscribe(this.responseChannel, this.onBusResponse)
+        ]);
+    }
+
+    async doPublish(message) {
+        await this.bus.publish(this.channel, message);
+        // Offsets are only needed for connection state recovery, which is not enabled
+        return '';
+    }
+
+    async doPublishResponse(requesterUid, response) {
+        await this.bus.publish(`${this.channel}#${requesterUid}`, response);
+    }
+}
+
+/**
+ * Adapter constructor for io.adapter(), bound to an event bus
+ * @param {Object} bus - Event bus from eventBus.js
+ * @param {Object} opts - Heartbeat options (see socket.io-adapter ClusterAdapterOptions)
+ */
+export const createBusAdapter = (bus, opts = {}) =>
+    function (nsp) {
+        return new BusAdapter(nsp, bus, opts);
+    };
@@ -0,0 +1,47 @@
+/**
+ * Room chat rules: message limits and the profanity filter
+ */
+
+// Messages kept per room (older ones are dropped)
+export const CHAT_HISTORY_LIMIT = 100;
+
+export const CHAT_MESSAGE_MAX_LENGTH = 200;
+
+// At most `messages` per user within `window` ms
+export const CHAT_RATE_LIMIT = Object.freeze({ messages: 5, window: 10000 });
+
+const PROFANITY = [
+    'arse', 'asshole', 'bastard', 'bitch', 'bollocks', 'bullshit', 'cock', 'crap', 'cunt', 'dick',
+    'fuck', 'motherfucker', 'piss', 'prick', 'pussy', 'shit', 'slut', 'twat', 'wanker', 'whore',
+    // Common Hindi insults, since the game is most popular with Hindi speakers
+    'bhenchod', 'behenchod', 'bsdk', 'chutiya', 'gandu', 'harami', 'kamina', 'madarchod', 'randi'
+];
+
+// Whole words plus their inflections (fucking, shits), without catching words like "class" or "scrap"
+const PROFANITY_PATTERN = new RegExp(`\\b(${PROFANITY.join('|')})(s|es|ed|er|ers|ing|y)?\\b`, 'gi');
+
+/**
+ * Mask profane words, keeping their first letter ("shit" -> "s***")
+ */
+export const filterProfanity = (text) =>
+    text.replace(PROFANITY_PATTERN, word => word[0] + '*'.repeat(word.length - 1));
+
+/**
+ * Validate and clean a chat message
+ * @returns {string} Text ready to be shown to others
+ */
+export const sanitizeChatText = (text) => {
+    if (typeof text !== 'string') {
+        throw new Error('Invalid message');
+    }
+
+    const trimmed = text.replace(/[<>]/g, '').trim();
+    if (trimmed.length === 0) {
+        throw new Error('Message cannot be empty');
+    }
+    if (trimmed.length > CHAT_MESSAGE_MAX_LENGTH) {
+        throw new Error(`Messages can be at most ${CHAT_MESSAGE_MAX_LENGTH} characters`);
+    }
+
+    return filterProfanity(trimmed);
+};
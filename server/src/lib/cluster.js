@@ -0,0 +1,254 @@
+import crypto from 'crypto';
+
+/**
+ * Room ownership and command routing between the nodes of a cluster
+ *
+ * Every room's authoritative state and game loop live on a single node, the
+ * owner, which holds a lease on the room in the state store and keeps renewing
+ * it. A command for a room (a guess, a leave, ...) may arrive on any node; it is
+ * run where the room lives, forwarded over the event bus when that is elsewhere.
+ * When an owner dies its leases lapse, and the next node that needs one of its
+ * rooms claims the lease and adopts the room from its last snapshot.
+ */
+
+// How long an owner lease lasts and how often owners renew theirs
+const LEASE_TTL = 15000;
+const LEASE_RENEW_INTERVAL = 5000;
+
+// How long to wait for another node to answer a forwarded command
+const REQUEST_TIMEOUT = 5000;
+
+class ClusterNode {
+    /**
+     * @param {Object} options
+     * @param {Object} options.bus - Event bus (eventBus.js)
+     * @param {Object} options.store - Room state store (stateStore.js)
+     * @param {Object} options.commands - name -> (context, payload) => result, run for rooms owned here
+     * @param {Function} options.adoptRoom - (roomId) => Promise<boolean>, brings an orphaned room to this node
+     * @param {Function} options.dropRoom - (roomId) => void, forgets a room whose lease went to another node
+     */
+    constructor({ bus, store, commands, adoptRoom, dropRoom }) {
+        this.nodeId = crypto.randomUUID();
+        this.bus = bus;
+        this.store = store;
+        this.commands = commands;
+        this.adoptRoom = adoptRoom;
+        this.dropRoom = dropRoom;
+
+        this.ownedRooms = new Set();
+        this.adoptions = new Map(); // roomId -> pending adoption
+        this.pendingRequests = new Map(); // requestId -> { resolve, reject, timeoutId }
+        this.renewInterval = null;
+
+        this.onBusMessage = (message) => this.handleMessage(message);
+    }
+
+    /**
+     * Channel a node receives forwarded commands and replies on
+     */
+    channelFor(nodeId) {
+        return `node#${nodeId}`;
+    }
+
+    /**
+     * Start taking forwarded commands and renewing leases
+     */
+    async start() {
+        await this.bus.subscribe(this.channelFor(this.nodeId), this.onBusMessage);
+
+        this.renewInterval = setInterval(() => {
+            this.renewLeases().catch(error => {
+                console.error('[CLUSTER] Failed to renew room leases:', error.message);
+            });
+        }, LEASE_RENEW_INTERVAL);
+
+        console.log(`[CLUSTER] Node ${this.nodeId} started`);
+    }
+
+    /**
+     * Stop and hand back every lease so other nodes can take the rooms over at once
+     */
+    async stop() {
+        clearInterval(this.renewInterval);
+        this.renewInterval = null;
+
+        await this.bus.unsubscribe(this.channelFor(this.nodeId), this.onBusMessage);
+        await Promise.all([...this.ownedRooms].map(roomId => this.releaseRoom(roomId)));
+
+        this.pendingRequests.forEach(({ reject, timeoutId }) => {
+            clearTimeout(timeoutId);
+            reject(new Error('Server is shutting down'));
+        });
+        this.pendingRequests.clear();
+    }
+
+    // ==================== OWNERSHIP ====================
+
+    /**
+     * Take the lease on a room; returns false if another node already owns it
+     */
+    async claimRoom(roomId) {
+        const owner = await this.store.claimRoom(roomId, this.nodeId, LEASE_TTL);
+        if (owner !== this.nodeId) {
+            return false;
+        }
+
+        this.ownedRooms.add(roomId);
+        return true;
+    }
+
+    /**
+     * Give up the lease on a room (e.g. once it is deleted)
+     */
+    async releaseRoom(roomId) {
+        this.ownedRooms.delete(roomId);
+        await this.store.releaseRoom(roomId, this.nodeId);
+    }
+
+    /**
+     * Renew every lease held here, dropping rooms another node has taken over meanwhile
+     */
+    async renewLeases() {
+        for (const roomId of [...this.ownedRooms]) {
+            if (!await this.store.renewRoom(roomId, this.nodeId, LEASE_TTL)) {
+                console.warn(`[CLUSTER] Lost the lease on room ${roomId}`);
+                this.ownedRooms.delete(roomId);
+                this.dropRoom(roomId);
+            }
+        }
+    }
+
+    /**
+     * Node that runs a room, adopting it here if its owner is gone
+     * Returns null for a room that no longer exists anywhere.
+     */
+    async ownerOf(roomId) {
+        if (this.ownedRooms.has(roomId)) {
+            return this.nodeId;
+        }
+
+        const owner = await this.store.getRoomOwner(roomId);
+        if (owner) {
+            return owner;
+        }
+
+        // Concurrent commands for the same orphaned room share one adoption
+        if (!this.adoptions.has(roomId)) {
+            this.adoptions.set(roomId, this.adopt(roomId).finally(() => this.adoptions.delete(roomId)));
+        }
+        return this.adoptions.get(roomId);
+    }
+
+    async adopt(roomId) {
+        if (!await this.claimRoom(roomId)) {
+            return this.store.getRoomOwner(roomId);
+        }
+
+        try {
+            if (await this.adoptRoom(roomId)) {
+                console.log(`[CLUSTER] Adopted room ${roomId}`);
+                return this.nodeId;
+            }
+        } catch (error) {
+            console.error(`[CLUSTER] Could not adopt room ${roomId}:`, error.message);
+        }
+
+        await this.releaseRoom(roomId);
+        return null;
+    }
+
+    // ==================== COMMANDS ====================
+
+    /**
+     * Run a command on the node that owns a room (here, without a room)
+     * Errors thrown by the command are rethrown to the caller on every node.
+     */
+    async run(roomId, command, context, payload = {}) {
+        const owner = roomId ? await this.ownerOf(roomId) : this.nodeId;
+
+        if (!owner || owner === this.nodeId) {
+            return this.runLocal(command, context, payload);
+        }
+
+        return this.request(owner, command, context, payload);
+    }
+
+    async runLocal(command, context, payload) {
+        const handler = this.commands[command];
+        if (!handler) {
+            throw new Error(`Unknown command: ${command}`);
+        }
+        return handler(context, payload);
+    }
+
+    /**
+     * Forward a command to another node and wait for its reply
+     */
+    request(nodeId, command, context, payload) {
+        const requestId = crypto.randomUUID();
+
+        return new Promise((resolve, reject) => {
+            const timeoutId = setTimeout(() => {
+                this.pendingRequests.delete(requestId);
+                reject(new Error('The room server did not respond. Please try again.'));
+            }, REQUEST_TIMEOUT);
+
+            this.pendingRequests.set(requestId, { resolve, reject, timeoutId });
+
+            this.bus.publish(this.channelFor(nodeId), {
+                type: 'request',
+                requestId,
+                replyTo: this.nodeId,
+                command,
+                context,
+                payload
+            }).catch(error => {
+                clearTimeout(timeoutId);
+                this.pendingRequests.delete(requestId);
+                reject(error);
+            });
+        });
+    }
+
+    handleMessage(message) {
+        if (message.type === 'request') {
+            this.handleRequest(message);
+        } else if (message.type === 'reply') {
+            this.handleReply(message);
+        }
+    }
+
+    async handleRequest({ requestId, replyTo, command, context, payload }) {
+        let reply;
+        try {
+            reply = { type: 'reply', requestId, result: await this.runLocal(command, context, payload) };
+        } catch (error) {
+            reply = { type: 'reply', requestId, error: error.message };
+        }
+
+        this.bus.publish(this.channelFor(replyTo), reply).catch(error => {
+            console.error(`[CLUSTER] Failed to reply to ${command}:`, error.message);
+        });
+    }
+
+    handleReply({ requestId, result, error }) {
+        const pending = this.pendingRequests.get(requestId);
+        if (!pending) {
+            return;
+        }
+
+        clearTimeout(pending.timeoutId);
+        this.pendingRequests.delete(requestId);
+
+        if (error) {
+            pending.reject(new Error(error));
+        } else {
+            pending.resolve(result);
+        }
+    }
+}
+
+/**
+ * Create this process's node of the cluster
+ */
+export const createClusterNode = (options) => new ClusterNode(options);
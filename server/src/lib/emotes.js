@@ -0,0 +1,23 @@
+/**
+ * Quick reactions players can fire while the guessers hunt (emote id -> what is shown)
+ */
+export const EMOTES = Object.freeze({
+    suspicious: '🤨',
+    laughing: '😂',
+    notMe: "It's not me!",
+    thinking: '🤔',
+    sweating: '😅',
+    gotYou: 'Got you!'
+});
+
+// Minimum milliseconds between two emotes of the same player
+export const EMOTE_COOLDOWN = 1500;
+
+/**
+ * Check that an emote id is one of EMOTES
+ */
+export const validateEmote = (emote) => {
+    if (!Object.hasOwn(EMOTES, emote)) {
+        throw new Error('Unknown emote');
+    }
+};
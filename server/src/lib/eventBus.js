@@ -0,0 +1,131 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Cross-process event bus
+ *
+ * Nodes of the cluster talk over named channels: the Socket.IO adapter relays
+ * broadcasts on them and room commands are forwarded to a room's owning node.
+ * Messages are plain JSON-serializable objects, delivered in publish order to
+ * every subscriber of the channel (including the publisher, if subscribed).
+ *
+ * Every bus exposes:
+ *   publish(channel, message)      -> Promise
+ *   subscribe(channel, handler)    -> Promise, handler(message)
+ *   unsubscribe(channel, handler)  -> Promise
+ *   close()                        -> Promise
+ */
+
+/**
+ * Raw-message listener for a handler on a channel (the same one every time, so it can be removed)
+ */
+const listenerFor = (listeners, channel, handler) => {
+    if (!listeners.has(channel)) {
+        listeners.set(channel, new Map());
+    }
+
+    const byHandler = listeners.get(channel);
+    if (!byHandler.has(handler)) {
+        byHandler.set(handler, (data) => {
+            try {
+                handler(JSON.parse(data));
+            } catch (error) {
+                console.error(`[BUS] Error handling message on ${channel}:`, error.message);
+            }
+        });
+    }
+
+    return byHandler.get(handler);
+};
+
+/**
+ * Bus inside a single process (the default for a one-node deployment)
+ * Several nodes can share one instance, which is how a cluster is run in one process.
+ */
+class MemoryEventBus {
+    constructor() {
+        this.emitter = new EventEmitter();
+        this.emitter.setMaxListeners(0);
+        this.listeners = new Map(); // channel -> handler -> raw message listener
+    }
+
+    async publish(channel, message) {
+        // Behave like a broker: subscribers get their own copy, on a later tick, in publish order
+        const data = JSON.stringify(message);
+        setImmediate(() => this.emitter.emit(channel, data));
+    }
+
+    async subscribe(channel, handler) {
+        this.emitter.on(channel, listenerFor(this.listeners, channel, handler));
+    }
+
+    async unsubscribe(channel, handler) {
+        this.emitter.off(channel, listenerFor(this.listeners, channel, handler));
+    }
+
+    async close() {
+        this.emitter.removeAllListeners();
+        this.listeners.clear();
+    }
+}
+
+/**
+ * Bus over Redis pub/sub
+ * Takes a connected node-redis compatible client; subscriptions run on a duplicate
+ * connection since a subscribed Redis connection cannot issue other commands.
+ */
+class RedisEventBus {
+    constructor(client, { prefix = 'cluster' } = {}) {
+        this.client = client;
+        this.prefix = prefix;
+        this.subscriber = null;
+        this.listeners = new Map(); // channel -> handler -> raw message listener
+    }
+
+    /**
+     * Key of a channel on the Redis server
+     */
+    channelName(channel) {
+        return `${this.prefix}:${channel}`;
+    }
+
+    async getSubscriber() {
+        if (!this.subscriber) {
+            this.subscriber = this.client.duplicate();
+            await this.subscriber.connect();
+        }
+        return this.subscriber;
+    }
+
+    async publish(channel, message) {
+        await this.client.publish(this.channelName(channel), JSON.stringify(message));
+    }
+
+    async subscribe(channel, handler) {
+        const subscriber = await this.getSubscriber();
+        await subscriber.subscribe(this.channelName(channel), listenerFor(this.listeners, channel, handler));
+    }
+
+    async unsubscribe(channel, handler) {
+        if (this.subscriber) {
+            await this.subscriber.unsubscribe(this.channelName(channel), listenerFor(this.listeners, channel, handler));
+        }
+    }
+
+    async close() {
+        if (this.subscriber) {
+            await this.subscriber.quit();
+            this.subscriber = null;
+        }
+        this.listeners.clear();
+    }
+}
+
+/**
+ * Create an in-process event bus
+ */
+export const createMemoryEventBus = () => new MemoryEventBus();
+
+/**
+ * Create an event bus on a connected Redis client
+ */
+export const createRedisEventBus = (client, options) => new RedisEventBus(client, options);
@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+
+/**
+ * Provably fair dealing (commit-reveal)
+ *
+ * Every game draws a secret server seed. The SHA-256 hash of its bytes (the same
+ * hex-decoded bytes that key the shuffles below) is published when the game starts and the seed itself is revealed with the results, so players can
+ * check that the seed was fixed before the first deal and re-run every shuffle.
+ *
+ * Round shuffles are a Fisher-Yates over the deck driven by HMAC-SHA256 blocks:
+ *   key     = server seed (hex decoded)
+ *   message = "<round>:<block>" for block = 0, 1, 2, ...
+ * Each 32-byte block yields eight big-endian uint32 values, consumed in order.
+ * A value for a swap index in [0, n) is rejected when it falls at or above the
+ * largest multiple of n below 2^32, so every index is equally likely.
+ * The shuffled deck is dealt in order to the players in seating order.
+ */
+
+export const FAIRNESS_ALGORITHM = 'hmac-sha256-fisher-yates';
+
+const SEED_BYTES = 32;
+const UINT32_RANGE = 2 ** 32;
+
+/**
+ * Draw a new secret server seed (hex)
+ */
+export const createServerSeed = () => crypto.randomBytes(SEED_BYTES).toString('hex');
+
+/**
+ * Public commitment to a server seed: SHA-256 of the hex-decoded seed bytes
+ */
+export const hashServerSeed = (serverSeed) =>
+    crypto.createHash('sha256').update(Buffer.from(serverSeed, 'hex')).digest('hex');
+
+/**
+ * Deterministic random source for one round, seeded from the server seed
+ * Returns a function giving uniform integers in [0, n)
+ */
+export const createRoundRandom = (serverSeed, round) => {
+    const key = Buffer.from(serverSeed, 'hex');
+    let block = 0;
+    let values = [];
+
+    const nextUint32 = () => {
+        if (values.length === 0) {
+            const digest = crypto.createHmac('sha256', key).update(`${round}:${block++}`).digest();
+            for (let offset = 0; offset < digest.length; offset += 4) {
+                values.push(digest.readUInt32BE(offset));
+            }
+        }
+        return values.shift();
+    };
+
+    return (n) => {
+        const limit = UINT32_RANGE - (UINT32_RANGE % n);
+        let value = nextUint32();
+        while (value >= limit) {
+            value = nextUint32();
+        }
+        return value % n;
+    };
+};
+
+/**
+ * Shuffle a deck for a round (returns a new array)
+ */
+export const shuffleDeck = (deck, serverSeed, round) => {
+    const randomInt = createRoundRandom(serverSeed, round);
+    const cards = [...deck];
+
+    for (let i = cards.length - 1; i > 0; i--) {
+        const j = randomInt(i + 1);
+        [cards[i], cards[j]] = [cards[j], cards[i]];
+    }
+
+    return cards;
+};
+
+/**
+ * Re-run a round's deal and check it against the cards that were handed out
+ * @param {Object} options
+ * @param {string} options.serverSeed - Revealed seed
+ * @param {string} options.seedHash - Hash published at game start
+ * @param {string[]} options.deck - Deck before shuffling
+ * @param {number} options.round - Round number
+ * @param {string[]} options.dealOrder - Player ids in the order cards were dealt
+ * @param {Object} options.cards - playerId -> card dealt that round
+ */
+export const verifyDeal = ({ serverSeed, seedHash, deck, round, dealOrder, cards }) => {
+    if (hashServerSeed(serverSeed) !== seedHash) {
+        return false;
+    }
+
+    const shuffled = shuffleDeck(deck, serverSeed, round);
+    return dealOrder.every((playerId, index) => cards[playerId] === shuffled[index]);
+};
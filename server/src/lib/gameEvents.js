@@ -0,0 +1,235 @@
+/**
+ * Event-sourced game log
+ *
+ * GameManager appends a typed, timestamped, sequence-numbered event for every
+ * state transition of a game. Events are facts: they carry the outcome the
+ * manager computed (who was dealt what, whether a guess was right, what a round
+ * scored), so folding the log rebuilds the game state without re-running any
+ * rules. The log is append-only and its events are frozen copies, so later
+ * changes to the live state can never rewrite history.
+ */
+
+export const GAME_EVENTS = Object.freeze({
+    GAME_STARTED: 'gameStarted',
+    ROUND_STARTED: 'roundStarted',
+    CARDS_DEALT: 'cardsDealt',
+    GUESS_MADE: 'guessMade',
+    ROUND_TIMED_OUT: 'roundTimedOut',
+    ROUND_SCORED: 'roundScored',
+    GAME_PAUSED: 'gamePaused',
+    GAME_RESUMED: 'gameResumed',
+    GAME_ENDED: 'gameEnded',
+    GAME_RESET: 'gameReset'
+});
+
+const EVENT_TYPES = Object.values(GAME_EVENTS);
+
+const deepFreeze = (value) => {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+};
+
+/**
+ * Append-only list of events for a single game
+ */
+export class GameEventLog {
+    constructor() {
+        this.events = [];
+    }
+
+    /**
+     * Record a transition; the data is copied so the event cannot change afterwards
+     * @param {string} type - One of GAME_EVENTS
+     * @param {Object} data - Event payload (plain, cloneable data)
+     */
+    append(type, data = {}) {
+        if (!EVENT_TYPES.includes(type)) {
+            throw new Error(`Unknown game event: ${type}`);
+        }
+
+        const event = deepFreeze({
+            seq: this.events.length + 1,
+            type,
+            at: Date.now(),
+            data: structuredClone(data)
+        });
+
+        this.events.push(event);
+        return event;
+    }
+
+    /**
+     * Rebuild a log from stored events (e.g. a crash-recovery snapshot)
+     */
+    static fromEvents(events = []) {
+        const log = new GameEventLog();
+        events.forEach((event, index) => {
+            if (event.seq !== index + 1) {
+                throw new Error(`Game event ${event.seq} is out of sequence (expected ${index + 1})`);
+            }
+            log.events.push(deepFreeze(structuredClone(event)));
+        });
+        return log;
+    }
+
+    /**
+     * Events after a sequence number (all of them by default)
+     */
+    getEvents(afterSeq = 0) {
+        return this.events.slice(afterSeq);
+    }
+
+    get length() {
+        return this.events.length;
+    }
+}
+
+/**
+ * State of a game before its first event
+ */
+const initialState = () => ({
+    state: 'waiting',
+    phase: 'waiting',
+    currentRound: 0,
+    maxRounds: null,
+    variant: null,
+    seedHash: null,
+    participants: [],
+    scores: {},
+    cards: {},
+    dealOrder: [],
+    guessers: {},
+    roundTimedOut: false,
+    roundHistory: [],
+    isPaused: false,
+    endReason: null,
+    startedAt: null,
+    endedAt: null,
+    lastSeq: 0
+});
+
+/**
+ * How each event moves the state (reducers return a new state)
+ */
+const REDUCERS = {
+    [GAME_EVENTS.GAME_STARTED]: (state, { maxRounds, variant, seedHash, participants }, at) => ({
+        ...initialState(),
+        state: 'playing',
+        maxRounds,
+        variant,
+        seedHash,
+        participants,
+        scores: Object.fromEntries(participants.map(p => [p.id, 0])),
+        startedAt: at
+    }),
+
+    [GAME_EVENTS.ROUND_STARTED]: (state, { round }) => ({
+        ...state,
+        phase: 'guessing',
+        currentRound: round,
+        cards: {},
+        dealOrder: [],
+        guessers: {},
+        roundTimedOut: false
+    }),
+
+    [GAME_EVENTS.CARDS_DEALT]: (state, { cards, dealOrder, guessers }) => ({
+        ...state,
+        cards,
+        dealOrder,
+        guessers: Object.fromEntries(Object.entries(guessers).map(([id, guesser]) => [id, {
+            ...guesser,
+            attempts: [],
+            guessedAfter: null,
+            guessedPlayerId: null,
+            isCorrect: false
+        }]))
+    }),
+
+    [GAME_EVENTS.GUESS_MADE]: (state, { guesserId, guessedPlayerId, isCorrect, guessedAfter }) => {
+        const guesser = state.guessers[guesserId];
+        return {
+            ...state,
+            guessers: {
+                ...state.guessers,
+                [guesserId]: {
+                    ...guesser,
+                    attempts: [...guesser.attempts, guessedPlayerId],
+                    guessedAfter,
+                    guessedPlayerId,
+                    isCorrect
+                }
+            }
+        };
+    },
+
+    [GAME_EVENTS.ROUND_TIMED_OUT]: (state) => ({
+        ...state,
+        roundTimedOut: true
+    }),
+
+    [GAME_EVENTS.ROUND_SCORED]: (state, { round, scores }) => {
+        const totals = { ...state.scores };
+        Object.entries(scores).forEach(([playerId, score]) => {
+            totals[playerId] = (totals[playerId] || 0) + score;
+        });
+
+        return {
+            ...state,
+            phase: 'reveal',
+            scores: totals,
+            roundHistory: [...state.roundHistory, {
+                round,
+                cards: state.cards,
+                guesses: Object.entries(state.guessers).map(([guesserId, guess]) => ({ guesserId, ...guess })),
+                timedOut: state.roundTimedOut,
+                scores
+            }]
+        };
+    },
+
+    [GAME_EVENTS.GAME_PAUSED]: (state) => ({
+        ...state,
+        isPaused: true
+    }),
+
+    [GAME_EVENTS.GAME_RESUMED]: (state) => ({
+        ...state,
+        isPaused: false
+    }),
+
+    [GAME_EVENTS.GAME_ENDED]: (state, { endReason }, at) => ({
+        ...state,
+        state: 'finished',
+        phase: 'finished',
+        isPaused: false,
+        endReason,
+        endedAt: at
+    }),
+
+    [GAME_EVENTS.GAME_RESET]: () => initialState()
+};
+
+/**
+ * Rebuild a game's state by folding its events in order
+ * @param {Array} events - Events from GameEventLog (or a persisted game record)
+ */
+export const foldGameEvents = (events) =>
+    events.reduce((state, event) => {
+        if (event.seq !== state.lastSeq + 1) {
+            throw new Error(`Game event ${event.seq} is out of sequence (expected ${state.lastSeq + 1})`);
+        }
+
+        const reducer = REDUCERS[event.type];
+        if (!reducer) {
+            throw new Error(`Unknown game event: ${event.type}`);
+        }
+
+        return {
+            ...reducer(state, event.data, event.at),
+            lastSeq: event.seq
+        };
+    }, initialState());
@@ -1,3 +1,19 @@
+import { recordFinishedGame } from './gameRecorder.js';
+import { getVariant, isGuessComplete, getGuessesLeft } from './variants.js';
+import { FAIRNESS_ALGORITHM, createServerSeed, hashServerSeed, shuffleDeck } from './fairness.js';
+import { GameEventLog, GAME_EVENTS, foldGameEvents } from './gameEvents.js';
+import { EMOTE_COOLDOWN, validateEmote } from './emotes.js';
+
+/**
+ * Socket.IO room every socket of a user joins, used for private events
+ */
+export const playerChannel = (playerId) => `user:${playerId}`;
+
+/**
+ * Socket.IO room for a room's spectators (on top of the room itself), used for spectator-only events
+ */
+export const spectatorChannel = (roomId) => `${roomId}:spectators`;
+
 /**
  * GameManager - Manages game state and logic for Raja Mantri Chor Sipahi
  */
@@ -6,28 +22,53 @@ class GameManager {
         this.room = room;
         this.io = io; // Socket.IO instance for timer events
         this.state = 'waiting'; // waiting, playing, finished
+        this.phase = 'waiting'; // waiting, countdown, guessing, reveal, finished
         this.currentRound = 0;
-        this.maxRounds = 5;
 
-        // Timer Configuration (in milliseconds)
-        this.GAME_START_TIMER = 5000; // 5 seconds
-        this.ROUND_TIMER = 30000; // 30 seconds
-        this.NEXT_ROUND_TIMER = 5000; // 5 seconds
+        // Rounds, timers (in milliseconds), points and the rule variant come from the room settings
+        this.applySettings();
 
         // Timer IDs for cleanup
         this.gameStartTimerId = null;
+        this.gameStartIntervalId = null;
         this.roundTimerId = null;
         this.roundIntervalId = null; // For countdown updates
         this.nextRoundTimerId = null;
         this.nextRoundIntervalId = null;
+        this.botTimerIds = new Map(); // botId -> pending guess timeout
+        this.spectatorRevealTimerId = null;
 
         // Timer state
         this.roundTimeRemaining = 0;
         this.nextRoundCountdown = 0;
 
-        // Card distribution
-        this.cards = ['Raja', 'Mantri', 'Chor', 'Sipahi'];
+        // Server deadlines (epoch ms) so rejoining clients can resume their timers
+        this.gameStartsAt = null;
+        this.roundEndsAt = null;
+        this.nextRoundAt = null;
+
+        // Pause state (the running phase timer is frozen with its remaining time)
+        this.isPaused = false;
+        this.pausedAt = null;
+        this.pauseReason = null; // creator, vote, disconnect
+        this.pauseTimeRemaining = null;
+        this.pauseVotes = new Set(); // playerIds voting to pause
+        this.resumeVotes = new Set(); // playerIds voting to resume
+
+        // Card distribution (this.cards, the deck, is set by applySettings)
         this.currentCards = new Map(); // playerId -> card
+        this.dealOrder = []; // playerIds in the order the shuffled deck was dealt
+
+        // Commit-reveal seed for the game's shuffles (hash public from the start, seed revealed in the results)
+        this.serverSeed = null;
+        this.seedHash = null;
+
+        // Guesses for the current round
+        this.guessers = new Map(); // guesserId -> { role, targetRole, guessesAllowed, attempts, guessedAfter, guessedPlayerId, isCorrect }
+
+        // Reactions fired during the current guessing window (recorded with the round)
+        this.roundEmotes = []; // { playerId, emote, sentAfter }
+        this.lastEmoteAt = new Map(); // playerId -> timestamp, for throttling
 
         // Scoring
         this.scores = new Map(); // playerId -> total score
@@ -37,20 +78,48 @@ class GameManager {
         this.rajaPlayer = null;
         this.mantriPlayer = null;
         this.chorPlayer = null;
-        this.sipahiPlayer = null;
+        this.sipahiPlayer = null; // First dealt card of each role
 
         // Play again responses
         this.playAgainResponses = new Map(); // playerId -> boolean
 
+        // Everyone dealt into the current game, including players who leave mid-game
+        this.participants = []; // { id, name, isBot, kicked? }
+        this.endReason = null; // completed, forced
+
+        // Every transition of the current game, in order (a fresh log per game)
+        this.eventLog = new GameEventLog();
+
         // Timestamps
         this.gameStartTime = null;
         this.gameEndTime = null;
         this.roundStartTime = null;
+        this.cardsDealtAt = null;
 
         // Initialize scores for all players
         this.initializeScores();
     }
 
+    /**
+     * Load rules from the room settings (re-read before every game)
+     */
+    applySettings() {
+        const settings = this.room.settings;
+
+        this.maxRounds = settings.maxRounds;
+        this.GAME_START_TIMER = settings.gameStartCountdown * 1000;
+        this.ROUND_TIMER = settings.roundTimer * 1000;
+        this.NEXT_ROUND_TIMER = settings.nextRoundCountdown * 1000;
+        this.SPECTATOR_CARD_DELAY = settings.spectatorCardDelay === null
+            ? null
+            : settings.spectatorCardDelay * 1000;
+        this.points = { ...settings.points };
+
+        // Variant decides the deck, who guesses and how rounds are scored
+        this.variant = getVariant(settings.variant);
+        this.cards = this.variant.dealRoles(this.room.maxPlayers);
+    }
+
     /**
      * Initialize scores for all players in the room
      */
@@ -61,10 +130,7 @@ class GameManager {
     }
 
     /**
-     * Start the game
-     */
-    /**
-     * Start the game with 5-second countdown
+     * Start the game with the configured countdown
      */
     startGame() {
         // Validate preconditions
@@ -72,55 +138,119 @@ class GameManager {
             throw new Error('Game is already in progress');
         }
 
-        if (this.room.players.length !== 4) {
-            throw new Error('Exactly 4 players are required to start the game');
+        if (this.room.players.length !== this.room.maxPlayers) {
+            throw new Error(`Exactly ${this.room.maxPlayers} players are required to start the game`);
         }
 
+        if (this.room.players.some(p => !p.connected)) {
+            throw new Error('All players must be connected to start the game');
+        }
+
+        // Pick up any settings changed while the room was waiting
+        this.applySettings();
+
         console.log(`[GAME] Starting game countdown in room ${this.room.roomId}`);
 
-        // Start 5-second countdown
+        // Start countdown
         this.startGameStartCountdown();
 
+        const countdown = this.GAME_START_TIMER / 1000;
         return {
-            message: 'Game starting in 5 seconds...',
-            countdown: 5
+            message: `Game starting in ${countdown} seconds...`,
+            countdown
         };
     }
 
     /**
      * Execute game start countdown (called internally after validation)
+     * @param {number} duration - Milliseconds until the game starts (shorter when restoring a snapshot)
      */
-    startGameStartCountdown() {
-        let countdown = 5;
+    startGameStartCountdown(duration = this.GAME_START_TIMER) {
+        let countdown = Math.ceil(duration / 1000);
+        this.phase = 'countdown';
+        this.gameStartsAt = Date.now() + duration;
+        this.room.updateActivity();
 
         // Emit initial countdown
         this.emitToRoom('gameStartCountdown', { countdown });
 
         // Countdown interval
-        const intervalId = setInterval(() => {
+        this.gameStartIntervalId = setInterval(() => {
             countdown--;
             if (countdown > 0) {
                 this.emitToRoom('gameStartCountdown', { countdown });
             }
         }, 1000);
 
-        // After 5 seconds, actually start the game
+        // After the countdown, actually start the game
         this.gameStartTimerId = setTimeout(() => {
-            clearInterval(intervalId);
+            clearInterval(this.gameStartIntervalId);
+            this.gameStartIntervalId = null;
+            this.gameStartTimerId = null;
+            this.gameStartsAt = null;
             this.actuallyStartGame();
-        }, this.GAME_START_TIMER);
+        }, duration);
+    }
+
+    /**
+     * Call off the start countdown (a seat emptied before the deal) and wait for players again
+     * @returns {boolean} Whether a countdown was running
+     */
+    cancelStartCountdown(reason) {
+        if (this.phase !== 'countdown') {
+            return false;
+        }
+
+        if (this.gameStartTimerId) {
+            clearTimeout(this.gameStartTimerId);
+            this.gameStartTimerId = null;
+        }
+        if (this.gameStartIntervalId) {
+            clearInterval(this.gameStartIntervalId);
+            this.gameStartIntervalId = null;
+        }
+        this.gameStartsAt = null;
+        this.phase = 'waiting';
+        this.room.updateActivity();
+
+        console.log(`[GAME] Start countdown cancelled in room ${this.room.roomId}: ${reason}`);
+
+        this.emitToRoom('gameStartCancelled', { reason });
+        return true;
     }
 
     /**
      * Actually start the game (after countdown completes)
      */
     actuallyStartGame() {
+        // The deal needs a full table; a seat may have emptied during the countdown
+        if (this.room.players.length !== this.room.maxPlayers) {
+            this.cancelStartCountdown('Not enough players');
+            return;
+        }
+
         // Initialize game state
         this.state = 'playing';
         this.currentRound = 1;
         this.gameStartTime = Date.now();
         this.gameEndTime = null;
         this.roundHistory = [];
+        this.participants = this.room.players.map(p => ({ id: p.id, name: p.name, isBot: p.isBot }));
+        this.endReason = null;
+
+        // Commit to this game's shuffles before the first deal
+        this.serverSeed = createServerSeed();
+        this.seedHash = hashServerSeed(this.serverSeed);
+
+        this.eventLog = new GameEventLog();
+        this.eventLog.append(GAME_EVENTS.GAME_STARTED, {
+            maxRounds: this.maxRounds,
+            variant: this.variant.name,
+            points: this.points,
+            deck: this.cards,
+            seedHash: this.seedHash,
+            participants: this.participants
+        });
 
         // Update room state
         this.room.state = 'playing';
@@ -136,7 +266,9 @@ class GameManager {
             currentRound: this.currentRound,
             maxRounds: this.maxRounds,
             players: this.room.players.map(p => p.toPublicData()),
-            mantriPlayer: this.mantriPlayer
+            mantriPlayer: this.mantriPlayer,
+            guessers: this.getPublicGuessers(),
+            seedHash: this.seedHash
         });
 
         // Send cards privately to each player
@@ -147,32 +279,45 @@ class GameManager {
     }
 
     /**
-     * Distribute cards to all players using Fisher-Yates shuffle
+     * Distribute cards to all players using a Fisher-Yates shuffle seeded from the
+     * game's server seed and the round number (see fairness.js)
      */
     distributeCards() {
         // Clear previous round data
         this.currentCards.clear();
+        this.guessers.clear();
+        this.roundEmotes = [];
         this.rajaPlayer = null;
         this.mantriPlayer = null;
         this.chorPlayer = null;
         this.sipahiPlayer = null;
         this.roundStartTime = Date.now();
+        this.cardsDealtAt = Date.now();
+        this.eventLog.append(GAME_EVENTS.ROUND_STARTED, { round: this.currentRound });
 
-        // Create a copy of cards array
-        const availableCards = [...this.cards];
+        // Shuffled deck is dealt in seating order
+        const availableCards = shuffleDeck(this.cards, this.serverSeed, this.currentRound);
         const playerIds = this.room.players.map(p => p.id);
-
-        // Fisher-Yates shuffle for fair distribution
-        for (let i = availableCards.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [availableCards[i], availableCards[j]] = [availableCards[j], availableCards[i]];
-        }
+        this.dealOrder = playerIds;
 
         // Assign cards to players
         playerIds.forEach((playerId, index) => {
             const card = availableCards[index];
             this.currentCards.set(playerId, card);
 
+            const targetRole = this.variant.getTargetRole(card);
+            if (targetRole) {
+                this.guessers.set(playerId, {
+                    role: card,
+                    targetRole,
+                    guessesAllowed: this.variant.guessesAllowed,
+                    attempts: [],
+                    guessedAfter: null, // ms from the deal to the latest guess
+                    guessedPlayerId: null,
+                    isCorrect: false
+                });
+            }
+
             // Track special roles
             switch (card) {
                 case 'Raja':
@@ -182,7 +327,7 @@ class GameManager {
                     this.mantriPlayer = playerId;
                     break;
                 case 'Chor':
-                    this.chorPlayer = playerId;
+                    this.chorPlayer = this.chorPlayer || playerId;
                     break;
                 case 'Sipahi':
                     this.sipahiPlayer = playerId;
@@ -190,16 +335,29 @@ class GameManager {
             }
         });
 
+        this.eventLog.append(GAME_EVENTS.CARDS_DEALT, {
+            cards: Object.fromEntries(this.currentCards),
+            dealOrder: this.dealOrder,
+            guessers: Object.fromEntries([...this.guessers].map(([guesserId, guess]) => [guesserId, {
+                role: guess.role,
+                targetRole: guess.targetRole,
+                guessesAllowed: guess.guessesAllowed
+            }]))
+        });
+
         this.room.updateActivity();
 
         console.log(`[GAME] Cards distributed for round ${this.currentRound} in room ${this.room.roomId}`);
     }
 
     /**
-     * Start 30-second round timer
+     * Start the round timer
+     * @param {number} duration - Milliseconds left in the round (shorter when resuming a pause)
      */
-    startRoundTimer() {
-        this.roundTimeRemaining = this.ROUND_TIMER / 1000; // Convert to seconds
+    startRoundTimer(duration = this.ROUND_TIMER) {
+        this.roundTimeRemaining = Math.ceil(duration / 1000); // Convert to seconds
+        this.phase = 'guessing';
+        this.roundEndsAt = Date.now() + duration;
 
         // Emit initial timer state
         this.emitToRoom('roundTimerUpdate', {
@@ -220,56 +378,65 @@ class GameManager {
             }
         }, 1000);
 
-        // Auto-penalty after 30 seconds
+        // Auto-penalty when the round timer runs out
         this.roundTimerId = setTimeout(() => {
             this.handleRoundTimeout();
-        }, this.ROUND_TIMER);
+        }, duration);
+
+        this.scheduleBotGuesses(duration);
     }
 
     /**
-     * Handle round timeout (Mantri didn't guess in time)
+     * Let every bot guesser that still has guesses left think, then guess
+     * @param {number} timeLeft - Milliseconds left in the round
      */
-    handleRoundTimeout() {
-        console.log(`[GAME] Round ${this.currentRound} timed out in room ${this.room.roomId}`);
+    scheduleBotGuesses(timeLeft) {
+        this.guessers.forEach((guess, playerId) => {
+            const player = this.room.getPlayer(playerId);
+            if (!player?.isBot || isGuessComplete(guess) || this.botTimerIds.has(playerId)) {
+                return;
+            }
 
-        // Clear timer
-        this.clearRoundTimers();
+            const thinkTime = player.bot.getThinkTime(this, timeLeft);
+            this.botTimerIds.set(playerId, setTimeout(() => {
+                this.botTimerIds.delete(playerId);
+                this.makeBotGuess(player, timeLeft - thinkTime);
+            }, thinkTime));
+        });
+    }
 
-        // Calculate scores with Mantri penalty (isCorrect = false)
-        const roundScores = this.calculateRoundScores(false);
+    /**
+     * Submit a bot's guess through the same path as a human's
+     */
+    makeBotGuess(player, timeLeft) {
+        try {
+            const result = this.makeGuess(player.id, player.bot.chooseGuess(this, player.id));
 
-        // Update total scores
-        roundScores.forEach((score, playerId) => {
-            const currentScore = this.scores.get(playerId) || 0;
-            this.scores.set(playerId, currentScore + score);
-        });
+            // A miss with guesses left (doubleGuess) means thinking again
+            if (!result.roundComplete && result.guessesLeft > 0) {
+                this.scheduleBotGuesses(timeLeft);
+            }
+        } catch (error) {
+            console.error(`[GAME] Bot ${player.name} failed to guess in room ${this.room.roomId}:`, error.message);
+        }
+    }
 
-        // Record round history
-        const roundResult = {
-            round: this.currentRound,
-            mantriId: this.mantriPlayer,
-            guessedPlayerId: null,
-            actualChorId: this.chorPlayer,
-            isCorrect: false,
-            timedOut: true,
-            scores: Object.fromEntries(roundScores),
-            cards: Object.fromEntries(this.currentCards),
-            timestamp: Date.now(),
-            roundDuration: Date.now() - this.roundStartTime
-        };
-        this.roundHistory.push(roundResult);
+    /**
+     * Cancel pending bot guesses
+     */
+    clearBotTimers() {
+        this.botTimerIds.forEach(timerId => clearTimeout(timerId));
+        this.botTimerIds.clear();
+    }
 
-        // Emit timeout event
-        this.emitToRoom('roundTimeout', {
-            message: 'Time expired! Mantri failed to guess.',
-            roundScores: Object.fromEntries(roundScores),
-            totalScores: Object.fromEntries(this.scores),
-            cards: Object.fromEntries(this.currentCards),
-            chorPlayer: this.room.getPlayer(this.chorPlayer).toPublicData()
-        });
+    /**
+     * Handle round timeout (guessers who haven't guessed lose their points)
+     */
+    handleRoundTimeout() {
+        console.log(`[GAME] Round ${this.currentRound} timed out in room ${this.room.roomId}`);
 
-        // Schedule next round
-        this.scheduleNextRound();
+        this.eventLog.append(GAME_EVENTS.ROUND_TIMED_OUT, { round: this.currentRound });
+        this.completeRound(true);
     }
 
     /**
@@ -284,20 +451,26 @@ class GameManager {
             clearInterval(this.roundIntervalId);
             this.roundIntervalId = null;
         }
+        this.clearBotTimers();
+        this.roundEndsAt = null;
     }
 
     /**
-     * Make a guess (Mantri guesses who the Chor is)
+     * Make a guess (classic rules: the Mantri hunts the Chor, the Senapati hunts the Daku)
+     * The round ends once every guesser is done guessing.
      */
-    makeGuess(mantriId, guessedPlayerId) {
+    makeGuess(guesserId, guessedPlayerId) {
         // Validate game state
         if (this.state !== 'playing') {
             throw new Error('Game is not in progress');
         }
 
-        // Validate mantri
-        if (mantriId !== this.mantriPlayer) {
-            throw new Error('Only the Mantri can make guesses');
+        if (this.isPaused) {
+            throw new Error('Game is paused');
+        }
+
+        if (this.phase !== 'guessing') {
+            throw new Error('Guessing is closed for this round');
         }
 
         // Validate guessed player
@@ -305,17 +478,98 @@ class GameManager {
             throw new Error('Guessed player not found in room');
         }
 
-        // Cannot guess yourself
-        if (mantriId === guessedPlayerId) {
-            throw new Error('Mantri cannot guess themselves');
+        // Who may guess, how often and whom is up to the variant
+        const guess = this.guessers.get(guesserId);
+        this.variant.validateGuess({ guess, guesserId, guessedPlayerId });
+
+        guess.attempts.push(guessedPlayerId);
+        guess.guessedAfter = Date.now() - this.roundStartTime;
+        guess.guessedPlayerId = guessedPlayerId;
+        guess.isCorrect = this.currentCards.get(guessedPlayerId) === guess.targetRole;
+
+        this.eventLog.append(GAME_EVENTS.GUESS_MADE, {
+            guesserId,
+            guessedPlayerId,
+            isCorrect: guess.isCorrect,
+            guessedAfter: guess.guessedAfter
+        });
+
+        this.room.updateActivity();
+
+        console.log(`[GAME] ${guess.role} made ${guess.isCorrect ? 'correct' : 'incorrect'} guess in room ${this.room.roomId}`);
+
+        const pending = [...this.guessers.values()].filter(g => !isGuessComplete(g)).length;
+        if (pending === 0) {
+            return this.completeRound(false);
+        }
+
+        // Outcomes stay hidden until every guesser is done (guesses left implies a miss)
+        const update = {
+            guesserId,
+            role: guess.role,
+            guessesLeft: getGuessesLeft(guess),
+            pendingGuesses: pending
+        };
+        this.emitToRoom('guessRecorded', update);
+
+        return {
+            roundComplete: false,
+            ...update
+        };
+    }
+
+    /**
+     * Fire a quick reaction while the guessers are still hunting
+     * @param {string} playerId - Seated player sending it
+     * @param {string} emote - One of EMOTES
+     */
+    sendEmote(playerId, emote) {
+        if (this.state !== 'playing' || this.phase !== 'guessing' || this.isPaused) {
+            throw new Error('Emotes can only be sent while guesses are being made');
+        }
+
+        if (!this.room.hasPlayer(playerId)) {
+            throw new Error('Only players can send emotes');
+        }
+
+        validateEmote(emote);
+
+        const now = Date.now();
+        if (now - (this.lastEmoteAt.get(playerId) || 0) < EMOTE_COOLDOWN) {
+            throw new Error('You are sending emotes too quickly');
         }
+        this.lastEmoteAt.set(playerId, now);
 
-        // Clear round timer (guess was made in time)
+        const entry = {
+            playerId,
+            emote,
+            sentAfter: now - this.roundStartTime
+        };
+        this.roundEmotes.push(entry);
+        this.room.updateActivity();
+
+        const event = {
+            ...entry,
+            round: this.currentRound,
+            sentAt: now
+        };
+        this.emitToRoom('emoteSent', event);
+
+        return event;
+    }
+
+    /**
+     * Score the round, record it and announce the outcome
+     * @param {boolean} timedOut - True when the round timer ran out
+     */
+    completeRound(timedOut) {
         this.clearRoundTimers();
 
-        // Check if guess is correct
-        const isCorrect = guessedPlayerId === this.chorPlayer;
-        const roundScores = this.calculateRoundScores(isCorrect);
+        const roundScores = this.calculateRoundScores();
+        this.eventLog.append(GAME_EVENTS.ROUND_SCORED, {
+            round: this.currentRound,
+            scores: Object.fromEntries(roundScores)
+        });
 
         // Update total scores
         roundScores.forEach((score, playerId) => {
@@ -323,16 +577,27 @@ class GameManager {
             this.scores.set(playerId, currentScore + score);
         });
 
-        // Record round history
+        const guesses = [...this.guessers].map(([guesserId, guess]) => ({
+            guesserId,
+            ...guess
+        }));
+        // The Chor hunter is the Mantri in classic rules but may be another role in variants
+        const [chorHunterId, chorGuess] = [...this.guessers]
+            .find(([, guess]) => guess.targetRole === 'Chor') || [this.mantriPlayer, null];
+
+        // Record round history (Chor hunt fields kept alongside the full guess list)
         const roundResult = {
             round: this.currentRound,
-            mantriId,
-            guessedPlayerId,
+            mantriId: chorHunterId,
+            guessedPlayerId: chorGuess?.guessedPlayerId || null,
             actualChorId: this.chorPlayer,
-            isCorrect,
-            timedOut: false,
+            isCorrect: chorGuess?.isCorrect || false,
+            timedOut,
+            guesses,
+            emotes: this.roundEmotes,
             scores: Object.fromEntries(roundScores),
             cards: Object.fromEntries(this.currentCards),
+            dealOrder: this.dealOrder,
             timestamp: Date.now(),
             roundDuration: Date.now() - this.roundStartTime
         };
@@ -340,53 +605,50 @@ class GameManager {
 
         this.room.updateActivity();
 
-        console.log(`[GAME] Mantri made ${isCorrect ? 'correct' : 'incorrect'} guess in room ${this.room.roomId}`);
+        const result = {
+            isCorrect: roundResult.isCorrect,
+            guessedPlayer: roundResult.guessedPlayerId
+                ? this.room.getPlayer(roundResult.guessedPlayerId)?.toPublicData() || null
+                : null,
+            chorPlayer: this.room.getPlayer(this.chorPlayer)?.toPublicData() || null,
+            guesses,
+            roundScores: Object.fromEntries(roundScores),
+            totalScores: Object.fromEntries(this.scores),
+            cards: Object.fromEntries(this.currentCards)
+        };
+
+        if (timedOut) {
+            this.emitToRoom('roundTimeout', {
+                message: 'Time expired! Not every guess was made.',
+                ...result
+            });
+        } else {
+            this.emitToRoom('guessResult', result);
+        }
 
         // Schedule next round automatically
         this.scheduleNextRound();
 
         return {
-            isCorrect,
-            guessedPlayer: this.room.getPlayer(guessedPlayerId).toPublicData(),
-            chorPlayer: this.room.getPlayer(this.chorPlayer).toPublicData(),
-            roundScores: Object.fromEntries(roundScores),
-            totalScores: Object.fromEntries(this.scores),
-            cards: Object.fromEntries(this.currentCards)
+            roundComplete: true,
+            timedOut,
+            ...result
         };
     }
 
     /**
-     * Calculate scores for the current round
+     * Calculate scores for the current round from the recorded guesses
      */
-    calculateRoundScores(isCorrect) {
-        const roundScores = new Map();
-
-        this.currentCards.forEach((card, playerId) => {
-            let score = 0;
-
-            switch (card) {
-                case 'Raja':
-                    score = 1000; // Raja always gets 1000 points
-                    break;
-                case 'Mantri':
-                    score = isCorrect ? 800 : 0; // 800 if correct guess, 0 otherwise
-                    break;
-                case 'Chor':
-                    score = isCorrect ? 0 : 800; // 0 if caught, 800 if not caught
-                    break;
-                case 'Sipahi':
-                    score = 500; // Sipahi always gets 500 points
-                    break;
-            }
-
-            roundScores.set(playerId, score);
+    calculateRoundScores() {
+        return this.variant.scoreRound({
+            cards: this.currentCards,
+            guessers: this.guessers,
+            points: this.points
         });
-
-        return roundScores;
     }
 
     /**
-     * Schedule next round with 5-second countdown (auto-start)
+     * Schedule next round with a countdown (auto-start)
      */
     scheduleNextRound() {
         // Check if game should end
@@ -397,8 +659,18 @@ class GameManager {
 
         console.log(`[GAME] Scheduling next round in room ${this.room.roomId}`);
 
-        let countdown = 5;
+        this.startNextRoundCountdown();
+    }
+
+    /**
+     * Run the countdown to the next round
+     * @param {number} duration - Milliseconds until the next deal (shorter when resuming a pause)
+     */
+    startNextRoundCountdown(duration = this.NEXT_ROUND_TIMER) {
+        let countdown = Math.ceil(duration / 1000);
         this.nextRoundCountdown = countdown;
+        this.phase = 'reveal';
+        this.nextRoundAt = Date.now() + duration;
 
         // Emit initial countdown
         this.emitToRoom('nextRoundCountdown', { countdown });
@@ -412,11 +684,29 @@ class GameManager {
             }
         }, 1000);
 
-        // After 5 seconds, start next round
+        // After the countdown, start next round
         this.nextRoundTimerId = setTimeout(() => {
             clearInterval(this.nextRoundIntervalId);
+            this.nextRoundIntervalId = null;
+            this.nextRoundTimerId = null;
+            this.nextRoundAt = null;
             this.actuallyStartNextRound();
-        }, this.NEXT_ROUND_TIMER);
+        }, duration);
+    }
+
+    /**
+     * Clear the next-round countdown timers
+     */
+    clearNextRoundTimers() {
+        if (this.nextRoundTimerId) {
+            clearTimeout(this.nextRoundTimerId);
+            this.nextRoundTimerId = null;
+        }
+        if (this.nextRoundIntervalId) {
+            clearInterval(this.nextRoundIntervalId);
+            this.nextRoundIntervalId = null;
+        }
+        this.nextRoundAt = null;
     }
 
     /**
@@ -437,7 +727,8 @@ class GameManager {
         this.emitToRoom('nextRoundActuallyStarted', {
             currentRound: this.currentRound,
             maxRounds: this.maxRounds,
-            mantriPlayer: this.mantriPlayer
+            mantriPlayer: this.mantriPlayer,
+            guessers: this.getPublicGuessers()
         });
 
         // Send cards privately to each player
@@ -456,14 +747,13 @@ class GameManager {
             return this.endGame();
         }
 
-        // Clear any pending timers
-        if (this.nextRoundTimerId) {
-            clearTimeout(this.nextRoundTimerId);
-        }
-        if (this.nextRoundIntervalId) {
-            clearInterval(this.nextRoundIntervalId);
+        if (this.isPaused) {
+            throw new Error('Game is paused');
         }
 
+        // Clear any pending timers
+        this.clearNextRoundTimers();
+
         // Start next round immediately
         this.actuallyStartNextRound();
 
@@ -483,7 +773,11 @@ class GameManager {
         this.clearAllTimers();
 
         this.state = 'finished';
+        this.phase = 'finished';
+        this.clearPauseState();
         this.gameEndTime = Date.now();
+        this.endReason = this.endReason || 'completed';
+        this.eventLog.append(GAME_EVENTS.GAME_ENDED, { endReason: this.endReason });
         this.room.state = 'finished';
         this.room.updateActivity();
 
@@ -491,6 +785,16 @@ class GameManager {
 
         const results = this.getResults();
 
+        // Bots are always up for a rematch
+        this.room.players
+            .filter(player => player.isBot)
+            .forEach(player => this.playAgainResponses.set(player.id, true));
+
+        // Persist the finished game (fire-and-forget, failures are logged)
+        if (this.gameStartTime) {
+            recordFinishedGame(this, results);
+        }
+
         // Emit game finished
         this.emitToRoom('gameFinished', {
             message: 'Game finished',
@@ -504,42 +808,275 @@ class GameManager {
         };
     }
 
+    /**
+     * Note that the room's creator removed a participant, so the game does not count it as them leaving
+     */
+    markKicked(playerId) {
+        const participant = this.participants.find(p => p.id === playerId);
+        if (participant) {
+            participant.kicked = true;
+        }
+    }
+
     /**
      * Force end the game (e.g., when a player leaves)
      */
     forceEndGame() {
         console.log(`[GAME] Game force-ended in room ${this.room.roomId}`);
         this.clearAllTimers();
+        this.endReason = 'forced';
         return this.endGame();
     }
 
     /**
-     * Send cards privately to each player via Socket.IO
+     * Check whether the running phase can be frozen
      */
-    sendCardsToPlayers() {
-        if (!this.io) {
-            console.warn('[GAME] Cannot send cards: io instance not available');
-            return;
+    canPause() {
+        return this.state === 'playing'
+            && !this.isPaused
+            && (this.phase === 'guessing' || this.phase === 'reveal');
+    }
+
+    /**
+     * Pause the game, freezing the round or next-round timer with its remaining time
+     */
+    pauseGame(pausedBy, reason = 'creator') {
+        if (this.state !== 'playing') {
+            throw new Error('Game is not in progress');
+        }
+        if (this.isPaused) {
+            throw new Error('Game is already paused');
+        }
+        if (!this.canPause()) {
+            throw new Error('Game cannot be paused right now');
+        }
+
+        const deadline = this.phase === 'guessing' ? this.roundEndsAt : this.nextRoundAt;
+        this.pauseTimeRemaining = Math.max(deadline - Date.now(), 0);
+
+        if (this.phase === 'guessing') {
+            this.clearRoundTimers();
+            // The spectator delay is frozen too (re-armed on resume)
+            this.clearSpectatorRevealTimer();
+        } else {
+            this.clearNextRoundTimers();
+        }
+
+        this.isPaused = true;
+        this.pausedAt = Date.now();
+        this.pauseReason = reason;
+        this.eventLog.append(GAME_EVENTS.GAME_PAUSED, {
+            pausedBy,
+            reason,
+            phase: this.phase,
+            timeRemaining: this.pauseTimeRemaining
+        });
+        this.pauseVotes.clear();
+        this.resumeVotes.clear();
+        this.room.updateActivity();
+
+        console.log(`[GAME] Game paused (${reason}) in room ${this.room.roomId}`);
+
+        const result = {
+            isPaused: true,
+            pausedBy,
+            reason,
+            phase: this.phase,
+            timeRemaining: this.pauseTimeRemaining
+        };
+
+        this.emitToRoom('gamePaused', result);
+
+        return result;
+    }
+
+    /**
+     * Resume a paused game, re-arming the frozen timer with its remaining time
+     */
+    resumeGame(resumedBy) {
+        if (!this.isPaused) {
+            throw new Error('Game is not paused');
+        }
+
+        const timeRemaining = this.pauseTimeRemaining;
+        const revealPending = this.isSpectatorRevealPending(this.pausedAt);
+
+        // Time spent paused does not count towards the guessing time, nor the spectator delay
+        if (this.phase === 'guessing') {
+            const pausedFor = Date.now() - this.pausedAt;
+            this.roundStartTime += pausedFor;
+            if (this.cardsDealtAt !== null) {
+                this.cardsDealtAt += pausedFor;
+            }
+        }
+
+        this.clearPauseState();
+        this.eventLog.append(GAME_EVENTS.GAME_RESUMED, { resumedBy, timeRemaining });
+        this.room.updateActivity();
+
+        console.log(`[GAME] Game resumed in room ${this.room.roomId}`);
+
+        if (this.phase === 'guessing') {
+            this.startRoundTimer(timeRemaining);
+            if (revealPending) {
+                this.scheduleSpectatorReveal();
+            }
+        } else {
+            this.startNextRoundCountdown(timeRemaining);
+        }
+
+        const result = {
+            isPaused: false,
+            resumedBy,
+            phase: this.phase,
+            timeRemaining
+        };
+
+        this.emitToRoom('gameResumed', result);
+
+        return result;
+    }
+
+    /**
+     * Pause request from a player: the creator pauses directly, others vote
+     */
+    requestPause(playerId) {
+        if (!this.room.hasPlayer(playerId)) {
+            throw new Error('Player not found in room');
+        }
+        if (this.room.isCreator(playerId)) {
+            return this.pauseGame(playerId, 'creator');
+        }
+        if (!this.canPause()) {
+            throw new Error(this.isPaused ? 'Game is already paused' : 'Game cannot be paused right now');
+        }
+
+        return this.registerVote('pause', this.pauseVotes, playerId,
+            () => this.pauseGame(playerId, 'vote'));
+    }
+
+    /**
+     * Resume request from a player: the creator resumes directly, others vote
+     */
+    requestResume(playerId) {
+        if (!this.room.hasPlayer(playerId)) {
+            throw new Error('Player not found in room');
         }
+        if (this.room.isCreator(playerId)) {
+            return this.resumeGame(playerId);
+        }
+        if (!this.isPaused) {
+            throw new Error('Game is not paused');
+        }
+
+        return this.registerVote('resume', this.resumeVotes, playerId,
+            () => this.resumeGame(playerId));
+    }
+
+    /**
+     * Record a pause/resume vote; runs onPassed once a majority of players agree
+     */
+    registerVote(type, votes, playerId, onPassed) {
+        votes.add(playerId);
+        const required = Math.floor(this.room.getHumanPlayers().length / 2) + 1;
+
+        if (votes.size >= required) {
+            return onPassed();
+        }
+
+        const update = {
+            type,
+            playerId,
+            votes: votes.size,
+            required
+        };
 
+        this.emitToRoom('pauseVoteUpdate', update);
+
+        return {
+            isPaused: this.isPaused,
+            ...update
+        };
+    }
+
+    /**
+     * Reset pause flags and votes
+     */
+    clearPauseState() {
+        this.isPaused = false;
+        this.pausedAt = null;
+        this.pauseReason = null;
+        this.pauseTimeRemaining = null;
+        this.pauseVotes.clear();
+        this.resumeVotes.clear();
+    }
+
+    /**
+     * Send cards privately to each player via Socket.IO (bots get theirs directly)
+     */
+    sendCardsToPlayers() {
         this.room.players.forEach(player => {
-            // Find player's socket
-            const sockets = this.io.sockets.sockets;
-            const roomSockets = this.io.sockets.adapter.rooms.get(this.room.roomId);
-
-            if (!roomSockets) return;
-
-            for (const socketId of roomSockets) {
-                const socket = sockets.get(socketId);
-                if (socket && socket.user && socket.user.id === player.id) {
-                    socket.emit('yourCard', {
-                        card: this.getPlayerCard(player.id),
-                        round: this.currentRound
-                    });
-                    break;
-                }
+            const card = this.getPlayerCard(player.id);
+
+            // Bots have no socket, their brain is handed the card directly
+            if (player.isBot) {
+                player.bot.receiveCard(card, this.currentRound);
+                return;
+            }
+
+            if (!this.io) {
+                console.warn('[GAME] Cannot send cards: io instance not available');
+                return;
             }
+
+            this.emitToPlayer(player.id, 'yourCard', {
+                card,
+                round: this.currentRound
+            });
         });
+
+        this.scheduleSpectatorReveal();
+    }
+
+    /**
+     * Show spectators every card once the room's spectator delay has passed
+     */
+    scheduleSpectatorReveal() {
+        this.clearSpectatorRevealTimer();
+
+        if (this.SPECTATOR_CARD_DELAY === null || this.cardsDealtAt === null) {
+            return;
+        }
+
+        const delay = Math.max(this.cardsDealtAt + this.SPECTATOR_CARD_DELAY - Date.now(), 0);
+        this.spectatorRevealTimerId = setTimeout(() => {
+            this.spectatorRevealTimerId = null;
+            if (this.io) {
+                this.io.to(spectatorChannel(this.room.roomId)).emit('spectatorCards', {
+                    round: this.currentRound,
+                    cards: Object.fromEntries(this.currentCards)
+                });
+            }
+        }, delay);
+    }
+
+    /**
+     * Check whether spectators were still waiting for the cards of the current deal at a given time
+     */
+    isSpectatorRevealPending(at = Date.now()) {
+        return this.SPECTATOR_CARD_DELAY !== null
+            && this.cardsDealtAt !== null
+            && at - this.cardsDealtAt < this.SPECTATOR_CARD_DELAY;
+    }
+
+    /**
+     * Cancel a pending spectator card reveal
+     */
+    clearSpectatorRevealTimer() {
+        if (this.spectatorRevealTimerId) {
+            clearTimeout(this.spectatorRevealTimerId);
+            this.spectatorRevealTimerId = null;
+        }
     }
 
     /**
@@ -550,15 +1087,14 @@ class GameManager {
             clearTimeout(this.gameStartTimerId);
             this.gameStartTimerId = null;
         }
-        this.clearRoundTimers();
-        if (this.nextRoundTimerId) {
-            clearTimeout(this.nextRoundTimerId);
-            this.nextRoundTimerId = null;
-        }
-        if (this.nextRoundIntervalId) {
-            clearInterval(this.nextRoundIntervalId);
-            this.nextRoundIntervalId = null;
+        if (this.gameStartIntervalId) {
+            clearInterval(this.gameStartIntervalId);
+            this.gameStartIntervalId = null;
         }
+        this.clearRoundTimers();
+        this.clearNextRoundTimers();
+        this.clearSpectatorRevealTimer();
+        this.gameStartsAt = null;
     }
 
     /**
@@ -570,6 +1106,15 @@ class GameManager {
         }
     }
 
+    /**
+     * Emit event privately to every socket of a single player
+     */
+    emitToPlayer(playerId, event, data) {
+        if (this.io) {
+            this.io.to(playerChannel(playerId)).emit(event, data);
+        }
+    }
+
     /**
      * Get game results and rankings
      */
@@ -603,7 +1148,14 @@ class GameManager {
                 averageScorePerRound,
                 totalScore
             },
-            roundHistory: this.roundHistory
+            roundHistory: this.roundHistory,
+            // Everything needed to re-run each round's shuffle (the seed stays secret until the game is over)
+            fairness: {
+                algorithm: FAIRNESS_ALGORITHM,
+                seedHash: this.seedHash,
+                serverSeed: this.state === 'finished' ? this.serverSeed : null,
+                deck: this.cards
+            }
         };
     }
 
@@ -645,19 +1197,29 @@ class GameManager {
      */
     resetGame() {
         this.state = 'waiting';
+        this.phase = 'waiting';
+        this.clearPauseState();
         this.currentRound = 0;
         this.gameStartTime = null;
         this.gameEndTime = null;
         this.roundStartTime = null;
+        this.cardsDealtAt = null;
 
         this.currentCards.clear();
+        this.dealOrder = [];
+        this.guessers.clear();
         this.rajaPlayer = null;
         this.mantriPlayer = null;
         this.chorPlayer = null;
         this.sipahiPlayer = null;
+        this.serverSeed = null;
+        this.seedHash = null;
 
         this.roundHistory = [];
         this.playAgainResponses.clear();
+        this.participants = [];
+        this.endReason = null;
+        this.eventLog.append(GAME_EVENTS.GAME_RESET);
 
         // Reset scores
         this.scores.clear();
@@ -691,6 +1253,20 @@ class GameManager {
         return this.currentCards.get(playerId) || null;
     }
 
+    /**
+     * Get who is guessing this round and whether they have guessed yet
+     * Guess targets and outcomes stay private until the round ends.
+     */
+    getPublicGuessers() {
+        return [...this.guessers].map(([playerId, guess]) => ({
+            playerId,
+            role: guess.role,
+            targetRole: guess.targetRole,
+            hasGuessed: isGuessComplete(guess),
+            guessesLeft: getGuessesLeft(guess)
+        }));
+    }
+
     /**
      * Get public game state (safe to broadcast)
      */
@@ -703,9 +1279,54 @@ class GameManager {
             players: this.room.players.map(p => p.toPublicData()),
             scores: Object.fromEntries(this.scores),
             mantriPlayer: this.mantriPlayer,
+            guessers: this.getPublicGuessers(),
             hasPassword: this.room.password !== null,
             playerCount: this.room.players.length,
-            gameStartTime: this.gameStartTime
+            gameStartTime: this.gameStartTime,
+            seedHash: this.seedHash,
+            phase: this.phase,
+            isPaused: this.isPaused,
+            pauseTimeRemaining: this.pauseTimeRemaining,
+            deadlines: {
+                gameStartsAt: this.gameStartsAt,
+                roundEndsAt: this.roundEndsAt,
+                nextRoundAt: this.nextRoundAt
+            }
+        };
+    }
+
+    /**
+     * Get everything a (re)joining player needs to rebuild their board
+     * Includes the caller's own card, so only send it to that player
+     */
+    getPlayerSnapshot(playerId) {
+        const lastRound = this.roundHistory[this.roundHistory.length - 1] || null;
+        const isRevealed = this.phase === 'reveal' || this.phase === 'finished';
+
+        return {
+            ...this.getPublicState(),
+            serverTime: Date.now(),
+            yourCard: this.room.hasPlayer(playerId) ? this.getPlayerCard(playerId) : null,
+            revealedCards: isRevealed && lastRound ? lastRound.cards : {},
+            lastRound,
+            roundHistory: this.roundHistory,
+            results: this.state === 'finished' ? this.getResults() : null
+        };
+    }
+
+    /**
+     * Get what a spectator sees: the public board, plus every card once the
+     * room's spectator delay has passed for the current deal
+     */
+    getSpectatorSnapshot() {
+        // The delay does not run while the game is paused
+        const cardsVisible = this.SPECTATOR_CARD_DELAY !== null
+            && this.cardsDealtAt !== null
+            && !this.isSpectatorRevealPending(this.isPaused ? this.pausedAt : Date.now());
+
+        return {
+            ...this.getPlayerSnapshot(null),
+            spectatorCards: cardsVisible ? Object.fromEntries(this.currentCards) : null
         };
     }
 
@@ -716,6 +1337,7 @@ class GameManager {
         return {
             ...this.getPublicState(),
             currentCards: Object.fromEntries(this.currentCards),
+            guesses: Object.fromEntries(this.guessers),
             rajaPlayer: this.rajaPlayer,
             chorPlayer: this.chorPlayer,
             sipahiPlayer: this.sipahiPlayer,
@@ -724,6 +1346,122 @@ class GameManager {
         };
     }
 
+    /**
+     * Serializable copy of the game for crash recovery (timers are re-armed from the deadlines)
+     */
+    toSnapshot() {
+        return {
+            state: this.state,
+            phase: this.phase,
+            currentRound: this.currentRound,
+            currentCards: Object.fromEntries(this.currentCards),
+            dealOrder: this.dealOrder,
+            guessers: Object.fromEntries(this.guessers),
+            roundEmotes: this.roundEmotes,
+            scores: Object.fromEntries(this.scores),
+            roundHistory: this.roundHistory,
+            rajaPlayer: this.rajaPlayer,
+            mantriPlayer: this.mantriPlayer,
+            chorPlayer: this.chorPlayer,
+            sipahiPlayer: this.sipahiPlayer,
+            playAgainResponses: Object.fromEntries(this.playAgainResponses),
+            participants: this.participants,
+            endReason: this.endReason,
+            serverSeed: this.serverSeed,
+            seedHash: this.seedHash,
+            events: this.eventLog.getEvents(),
+            gameStartTime: this.gameStartTime,
+            gameEndTime: this.gameEndTime,
+            roundStartTime: this.roundStartTime,
+            cardsDealtAt: this.cardsDealtAt,
+            deadlines: {
+                gameStartsAt: this.gameStartsAt,
+                roundEndsAt: this.roundEndsAt,
+                nextRoundAt: this.nextRoundAt
+            },
+            isPaused: this.isPaused,
+            pausedAt: this.pausedAt,
+            pauseReason: this.pauseReason,
+            pauseTimeRemaining: this.pauseTimeRemaining
+        };
+    }
+
+    /**
+     * Load a snapshot taken by toSnapshot (call rearmTimers afterwards to continue play)
+     */
+    restoreSnapshot(snapshot) {
+        this.state = snapshot.state;
+        this.phase = snapshot.phase;
+        this.currentRound = snapshot.currentRound;
+        this.currentCards = new Map(Object.entries(snapshot.currentCards));
+        this.dealOrder = snapshot.dealOrder;
+        this.guessers = new Map(Object.entries(snapshot.guessers));
+        this.roundEmotes = snapshot.roundEmotes || [];
+        this.scores = new Map(Object.entries(snapshot.scores));
+        this.roundHistory = snapshot.roundHistory;
+        this.rajaPlayer = snapshot.rajaPlayer;
+        this.mantriPlayer = snapshot.mantriPlayer;
+        this.chorPlayer = snapshot.chorPlayer;
+        this.sipahiPlayer = snapshot.sipahiPlayer;
+        this.playAgainResponses = new Map(Object.entries(snapshot.playAgainResponses));
+        this.participants = snapshot.participants;
+        this.endReason = snapshot.endReason;
+        this.serverSeed = snapshot.serverSeed;
+        this.seedHash = snapshot.seedHash;
+        this.eventLog = GameEventLog.fromEvents(snapshot.events);
+        this.gameStartTime = snapshot.gameStartTime;
+        this.gameEndTime = snapshot.gameEndTime;
+        this.roundStartTime = snapshot.roundStartTime;
+        this.cardsDealtAt = snapshot.cardsDealtAt;
+        this.gameStartsAt = snapshot.deadlines.gameStartsAt;
+        this.roundEndsAt = snapshot.deadlines.roundEndsAt;
+        this.nextRoundAt = snapshot.deadlines.nextRoundAt;
+        this.isPaused = snapshot.isPaused;
+        this.pausedAt = snapshot.pausedAt;
+        this.pauseReason = snapshot.pauseReason;
+        this.pauseTimeRemaining = snapshot.pauseTimeRemaining;
+
+        // Bots hold their card in their brain
+        this.room.players
+            .filter(player => player.isBot && this.currentCards.has(player.id))
+            .forEach(player => player.bot.receiveCard(this.currentCards.get(player.id), this.currentRound));
+    }
+
+    /**
+     * Restart the timer of the running phase from its stored deadline
+     * A deadline that passed while the server was down fires right away.
+     */
+    rearmTimers() {
+        if (this.isPaused) {
+            return;
+        }
+
+        const timeLeft = (deadline) => Math.max(deadline - Date.now(), 0);
+
+        if (this.phase === 'countdown' && this.gameStartsAt) {
+            this.startGameStartCountdown(timeLeft(this.gameStartsAt));
+        } else if (this.phase === 'guessing' && this.roundEndsAt) {
+            this.startRoundTimer(timeLeft(this.roundEndsAt));
+            this.scheduleSpectatorReveal();
+        } else if (this.phase === 'reveal' && this.nextRoundAt) {
+            this.startNextRoundCountdown(timeLeft(this.nextRoundAt));
+        }
+    }
+
+    /**
+     * Events recorded for the current game (optionally only those after a sequence number)
+     */
+    getEventLog(afterSeq = 0) {
+        return this.eventLog.getEvents(afterSeq);
+    }
+
+    /**
+     * Rebuild the current game's state from its event log
+     */
+    getStateFromLog() {
+        return foldGameEvents(this.eventLog.getEvents());
+    }
+
     /**
      * Format duration in human-readable format
      */
@@ -753,6 +1491,11 @@ class GameManager {
             if (!this.rajaPlayer || !this.mantriPlayer || !this.chorPlayer || !this.sipahiPlayer) {
                 errors.push('Missing special role assignment');
             }
+
+            const dealt = [...this.currentCards.values()].sort().join();
+            if (dealt !== [...this.cards].sort().join()) {
+                errors.push('Dealt cards do not match the deck');
+            }
         }
 
         // Check if all players have scores
@@ -760,6 +1503,15 @@ class GameManager {
             errors.push('Score count mismatch');
         }
 
+        // The live state must match what the event log says happened
+        const logged = this.getStateFromLog();
+        if (logged.state !== this.state || logged.currentRound !== this.currentRound) {
+            errors.push('Game progress does not match the event log');
+        }
+        if (Object.entries(logged.scores).some(([playerId, score]) => (this.scores.get(playerId) || 0) !== score)) {
+            errors.push('Scores do not match the event log');
+        }
+
         return {
             valid: errors.length === 0,
             errors
@@ -0,0 +1,230 @@
+import { Game } from '../models/game.model.js';
+import { User } from '../models/user.model.js';
+import { NOTIFICATION_TYPES } from '../models/notification.model.js';
+import { notify } from './notifications.js';
+import {
+    calculateRatingChanges,
+    calculateLeaverPenalties,
+    DEFAULT_RATING,
+    RATED_PLAYER_COUNT,
+    RATING_HISTORY_LIMIT
+} from './rating.js';
+
+const RATING_UPDATE_ATTEMPTS = 5;
+
+/**
+ * Build the persisted game document from a finished GameManager
+ */
+export const buildGameRecord = (game, results) => {
+    const rankedIds = results.rankings.map(player => player.id);
+
+    // Competition ranking: equal scores share a position (1, 1, 3, 4)
+    const ranks = new Map();
+    results.rankings.forEach((player, index) => {
+        const previous = results.rankings[index - 1];
+        const rank = previous && previous.score === player.score
+            ? ranks.get(previous.id)
+            : index + 1;
+        ranks.set(player.id, rank);
+    });
+
+    const participants = game.participants.map(participant => ({
+        user: participant.isBot ? null : participant.id,
+        playerId: participant.id,
+        isBot: participant.isBot,
+        name: participant.name,
+        score: game.scores.get(participant.id) || 0,
+        rank: ranks.get(participant.id) ?? null,
+        leftEarly: !rankedIds.includes(participant.id),
+        kicked: !!participant.kicked
+    }));
+
+    const rounds = results.roundHistory.map(round => ({
+        round: round.round,
+        cards: round.cards,
+        dealOrder: round.dealOrder,
+        mantriId: round.mantriId,
+        guessedPlayerId: round.guessedPlayerId,
+        actualChorId: round.actualChorId,
+        isCorrect: round.isCorrect,
+        timedOut: round.timedOut,
+        guesses: round.guesses,
+        emotes: round.emotes || [],
+        scores: round.scores,
+        roundDuration: round.roundDuration,
+        playedAt: new Date(round.timestamp)
+    }));
+
+    return {
+        roomId: game.room.roomId,
+        participants,
+        winner: results.winner ? results.winner.id : null,
+        rounds,
+        totalRounds: results.gameStats.totalRounds,
+        maxRounds: results.gameStats.maxRounds,
+        hasBots: game.participants.some(participant => participant.isBot),
+        variant: game.variant.name,
+        fairness: results.fairness,
+        events: game.getEventLog(),
+        endReason: game.endReason,
+        startedAt: new Date(game.gameStartTime),
+        endedAt: new Date(game.gameEndTime),
+        duration: results.gameStats.gameDuration
+    };
+};
+
+/**
+ * Add a rating change and its history entry in a single update
+ * Another game of the same player may finish at the same time (possibly on another node), so the
+ * update only applies while the rating is still the one the history entry was computed from;
+ * if it moved in between, the current rating is read again and the update retried.
+ * @returns {number|null} the rating after this game, null if the account no longer exists
+ */
+const incrementRating = async (userId, rating, change, gameId) => {
+    for (let attempt = 0; attempt < RATING_UPDATE_ATTEMPTS; attempt++) {
+        const updated = await User.findOneAndUpdate(
+            { _id: userId, rating },
+            {
+                $inc: { rating: change, ratedGames: 1 },
+                $push: {
+                    ratingHistory: {
+                        $each: [{ rating: rating + change, change, game: gameId }],
+                        $slice: -RATING_HISTORY_LIMIT
+                    }
+                }
+            },
+            { new: true, projection: { rating: 1 } }
+        ).lean();
+        if (updated) {
+            return updated.rating;
+        }
+
+        const current = await User.findById(userId).select('rating').lean();
+        if (!current) {
+            return null;
+        }
+        rating = current.rating;
+    }
+
+    throw new Error(`Rating of user ${userId} kept changing, gave up after ${RATING_UPDATE_ATTEMPTS} attempts`);
+};
+
+/**
+ * Rating changes for a recorded game, from its players' accounts before it
+ * Completed games rate everyone by final score, force-ended games only penalize the players who
+ * left. A player the room's creator kicked or banned did not leave and is never penalized.
+ * @param {Array<{_id: *, rating?: number, ratedGames?: number}>} users
+ * @returns {Map<string, number>} userId -> rating change
+ */
+export const getRatingChanges = (record, users) => {
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+    const players = record.participants.map(participant => {
+        const user = usersById.get(participant.user.toString());
+        return {
+            id: participant.user.toString(),
+            rating: user.rating ?? DEFAULT_RATING,
+            ratedGames: user.ratedGames ?? 0,
+            score: participant.score,
+            leftEarly: participant.leftEarly && !participant.kicked
+        };
+    });
+
+    return record.endReason === 'completed'
+        ? calculateRatingChanges(players)
+        : calculateLeaverPenalties(players);
+};
+
+/**
+ * Update player ratings from a recorded game
+ * Only four-player games without bots are rated (see getRatingChanges).
+ * @returns {Map|undefined} userId -> rating after this game, for rated games
+ */
+const applyRatings = async (record) => {
+    if (record.participants.length !== RATED_PLAYER_COUNT || record.hasBots) {
+        return;
+    }
+
+    const userIds = record.participants.map(p => p.user);
+
+    // Accounts created before ratings existed have no rating yet; give them the default
+    // so the updates below start from it
+    await User.updateMany({ _id: { $in: userIds }, rating: { $exists: false } }, { $set: { rating: DEFAULT_RATING } });
+
+    const users = await User.find({ _id: { $in: userIds } }).select('rating ratedGames').lean();
+    if (users.length !== RATED_PLAYER_COUNT) {
+        return;
+    }
+
+    const changes = getRatingChanges(record, users);
+
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+    const newRatings = new Map();
+    await Promise.all(Array.from(changes, async ([userId, change]) => {
+        const rating = await incrementRating(userId, usersById.get(userId).rating, change, record._id);
+        if (rating !== null) {
+            newRatings.set(userId, rating);
+        }
+    }));
+
+    record.participants.forEach(participant => {
+        participant.ratingChange = changes.get(participant.user.toString()) ?? null;
+    });
+    await record.save();
+
+    return newRatings;
+};
+
+/**
+ * Tell every human participant how a recorded game went for them
+ */
+const notifyResults = (io, record, newRatings = new Map()) => {
+    record.participants
+        .filter(participant => participant.user)
+        .forEach(participant => {
+            const outcome = participant.kicked
+                ? `You were removed from the game in room ${record.roomId} before it ended`
+                : participant.leftEarly
+                    ? `You left the game in room ${record.roomId} before it ended`
+                    : record.winner?.equals(participant.user)
+                        ? `You won the game in room ${record.roomId}`
+                        : `You finished #${participant.rank} in room ${record.roomId}`;
+            const change = participant.ratingChange;
+            const newRating = newRatings.get(participant.user.toString()) ?? null;
+            const rating = typeof change === 'number'
+                ? ` (rating ${change >= 0 ? '+' : ''}${change}${newRating != null ? `, now ${newRating}` : ''})`
+                : '';
+
+            notify(io, {
+                recipient: participant.user,
+                type: NOTIFICATION_TYPES.GAME_RESULT,
+                message: outcome + rating,
+                data: {
+                    gameId: record._id,
+                    roomId: record.roomId,
+                    rank: participant.rank,
+                    score: participant.score,
+                    ratingChange: change ?? null,
+                    rating: newRating
+                }
+            });
+        });
+};
+
+/**
+ * Persist a finished game with its round history
+ * Errors are logged rather than thrown so a database failure never breaks the live room
+ */
+export const recordFinishedGame = async (game, results) => {
+    try {
+        const record = await Game.create(buildGameRecord(game, results));
+        console.log(`[GAME] Recorded game ${record._id} for room ${game.room.roomId}`);
+
+        const newRatings = await applyRatings(record);
+        notifyResults(game.io, record, newRatings);
+
+        return record;
+    } catch (error) {
+        console.error(`[GAME] Failed to record game for room ${game.room.roomId}:`, error.message);
+        return null;
+    }
+};
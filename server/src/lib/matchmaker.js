@@ -0,0 +1,238 @@
+import { matchmakingOptionsSchema } from '../validators/matchmaking.validator.js';
+
+/**
+ * Quick-play matchmaking queue
+ *
+ * Players wait in one queue and are grouped into matches of MATCH_SIZE once
+ * enough compatible players are waiting. Two players are compatible when their
+ * regions agree (a player without a region matches any) and, for players who
+ * asked for rating-based matching, their ratings are close enough. The allowed
+ * rating gap widens the longer someone waits, so nobody waits forever.
+ * Players who accept bots get the free seats filled with bots once they have
+ * waited botDelay without a full match.
+ *
+ * The queue only decides who plays together; creating the room is up to the caller.
+ */
+
+export const MATCH_SIZE = 4;
+
+// Rating gap accepted at first, and how much it grows per step waited
+const RATING_WINDOW_BASE = 100;
+const RATING_WINDOW_GROWTH = 50;
+const RATING_WINDOW_STEP = 5000;
+
+// Wait estimate (ms) before any match has been made, and how many recent waits to average
+const DEFAULT_WAIT_ESTIMATE = 30000;
+const WAIT_SAMPLES = 20;
+
+/**
+ * Validate the options a player queues with, filling in defaults
+ * @param {Object} options - Client-provided { region, matchRating, allowBots }
+ * @returns {Object} Complete options
+ */
+export const resolveMatchmakingOptions = (options = {}) => {
+    const { error, value } = matchmakingOptionsSchema.validate(options || {}, {
+        abortEarly: false,
+        stripUnknown: true
+    });
+
+    if (error) {
+        throw new Error(error.details.map(detail => detail.message).join(', '));
+    }
+
+    return {
+        ...value,
+        region: value.region || null
+    };
+};
+
+class Matchmaker {
+    /**
+     * @param {Object} options
+     * @param {number} options.botDelay - ms a player waits before free seats go to bots (negative disables)
+     */
+    constructor({ botDelay }) {
+        this.botDelay = botDelay;
+        this.queue = new Map(); // userId -> entry
+        this.recentWaits = []; // ms the last matched players waited
+    }
+
+    /**
+     * Put a player in the queue
+     * @param {Object} player - { userId, userName, rating, region, matchRating, allowBots }
+     * @returns {Object} The queue entry
+     */
+    enqueue({ userId, userName, rating, region = null, matchRating = true, allowBots = true }, now = Date.now()) {
+        if (this.queue.has(userId)) {
+            throw new Error('You are already looking for a match');
+        }
+
+        const entry = {
+            userId,
+            userName,
+            rating,
+            region: region || null,
+            matchRating,
+            allowBots,
+            joinedAt: now
+        };
+        this.queue.set(userId, entry);
+        return entry;
+    }
+
+    /**
+     * Take a player out of the queue; returns their entry, or null if they were not queued
+     */
+    dequeue(userId) {
+        const entry = this.queue.get(userId) || null;
+        this.queue.delete(userId);
+        return entry;
+    }
+
+    /**
+     * Put a player taken out by takeMatches back, keeping their place in the queue
+     */
+    requeue(entry) {
+        this.queue.set(entry.userId, entry);
+    }
+
+    /**
+     * Empty the queue, returning the entries that were in it
+     */
+    clear() {
+        const entries = [...this.queue.values()];
+        this.queue.clear();
+        return entries;
+    }
+
+    /**
+     * Largest rating gap a player currently accepts
+     */
+    ratingWindow(entry, now) {
+        if (!entry.matchRating) {
+            return Infinity;
+        }
+        const steps = Math.floor((now - entry.joinedAt) / RATING_WINDOW_STEP);
+        return RATING_WINDOW_BASE + steps * RATING_WINDOW_GROWTH;
+    }
+
+    /**
+     * Whether a player can join a group without anyone in it (them included) facing a too large gap
+     */
+    fits(group, entry, now) {
+        const members = [...group, entry];
+
+        const regions = new Set(members.map(member => member.region).filter(Boolean));
+        if (regions.size > 1) {
+            return false;
+        }
+
+        const ratings = members.map(member => member.rating);
+        const spread = Math.max(...ratings) - Math.min(...ratings);
+        return members.every(member => spread <= this.ratingWindow(member, now));
+    }
+
+    /**
+     * Longest-waiting players compatible with an anchor player, the anchor first
+     */
+    groupFor(anchor, now, filter = () => true) {
+        const group = [anchor];
+
+        for (const entry of this.waitingOrder()) {
+            if (group.length === MATCH_SIZE) {
+                break;
+            }
+            if (entry !== anchor && filter(entry) && this.fits(group, entry, now)) {
+                group.push(entry);
+            }
+        }
+
+        return group;
+    }
+
+    /**
+     * Queued players, longest waiting first
+     */
+    waitingOrder() {
+        return [...this.queue.values()].sort((a, b) => a.joinedAt - b.joinedAt);
+    }
+
+    /**
+     * Whether a player has waited long enough to be matched with bots
+     */
+    canFillWithBots(entry, now) {
+        return entry.allowBots && this.botDelay >= 0 && now - entry.joinedAt >= this.botDelay;
+    }
+
+    /**
+     * Form every match possible right now and take its players out of the queue
+     * Players who waited the longest are matched first.
+     * @returns {Array<{players: Object[], bots: number}>}
+     */
+    takeMatches(now = Date.now()) {
+        const matches = [];
+
+        for (const anchor of this.waitingOrder()) {
+            if (!this.queue.has(anchor.userId)) {
+                continue; // Already matched with an earlier anchor
+            }
+
+            let players = this.groupFor(anchor, now);
+            if (players.length < MATCH_SIZE) {
+                if (!this.canFillWithBots(anchor, now)) {
+                    continue;
+                }
+                players = this.groupFor(anchor, now, entry => entry.allowBots);
+            }
+
+            players.forEach(player => {
+                this.queue.delete(player.userId);
+                this.recordWait(now - player.joinedAt);
+            });
+            matches.push({ players, bots: MATCH_SIZE - players.length });
+        }
+
+        return matches;
+    }
+
+    recordWait(waited) {
+        this.recentWaits.push(waited);
+        if (this.recentWaits.length > WAIT_SAMPLES) {
+            this.recentWaits.shift();
+        }
+    }
+
+    /**
+     * Seconds a queued player can expect to wait still
+     * Based on how long recent matches took, capped by the bot fill for players who accept bots.
+     */
+    estimateWait(entry, now = Date.now()) {
+        const waited = now - entry.joinedAt;
+        const typicalWait = this.recentWaits.length > 0
+            ? this.recentWaits.reduce((sum, wait) => sum + wait, 0) / this.recentWaits.length
+            : DEFAULT_WAIT_ESTIMATE;
+
+        let remaining = typicalWait - waited;
+        if (entry.allowBots && this.botDelay >= 0) {
+            remaining = Math.min(remaining, this.botDelay - waited);
+        }
+
+        return Math.max(0, Math.ceil(remaining / 1000));
+    }
+
+    /**
+     * What a queued player is told about their wait
+     */
+    status(entry, now = Date.now()) {
+        return {
+            playersWaiting: this.queue.size,
+            estimatedWait: this.estimateWait(entry, now),
+            waited: Math.floor((now - entry.joinedAt) / 1000)
+        };
+    }
+}
+
+/**
+ * Create a matchmaking queue
+ */
+export const createMatchmaker = (options) => new Matchmaker(options);
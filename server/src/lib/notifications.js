@@ -0,0 +1,25 @@
+import { Notification } from '../models/notification.model.js';
+import { playerChannel } from './gameManager.js';
+
+/**
+ * Store a notification and push it to the recipient's connected sockets
+ * Errors are logged rather than thrown so a failed notification never fails the action behind it
+ * @param {Object|null} io - Socket.IO server, the push is skipped without one
+ * @param {Object} notification
+ * @param {string} notification.recipient - User id
+ * @param {string} notification.type - NOTIFICATION_TYPES value
+ * @param {string} notification.message
+ * @param {Object} [notification.data]
+ */
+export const notify = async (io, { recipient, type, message, data = {} }) => {
+    try {
+        const notification = await Notification.create({ recipient, type, message, data });
+        if (io) {
+            io.to(playerChannel(recipient.toString())).emit('notification', notification.toObject());
+        }
+        return notification;
+    } catch (error) {
+        console.error(`[NOTIFY] Failed to notify ${recipient}:`, error.message);
+        return null;
+    }
+};
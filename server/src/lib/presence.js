@@ -0,0 +1,114 @@
+import { playerChannel } from './gameManager.js';
+import { MEMBER_KINDS } from './stateStore.js';
+
+/**
+ * Online status of users, as their friends see it
+ *
+ * A user is online while they have a connected socket on any node, and is then
+ * idle in the lobby, waiting in a room, playing, or spectating. Rooms report
+ * changes of what their members are doing (RoomManager's `activityChanged`);
+ * connections and disconnections are reported by the socket layer. Updates go
+ * to the user's presence channel, which their friends' sockets join.
+ */
+
+export const PRESENCE_STATUSES = Object.freeze({
+    OFFLINE: 'offline',
+    LOBBY: 'lobby',
+    WAITING: 'waiting',
+    PLAYING: 'playing',
+    SPECTATING: 'spectating'
+});
+
+/**
+ * Socket.IO room of the sockets following a user's presence
+ */
+export const presenceChannel = (userId) => `presence:${userId}`;
+
+/**
+ * What a member of a room is doing there
+ * @param {Object} room - Room or its public data
+ * @param {string} kind - MEMBER_KINDS value
+ */
+export const roomActivity = (room, kind) => ({
+    status: kind === MEMBER_KINDS.SPECTATOR
+        ? PRESENCE_STATUSES.SPECTATING
+        : room.state === 'playing' ? PRESENCE_STATUSES.PLAYING : PRESENCE_STATUSES.WAITING,
+    roomId: room.roomId
+});
+
+class PresenceTracker {
+    /**
+     * @param {Object} options
+     * @param {Object} options.io - Socket.IO server (cluster-wide through its adapter)
+     * @param {Object} options.store - Cluster state store (stateStore.js)
+     */
+    constructor({ io, store }) {
+        this.io = io;
+        this.store = store;
+    }
+
+    /**
+     * The room a user is in and what they do there, or null when they are in none
+     */
+    async activityOf(userId) {
+        for (const kind of [MEMBER_KINDS.PLAYER, MEMBER_KINDS.SPECTATOR]) {
+            const roomId = await this.store.getMember(kind, userId);
+            const room = roomId ? await this.store.getPublishedRoom(roomId) : null;
+            if (room) {
+                return roomActivity(room, kind);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Presence of a user, given whether they are online and what they are doing
+     */
+    describe(userId, online, activity) {
+        if (!online) {
+            return { userId, status: PRESENCE_STATUSES.OFFLINE, roomId: null };
+        }
+        return {
+            userId,
+            status: activity?.status ?? PRESENCE_STATUSES.LOBBY,
+            roomId: activity?.roomId ?? null
+        };
+    }
+
+    /**
+     * Current presence of several users, in the same order
+     */
+    async lookup(userIds) {
+        if (userIds.length === 0) {
+            return [];
+        }
+
+        const sockets = await this.io.in(userIds.map(playerChannel)).fetchSockets().catch(() => []);
+        const online = new Set(sockets.map(socket => socket.data.user?.id));
+
+        return Promise.all(userIds.map(async userId => this.describe(
+            userId,
+            online.has(userId),
+            online.has(userId) ? await this.activityOf(userId) : null
+        )));
+    }
+
+    /**
+     * Tell a user's followers where they are now
+     * @param {Object|null} [activity] - What they now do (null: nothing), looked up when omitted
+     */
+    async publish(userId, activity) {
+        const sockets = await this.io.in(playerChannel(userId)).fetchSockets().catch(() => []);
+        const online = sockets.length > 0;
+        if (online && activity === undefined) {
+            activity = await this.activityOf(userId);
+        }
+
+        this.io.to(presenceChannel(userId)).emit('presenceUpdated', this.describe(userId, online, activity));
+    }
+}
+
+/**
+ * Create the presence tracker of this node
+ */
+export const createPresenceTracker = (options) => new PresenceTracker(options);
@@ -0,0 +1,69 @@
+/**
+ * Multiplayer Elo rating for Raja Mantri Chor Sipahi
+ *
+ * A four-player game is scored as a set of head-to-head matches: every player
+ * "beats" each opponent who finished with fewer points, draws on equal points,
+ * and the per-pair Elo deltas are averaged so a game is worth one K-factor.
+ */
+
+export const DEFAULT_RATING = 1500;
+export const PROVISIONAL_GAMES = 10; // Rated games before a rating is considered settled
+export const RATED_PLAYER_COUNT = 4;
+export const RATING_HISTORY_LIMIT = 100;
+
+const K_FACTOR = 32;
+const PROVISIONAL_K_FACTOR = 64; // New players move faster towards their real rating
+
+export const isProvisional = (ratedGames = 0) => ratedGames < PROVISIONAL_GAMES;
+
+const kFactor = (player) =>
+    isProvisional(player.ratedGames) ? PROVISIONAL_K_FACTOR : K_FACTOR;
+
+const expectedScore = (rating, opponentRating) =>
+    1 / (1 + 10 ** ((opponentRating - rating) / 400));
+
+/**
+ * Rating changes for a completed game
+ * @param {Array<{id: string, rating: number, ratedGames: number, score: number}>} players
+ * @returns {Map<string, number>} playerId -> rating change
+ */
+export const calculateRatingChanges = (players) => {
+    const changes = new Map();
+
+    players.forEach(player => {
+        const opponents = players.filter(p => p.id !== player.id);
+        const total = opponents.reduce((sum, opponent) => {
+            const actual = player.score > opponent.score ? 1
+                : player.score === opponent.score ? 0.5
+                    : 0;
+            return sum + actual - expectedScore(player.rating, opponent.rating);
+        }, 0);
+
+        changes.set(player.id, Math.round((kFactor(player) / opponents.length) * total));
+    });
+
+    return changes;
+};
+
+/**
+ * Rating changes for a force-ended game
+ * Players who left are scored as losing to everyone they were dealt in with;
+ * the players who stayed are not rated at all.
+ * @param {Array<{id: string, rating: number, ratedGames: number, leftEarly: boolean}>} players
+ * @returns {Map<string, number>} playerId -> rating change (leavers only)
+ */
+export const calculateLeaverPenalties = (players) => {
+    const changes = new Map();
+
+    players.filter(p => p.leftEarly).forEach(leaver => {
+        const opponents = players.filter(p => p.id !== leaver.id);
+        const total = opponents.reduce(
+            (sum, opponent) => sum - expectedScore(leaver.rating, opponent.rating),
+            0
+        );
+
+        changes.set(leaver.id, Math.round((kFactor(leaver) / opponents.length) * total));
+    });
+
+    return changes;
+};
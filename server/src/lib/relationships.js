@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import { User } from '../models/user.model.js';
+
+/**
+ * How two users stand with each other
+ * @returns {Promise<{exists: boolean, friends: boolean, blocked: boolean}>}
+ *   exists - both users exist
+ *   friends - they are friends
+ *   blocked - either one has blocked the other
+ */
+export const getRelationship = async (userId, otherId) => {
+    if (!mongoose.Types.ObjectId.isValid(userId) || !mongoose.Types.ObjectId.isValid(otherId)) {
+        return { exists: false, friends: false, blocked: false };
+    }
+
+    const [user, other] = await Promise.all([
+        User.findById(userId).select('friends blockedUsers').lean(),
+        User.findById(otherId).select('blockedUsers').lean()
+    ]);
+
+    if (!user || !other) {
+        return { exists: false, friends: false, blocked: false };
+    }
+
+    const includes = (ids, id) => ids.some(entry => entry.toString() === String(id));
+
+    return {
+        exists: true,
+        friends: includes(user.friends, otherId),
+        blocked: includes(user.blockedUsers, otherId) || includes(other.blockedUsers, userId)
+    };
+};
+
+/**
+ * Which of the given users have blocked, or are blocked by, a user
+ * Ids that are not user ids (bots) are never blocked.
+ * @returns {Promise<Set<string>>}
+ */
+export const getBlockedAmong = async (userId, otherIds) => {
+    const candidates = otherIds.filter(id => id !== userId && mongoose.Types.ObjectId.isValid(id));
+    if (!mongoose.Types.ObjectId.isValid(userId) || candidates.length === 0) {
+        return new Set();
+    }
+
+    const [user, blockers] = await Promise.all([
+        User.findById(userId).select('blockedUsers').lean(),
+        User.find({ _id: { $in: candidates }, blockedUsers: userId }).select('_id').lean()
+    ]);
+
+    const blocked = new Set(blockers.map(blocker => blocker._id.toString()));
+    (user?.blockedUsers || []).forEach(id => {
+        if (candidates.includes(id.toString())) {
+            blocked.add(id.toString());
+        }
+    });
+
+    return blocked;
+};
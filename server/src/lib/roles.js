@@ -0,0 +1,43 @@
+/**
+ * Card roles for Raja Mantri Chor Sipahi and its larger-table variants
+ *
+ * A role with a `target` is a guesser in the classic rules: its holder accuses
+ * the player they think holds the target role. Variants may pick other guessers
+ * (see variants.js).
+ */
+
+export const MIN_PLAYERS = 4;
+export const MAX_PLAYERS = 8;
+
+export const ROLES = Object.freeze({
+    Raja: { target: null },
+    Mantri: { target: 'Chor' },
+    Chor: { target: null },
+    Sipahi: { target: null },
+    Rani: { target: null },
+    Senapati: { target: 'Daku' },
+    Daku: { target: null }
+});
+
+/**
+ * Cards dealt for each table size
+ * Eight players add a second Chor; the Mantri catches one by naming either.
+ */
+const ROLE_SETS = Object.freeze({
+    4: ['Raja', 'Mantri', 'Chor', 'Sipahi'],
+    5: ['Raja', 'Mantri', 'Chor', 'Sipahi', 'Rani'],
+    6: ['Raja', 'Mantri', 'Chor', 'Sipahi', 'Senapati', 'Daku'],
+    7: ['Raja', 'Mantri', 'Chor', 'Sipahi', 'Rani', 'Senapati', 'Daku'],
+    8: ['Raja', 'Mantri', 'Chor', 'Sipahi', 'Rani', 'Senapati', 'Daku', 'Chor']
+});
+
+/**
+ * Get the cards to deal for a given number of players
+ */
+export const getRoleSet = (playerCount) => {
+    const roleSet = ROLE_SETS[playerCount];
+    if (!roleSet) {
+        throw new Error(`Games support ${MIN_PLAYERS} to ${MAX_PLAYERS} players`);
+    }
+    return [...roleSet];
+};
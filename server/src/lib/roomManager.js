@@ -1,5 +1,11 @@
 import EventEmitter from 'events';
 import crypto from 'crypto';
+import { resolveRoomSettings } from './roomSettings.js';
+import { MIN_PLAYERS, MAX_PLAYERS } from './roles.js';
+import { createBot, pickBotName } from './bots.js';
+import { MEMBER_KINDS } from './stateStore.js';
+import { roomActivity } from './presence.js';
+import { CHAT_HISTORY_LIMIT, CHAT_RATE_LIMIT, sanitizeChatText } from './chat.js';
 
 /**
  * Player class representing a game player
@@ -12,6 +18,14 @@ class Player {
         this.joinedAt = Date.now();
         this.gamesPlayed = 0;
         this.totalScore = 0;
+
+        // Connection state (players keep their seat during the reconnect grace period)
+        this.connected = true;
+        this.disconnectedAt = null;
+
+        // Computer-controlled players carry a bot brain (see bots.js)
+        this.isBot = false;
+        this.bot = null;
     }
 
     sanitizeName(name) {
@@ -32,11 +46,57 @@ class Player {
             name: this.name,
             isCreator: this.isCreator,
             joinedAt: this.joinedAt,
-            gamesPlayed: this.gamesPlayed
+            gamesPlayed: this.gamesPlayed,
+            connected: this.connected,
+            isBot: this.isBot,
+            botDifficulty: this.bot ? this.bot.difficulty : null
+        };
+    }
+
+    /**
+     * Serializable copy for crash recovery (connection state is not kept)
+     */
+    toSnapshot() {
+        return {
+            id: this.id,
+            name: this.name,
+            isCreator: this.isCreator,
+            joinedAt: this.joinedAt,
+            gamesPlayed: this.gamesPlayed,
+            totalScore: this.totalScore,
+            isBot: this.isBot,
+            botDifficulty: this.bot ? this.bot.difficulty : null
         };
     }
+
+    /**
+     * Rebuild a player from a snapshot
+     */
+    static fromSnapshot(snapshot) {
+        const player = new Player(snapshot.id, snapshot.name, snapshot.isCreator);
+        player.joinedAt = snapshot.joinedAt;
+        player.gamesPlayed = snapshot.gamesPlayed;
+        player.totalScore = snapshot.totalScore;
+
+        if (snapshot.isBot) {
+            player.isBot = true;
+            player.bot = createBot(snapshot.botDifficulty);
+        }
+
+        return player;
+    }
 }
 
+// Spectators do not take seats but are still capped per room
+const MAX_SPECTATORS = 20;
+
+// How long (ms) an invitation to a room stays valid, and how many a room may have pending
+const INVITE_TTL = 60000;
+const MAX_PENDING_INVITES = 20;
+
+// Milliseconds to wait before writing a changed room's snapshot
+const SNAPSHOT_DEBOUNCE = 250;
+
 /**
  * Room class representing a game room
  */
@@ -46,7 +106,18 @@ class Room {
         this.password = password ? this.hashPassword(password) : null;
         this.creatorId = creatorId;
         this.players = [];
-        this.maxPlayers = options.maxPlayers || 4;
+        this.spectators = new Map(); // userId -> { id, name, joinedAt }
+        this.invites = new Map(); // inviteeId -> { inviteId, roomId, from, expiresAt } (not snapshotted)
+        this.chat = []; // Last CHAT_HISTORY_LIMIT messages, oldest first
+        this.mutedUsers = new Set(); // Users the creator muted in chat
+        this.chatTimestamps = new Map(); // Rate limiting: userId -> timestamp[] (not snapshotted)
+        this.bannedUsers = new Map(); // userId -> { id, name, bannedAt }, kept out for the room's lifetime
+        this.locked = false; // Locked rooms take no new players or spectators
+        this.maxPlayers = options.maxPlayers || MIN_PLAYERS;
+        if (!Number.isInteger(this.maxPlayers) || this.maxPlayers < MIN_PLAYERS || this.maxPlayers > MAX_PLAYERS) {
+            throw new Error(`Rooms must seat between ${MIN_PLAYERS} and ${MAX_PLAYERS} players`);
+        }
+        this.settings = resolveRoomSettings(options.settings);
         this.createdAt = Date.now();
         this.lastActivity = Date.now();
         this.state = 'waiting'; // waiting, ready, playing, finished
@@ -54,6 +125,9 @@ class Room {
         // Game-specific properties
         this.game = null; // Will be set when GameManager is attached
 
+        // Called on every change so RoomManager can persist the room
+        this.onChange = null;
+
         // Add creator as first player
         this.addPlayer(new Player(creatorId, creatorName, true));
     }
@@ -70,6 +144,7 @@ class Room {
      */
     verifyPassword(password) {
         if (!this.password) return true;
+        if (typeof password !== 'string') return false;
         return this.password === this.hashPassword(password);
     }
 
@@ -156,11 +231,26 @@ class Room {
         return newCreator;
     }
 
+    /**
+     * Change room rules (only before a game starts)
+     */
+    updateSettings(settings) {
+        if (this.state !== 'waiting' || (this.game && this.game.phase !== 'waiting')) {
+            throw new Error('Settings can only be changed while the room is waiting');
+        }
+
+        this.settings = resolveRoomSettings(settings, this.settings);
+        this.updateActivity();
+
+        return this.settings;
+    }
+
     /**
      * Update last activity timestamp
      */
     updateActivity() {
         this.lastActivity = Date.now();
+        this.onChange?.();
     }
 
     /**
@@ -170,6 +260,201 @@ class Room {
         return this.players.length === 0;
     }
 
+    /**
+     * Add a spectator (does not count against maxPlayers)
+     */
+    addSpectator(id, name) {
+        if (this.hasPlayer(id)) {
+            throw new Error('You are already playing in this room');
+        }
+
+        if (this.spectators.has(id)) {
+            throw new Error('You are already spectating this room');
+        }
+
+        if (this.spectators.size >= MAX_SPECTATORS) {
+            throw new Error('Room has too many spectators');
+        }
+
+        const spectator = { id, name, joinedAt: Date.now() };
+        this.spectators.set(id, spectator);
+
+        return spectator;
+    }
+
+    /**
+     * Remove a spectator
+     */
+    removeSpectator(id) {
+        const spectator = this.spectators.get(id);
+        if (!spectator) {
+            throw new Error('You are not spectating this room');
+        }
+
+        this.spectators.delete(id);
+
+        return spectator;
+    }
+
+    /**
+     * Check if a user is spectating this room
+     */
+    hasSpectator(id) {
+        return this.spectators.has(id);
+    }
+
+    /**
+     * Keep a user out of the room (any pending invitation of theirs is dropped)
+     */
+    ban(userId, name) {
+        this.bannedUsers.set(userId, { id: userId, name, bannedAt: Date.now() });
+        this.invites.delete(userId);
+        this.updateActivity();
+    }
+
+    /**
+     * Let a banned user in again
+     */
+    unban(userId) {
+        if (!this.bannedUsers.delete(userId)) {
+            throw new Error('That user is not banned from this room');
+        }
+        this.updateActivity();
+    }
+
+    /**
+     * Check if a user is banned from this room
+     */
+    isBanned(userId) {
+        return this.bannedUsers.has(userId);
+    }
+
+    /**
+     * Lock or unlock the room to newcomers
+     */
+    setLocked(locked) {
+        this.locked = locked;
+        this.updateActivity();
+    }
+
+    /**
+     * Invite a user to take a seat (replaces any earlier invitation of theirs)
+     * @param {{id: string, name: string}} from - Inviting player
+     */
+    addInvite(from, inviteeId, ttl = INVITE_TTL) {
+        if (this.hasPlayer(inviteeId)) {
+            throw new Error('That player is already in this room');
+        }
+
+        if (this.isBanned(inviteeId)) {
+            throw new Error('That player is banned from this room');
+        }
+
+        const now = Date.now();
+        this.invites.forEach((invite, userId) => {
+            if (invite.expiresAt <= now) {
+                this.invites.delete(userId);
+            }
+        });
+
+        if (!this.invites.has(inviteeId) && this.invites.size >= MAX_PENDING_INVITES) {
+            throw new Error('This room has too many pending invitations');
+        }
+
+        const invite = {
+            inviteId: crypto.randomBytes(8).toString('hex'),
+            roomId: this.roomId,
+            from,
+            expiresAt: now + ttl
+        };
+        this.invites.set(inviteeId, invite);
+
+        return invite;
+    }
+
+    /**
+     * Remove a user's invitation, returning it if it is the given one and still valid
+     */
+    takeInvite(inviteeId, inviteId) {
+        const invite = this.invites.get(inviteeId);
+        if (!invite || invite.inviteId !== inviteId) {
+            return null;
+        }
+
+        this.invites.delete(inviteeId);
+        return invite.expiresAt > Date.now() ? invite : null;
+    }
+
+    /**
+     * Post a chat message from a player or spectator
+     * @returns {Object} The stored message
+     */
+    addChatMessage(userId, name, text) {
+        const spectator = this.spectators.get(userId);
+        if (!this.hasPlayer(userId) && !spectator) {
+            throw new Error('You are not in this room');
+        }
+
+        if (this.mutedUsers.has(userId)) {
+            throw new Error('You have been muted in this room');
+        }
+
+        const now = Date.now();
+        const recent = (this.chatTimestamps.get(userId) || [])
+            .filter(timestamp => now - timestamp < CHAT_RATE_LIMIT.window);
+        if (recent.length >= CHAT_RATE_LIMIT.messages) {
+            throw new Error('You are sending messages too quickly');
+        }
+
+        const message = {
+            id: crypto.randomBytes(8).toString('hex'),
+            userId,
+            name,
+            text: sanitizeChatText(text),
+            isSpectator: !!spectator,
+            sentAt: now
+        };
+
+        recent.push(now);
+        this.chatTimestamps.set(userId, recent);
+        this.chat.push(message);
+        if (this.chat.length > CHAT_HISTORY_LIMIT) {
+            this.chat.splice(0, this.chat.length - CHAT_HISTORY_LIMIT);
+        }
+        this.updateActivity();
+
+        return message;
+    }
+
+    /**
+     * Chat messages, leaving out muted users and the given senders
+     * @param {Set<string>} [hiddenSenders] - e.g. users blocked by (or blocking) the reader
+     */
+    getChatHistory(hiddenSenders = new Set()) {
+        return this.chat.filter(message =>
+            !this.mutedUsers.has(message.userId) && !hiddenSenders.has(message.userId)
+        );
+    }
+
+    /**
+     * Mute or unmute a user's chat (their messages are hidden while muted)
+     */
+    setMuted(userId, muted) {
+        if (muted) {
+            this.mutedUsers.add(userId);
+        } else {
+            this.mutedUsers.delete(userId);
+        }
+        this.updateActivity();
+    }
+
+    /**
+     * Get the human (non-bot) players
+     */
+    getHumanPlayers() {
+        return this.players.filter(p => !p.isBot);
+    }
+
     /**
      * Check if room is full
      */
@@ -195,11 +480,115 @@ class Room {
             playerCount: this.players.length,
             maxPlayers: this.maxPlayers,
             players: this.players.map(p => p.toPublicData()),
+            spectators: Array.from(this.spectators.values()),
+            spectatorCount: this.spectators.size,
             state: this.state,
+            settings: this.settings,
+            mutedUsers: Array.from(this.mutedUsers),
+            bannedUsers: Array.from(this.bannedUsers.values()),
+            isLocked: this.locked,
             createdAt: this.createdAt,
             lastActivity: this.lastActivity
         };
     }
+
+    /**
+     * Serializable copy for crash recovery (spectators are not kept, they simply watch again)
+     */
+    toSnapshot() {
+        return {
+            roomId: this.roomId,
+            password: this.password,
+            creatorId: this.creatorId,
+            maxPlayers: this.maxPlayers,
+            settings: this.settings,
+            createdAt: this.createdAt,
+            lastActivity: this.lastActivity,
+            state: this.state,
+            players: this.players.map(p => p.toSnapshot()),
+            chat: this.chat,
+            mutedUsers: Array.from(this.mutedUsers),
+            bannedUsers: Array.from(this.bannedUsers.values()),
+            locked: this.locked,
+            game: this.game ? this.game.toSnapshot() : null
+        };
+    }
+
+    /**
+     * Rebuild a room (without its game) from a snapshot
+     */
+    static fromSnapshot(snapshot) {
+        const players = snapshot.players.map(p => Player.fromSnapshot(p));
+        if (players.length === 0) {
+            throw new Error('Room snapshot has no players');
+        }
+
+        const room = new Room(snapshot.roomId, null, players[0].id, players[0].name, {
+            maxPlayers: snapshot.maxPlayers,
+            settings: snapshot.settings
+        });
+
+        // The constructor seats a fresh player; put the stored players back as they were
+        room.players = players;
+        room.password = snapshot.password;
+        room.creatorId = snapshot.creatorId;
+        room.createdAt = snapshot.createdAt;
+        room.lastActivity = snapshot.lastActivity;
+        room.state = snapshot.state;
+        // Snapshots written before rooms had chat have neither field
+        room.chat = snapshot.chat || [];
+        room.mutedUsers = new Set(snapshot.mutedUsers || []);
+        room.bannedUsers = new Map((snapshot.bannedUsers || []).map(ban => [ban.id, ban]));
+        room.locked = !!snapshot.locked;
+
+        return room;
+    }
+}
+
+/**
+ * Apply lobby filters to public room data
+ */
+const filterRooms = (rooms, filters = {}) => rooms.filter(room =>
+    (!filters.state || room.state === filters.state)
+    && (filters.hasPassword === undefined || room.hasPassword === filters.hasPassword)
+    && (!filters.notFull || room.playerCount < room.maxPlayers)
+);
+
+/**
+ * userId -> roomId lookup whose changes are mirrored to the cluster state store,
+ * so any node can tell which room a user belongs to
+ */
+class MembershipIndex extends Map {
+    constructor(kind) {
+        super();
+        this.kind = kind;
+        this.store = null;
+    }
+
+    set(userId, roomId) {
+        super.set(userId, roomId);
+        this.store?.setMember(this.kind, userId, roomId).catch(error => {
+            console.error(`[STORE] Failed to record ${this.kind} ${userId}:`, error.message);
+        });
+        return this;
+    }
+
+    delete(userId) {
+        const deleted = super.delete(userId);
+        if (deleted) {
+            this.store?.removeMember(this.kind, userId).catch(error => {
+                console.error(`[STORE] Failed to remove ${this.kind} ${userId}:`, error.message);
+            });
+        }
+        return deleted;
+    }
+
+    /**
+     * Drop an entry on this node only (another node now keeps it)
+     */
+    forget(userId) {
+        return super.delete(userId);
+    }
 }
 
 /**
@@ -214,11 +603,23 @@ class RoomManager extends EventEmitter {
             return RoomManager.instance;
         }
         this.rooms = new Map();
-        this.playerToRoom = new Map(); // Quick lookup: playerId -> roomId
+        this.playerToRoom = new MembershipIndex(MEMBER_KINDS.PLAYER); // Quick lookup: playerId -> roomId
+        this.spectatorToRoom = new MembershipIndex(MEMBER_KINDS.SPECTATOR); // Quick lookup: spectatorId -> roomId
         this.maxRooms = 100;
         this.roomCreationLimit = new Map(); // Rate limiting: IP -> timestamp[]
+        this.disconnectTimers = new Map(); // Reconnect grace: playerId -> timeoutId
         this.cleanupInterval = null;
 
+        // Crash recovery (see enableSnapshots)
+        this.snapshotStore = null;
+        this.snapshotTimers = new Map(); // roomId -> pending debounced save
+
+        // What the members of each room were last reported doing (see updateActivities)
+        this.activities = new Map(); // roomId -> Map(userId -> { status, roomId })
+
+        // Shared state for a cluster of nodes (see enableStateStore)
+        this.stateStore = null;
+
         this.startCleanupScheduler();
         RoomManager.instance = this;
     }
@@ -242,7 +643,8 @@ class RoomManager extends EventEmitter {
             password = null,
             creatorId,
             creatorName,
-            maxPlayers = 4
+            maxPlayers = 4,
+            settings = {}
         } = options;
 
         // Validate inputs
@@ -255,6 +657,10 @@ class RoomManager extends EventEmitter {
             throw new Error('You are already in a room. Leave your current room first.');
         }
 
+        if (this.spectatorToRoom.has(creatorId)) {
+            throw new Error('You are spectating a room. Stop spectating first.');
+        }
+
         // Check room capacity
         if (this.rooms.size >= this.maxRooms) {
             throw new Error('Server is at capacity. Please try again later.');
@@ -266,9 +672,10 @@ class RoomManager extends EventEmitter {
         }
 
         // Create room
-        const room = new Room(roomId, password, creatorId, creatorName, { maxPlayers });
+        const room = new Room(roomId, password, creatorId, creatorName, { maxPlayers, settings });
         this.rooms.set(roomId, room);
         this.playerToRoom.set(creatorId, roomId);
+        this.trackRoom(room);
 
         // const player = new Player(creatorId, creatorName, true);
         // room.addPlayer(player);
@@ -282,7 +689,7 @@ class RoomManager extends EventEmitter {
     /**
      * Join an existing room
      */
-    joinRoom(roomId, playerId, playerName, password = null) {
+    joinRoom(roomId, playerId, playerName, password = null, { invited = false } = {}) {
         // Validate inputs
         if (!roomId || !playerId || !playerName) {
             throw new Error('Room ID, player ID, and player name are required');
@@ -297,14 +704,28 @@ class RoomManager extends EventEmitter {
             throw new Error('You are already in another room. Leave it first.');
         }
 
+        // Spectators may take a free seat in the room they are watching
+        const spectatingRoomId = this.spectatorToRoom.get(playerId);
+        if (spectatingRoomId && spectatingRoomId !== roomId) {
+            throw new Error('You are spectating another room. Stop spectating first.');
+        }
+
         // Get room
         const room = this.rooms.get(roomId);
         if (!room) {
             throw new Error('Room not found');
         }
 
-        // Verify password
-        if (!room.verifyPassword(password)) {
+        if (room.isBanned(playerId)) {
+            throw new Error('You are banned from this room');
+        }
+
+        // An invitation lets the player in without the password, and into a locked room
+        if (!invited && room.locked) {
+            throw new Error('This room is locked');
+        }
+
+        if (!invited && !room.verifyPassword(password)) {
             throw new Error('Incorrect room password');
         }
 
@@ -313,6 +734,11 @@ class RoomManager extends EventEmitter {
         room.addPlayer(player);
         this.playerToRoom.set(playerId, roomId);
 
+        if (spectatingRoomId) {
+            room.removeSpectator(playerId);
+            this.spectatorToRoom.delete(playerId);
+        }
+
         console.log(`[ROOM] Player ${playerName} joined room ${roomId}`);
 
         this.emit('playerJoined', {
@@ -324,6 +750,56 @@ class RoomManager extends EventEmitter {
         return room;
     }
 
+    /**
+     * Invite a user to the room a player sits in
+     */
+    inviteToRoom(inviterId, inviteeId) {
+        const room = this.getRoomByPlayerId(inviterId);
+        if (!room) {
+            throw new Error('You are not in any room');
+        }
+
+        if (room.isFull()) {
+            throw new Error('Room is full');
+        }
+
+        const inviter = room.getPlayer(inviterId);
+        const invite = room.addInvite({ id: inviter.id, name: inviter.name }, inviteeId);
+
+        console.log(`[ROOM] ${inviter.name} invited ${inviteeId} to room ${room.roomId}`);
+
+        return { room, invite };
+    }
+
+    /**
+     * Take the seat an invitation was for (no password needed)
+     */
+    acceptInvite(roomId, inviteId, userId, userName) {
+        const room = this.getRoom(roomId);
+
+        const invite = room.takeInvite(userId, inviteId);
+        if (!invite) {
+            throw new Error('This invitation has expired');
+        }
+
+        try {
+            this.joinRoom(roomId, userId, userName, null, { invited: true });
+        } catch (error) {
+            // Still valid once the player has left their other room, say
+            room.invites.set(userId, invite);
+            throw error;
+        }
+
+        return { room, invite };
+    }
+
+    /**
+     * Turn an invitation down; returns it, or null if it was no longer valid
+     */
+    declineInvite(roomId, inviteId, userId) {
+        return this.rooms.get(roomId)?.takeInvite(userId, inviteId) || null;
+    }
+
     /**
      * Leave a room
      */
@@ -342,12 +818,15 @@ class RoomManager extends EventEmitter {
         const wasCreator = room.isCreator(playerId);
         const removedPlayer = room.removePlayer(playerId);
         this.playerToRoom.delete(playerId);
+        this.clearDisconnectTimer(playerId);
 
         console.log(`[ROOM] Player ${removedPlayer.name} left room ${roomId}`);
 
-        // Handle creator leaving
-        if (wasCreator && !room.isEmpty()) {
-            const newCreator = room.transferOwnership(room.players[0].id);
+        const humans = room.getHumanPlayers();
+
+        // Handle creator leaving (bots never own a room)
+        if (wasCreator && humans.length > 0) {
+            const newCreator = room.transferOwnership(humans[0].id);
             this.emit('creatorChanged', {
                 roomId,
                 oldCreator: removedPlayer.toPublicData(),
@@ -356,9 +835,12 @@ class RoomManager extends EventEmitter {
             });
         }
 
-        // Delete room if empty
-        if (room.isEmpty()) {
+        // Delete room once only bots (or nobody) remain
+        if (humans.length === 0) {
+            room.game?.clearAllTimers();
+            this.releaseSpectators(room);
             this.rooms.delete(roomId);
+            this.roomChanged(roomId);
             console.log(`[ROOM] Deleted empty room ${roomId} (${this.rooms.size}/${this.maxRooms})`);
             this.emit('roomDeleted', { roomId });
             return { room: null, roomDeleted: true, wasCreator };
@@ -375,45 +857,440 @@ class RoomManager extends EventEmitter {
     }
 
     /**
-     * Get room by ID
+     * Watch a room without taking a seat
      */
-    getRoom(roomId) {
+    spectateRoom(roomId, userId, userName, password = null) {
+        if (!roomId || !userId || !userName) {
+            throw new Error('Room ID, user ID, and user name are required');
+        }
+
+        if (this.playerToRoom.has(userId)) {
+            throw new Error('You are already in a room. Leave your current room first.');
+        }
+
+        if (this.spectatorToRoom.has(userId)) {
+            throw new Error('You are already spectating a room. Stop spectating first.');
+        }
+
+        const room = this.getRoom(roomId);
+
+        if (room.isBanned(userId)) {
+            throw new Error('You are banned from this room');
+        }
+
+        if (room.locked) {
+            throw new Error('This room is locked');
+        }
+
+        if (!room.verifyPassword(password)) {
+            throw new Error('Incorrect room password');
+        }
+
+        const spectator = room.addSpectator(userId, userName);
+        this.spectatorToRoom.set(userId, roomId);
+        room.updateActivity();
+
+        console.log(`[ROOM] ${userName} is spectating room ${roomId}`);
+
+        this.emit('spectatorJoined', {
+            roomId,
+            spectator,
+            room: room.toPublicData()
+        });
+
+        return { room, spectator };
+    }
+
+    /**
+     * Stop watching a room
+     */
+    stopSpectating(userId) {
+        const roomId = this.spectatorToRoom.get(userId);
+        if (!roomId) {
+            throw new Error('You are not spectating any room');
+        }
+
+        this.spectatorToRoom.delete(userId);
+
         const room = this.rooms.get(roomId);
         if (!room) {
             throw new Error('Room not found');
         }
-        return room;
+
+        const spectator = room.removeSpectator(userId);
+        room.updateActivity();
+
+        console.log(`[ROOM] ${spectator.name} stopped spectating room ${roomId}`);
+
+        this.emit('spectatorLeft', {
+            roomId,
+            spectator,
+            room: room.toPublicData()
+        });
+
+        return { room, spectator };
     }
 
     /**
-     * Get room by player ID
+     * Let a spectator keep watching a room that moved to this node (they were admitted before)
      */
-    getRoomByPlayerId(playerId) {
-        const roomId = this.playerToRoom.get(playerId);
-        if (!roomId) {
+    readmitSpectator(roomId, userId, userName) {
+        const room = this.getRoom(roomId);
+        if (this.playerToRoom.has(userId) || this.spectatorToRoom.has(userId)) {
             return null;
         }
-        return this.rooms.get(roomId);
+
+        const spectator = room.addSpectator(userId, userName);
+        this.spectatorToRoom.set(userId, roomId);
+        this.updateActivities(roomId);
+        return spectator;
     }
 
     /**
-     * Get all rooms (with optional filters)
+     * Get the room a user is spectating
      */
-    getAllRooms(filters = {}) {
-        let rooms = Array.from(this.rooms.values());
+    getRoomBySpectatorId(userId) {
+        const roomId = this.spectatorToRoom.get(userId);
+        if (!roomId) {
+            return null;
+        }
+        return this.rooms.get(roomId);
+    }
+
+    /**
+     * Drop the spectator lookups of a room that is going away
+     */
+    releaseSpectators(room) {
+        room.spectators.forEach((_, spectatorId) => this.spectatorToRoom.delete(spectatorId));
+        room.spectators.clear();
+    }
+
+    /**
+     * Get the room a user plays in or spectates
+     */
+    getRoomByMemberId(userId) {
+        return this.getRoomByPlayerId(userId) || this.getRoomBySpectatorId(userId);
+    }
+
+    /**
+     * Remove a player or spectator from a room (creator only), optionally banning them
+     * @returns {Object} { room, kind, member, left } - left is leaveRoom's result for players
+     */
+    kickFromRoom(roomId, requesterId, targetId, { ban = false } = {}) {
+        const room = this.getRoom(roomId);
+
+        if (!room.isCreator(requesterId)) {
+            throw new Error('Only the room creator can remove players');
+        }
+
+        if (targetId === requesterId) {
+            throw new Error('You cannot remove yourself');
+        }
+
+        const player = room.getPlayer(targetId);
+        if (player?.isBot) {
+            throw new Error('Use removeBot to remove a bot');
+        }
+        if (!player && !room.hasSpectator(targetId)) {
+            throw new Error('That user is not in this room');
+        }
+
+        const member = player ? player.toPublicData() : room.spectators.get(targetId);
+        if (ban) {
+            room.ban(targetId, member.name);
+        }
+
+        console.log(`[ROOM] ${member.name} ${ban ? 'banned' : 'kicked'} from room ${roomId}`);
+
+        if (player) {
+            return { room, kind: MEMBER_KINDS.PLAYER, member, left: this.leaveRoom(targetId) };
+        }
+        this.stopSpectating(targetId);
+        return { room, kind: MEMBER_KINDS.SPECTATOR, member, left: null };
+    }
+
+    /**
+     * Lift a ban (creator only)
+     */
+    unbanFromRoom(roomId, requesterId, targetId) {
+        const room = this.getRoom(roomId);
+
+        if (!room.isCreator(requesterId)) {
+            throw new Error('Only the room creator can lift bans');
+        }
+
+        room.unban(targetId);
+        return room;
+    }
+
+    /**
+     * Hand the room over to another human player (creator only)
+     */
+    transferHost(roomId, requesterId, targetId) {
+        const room = this.getRoom(roomId);
+
+        if (!room.isCreator(requesterId)) {
+            throw new Error('Only the room creator can transfer the host role');
+        }
+
+        if (targetId === requesterId) {
+            throw new Error('You are already the host');
+        }
+
+        const target = room.getPlayer(targetId);
+        if (!target) {
+            throw new Error('That player is not in this room');
+        }
+        if (target.isBot) {
+            throw new Error('Bots cannot host a room');
+        }
+
+        const oldCreator = room.getPlayer(requesterId);
+        const newCreator = room.transferOwnership(targetId);
+
+        console.log(`[ROOM] Host of room ${roomId} passed from ${oldCreator.name} to ${newCreator.name}`);
+
+        this.emit('creatorChanged', {
+            roomId,
+            oldCreator: oldCreator.toPublicData(),
+            newCreator: newCreator.toPublicData(),
+            room: room.toPublicData()
+        });
+
+        return { room, oldCreator, newCreator };
+    }
+
+    /**
+     * Lock or unlock a room to newcomers (creator only)
+     */
+    setRoomLocked(roomId, requesterId, locked) {
+        const room = this.getRoom(roomId);
+
+        if (!room.isCreator(requesterId)) {
+            throw new Error('Only the room creator can lock the room');
+        }
+
+        room.setLocked(locked);
+
+        console.log(`[ROOM] Room ${roomId} ${locked ? 'locked' : 'unlocked'}`);
+
+        return room;
+    }
+
+    /**
+     * Post a chat message in the room the user plays in or spectates
+     */
+    sendChatMessage(userId, userName, text) {
+        const room = this.getRoomByMemberId(userId);
+        if (!room) {
+            throw new Error('You are not in any room');
+        }
+
+        const message = room.addChatMessage(userId, userName, text);
+        return { room, message };
+    }
+
+    /**
+     * Mute or unmute a player or spectator in the chat (creator only)
+     */
+    setChatMuted(roomId, requesterId, targetId, muted) {
+        const room = this.getRoom(roomId);
+
+        if (!room.isCreator(requesterId)) {
+            throw new Error('Only the room creator can mute players');
+        }
+
+        if (targetId === requesterId) {
+            throw new Error('You cannot mute yourself');
+        }
+
+        if (!room.hasPlayer(targetId) && !room.hasSpectator(targetId)) {
+            throw new Error('That user is not in this room');
+        }
+
+        room.setMuted(targetId, muted);
+
+        console.log(`[ROOM] ${targetId} ${muted ? 'muted' : 'unmuted'} in room ${roomId}`);
+
+        return room;
+    }
+
+    /**
+     * Seat a bot in a room (creator only, before a game starts)
+     * Bots are not tracked in playerToRoom since no socket belongs to them.
+     */
+    addBot(roomId, requesterId, difficulty) {
+        const room = this.getRoom(roomId);
+
+        if (!room.isCreator(requesterId)) {
+            throw new Error('Only the room creator can add bots');
+        }
+
+        if (room.state !== 'waiting' || (room.game && room.game.phase !== 'waiting')) {
+            throw new Error('Bots can only be added while the room is waiting');
+        }
+
+        const bot = new Player(crypto.randomBytes(12).toString('hex'), pickBotName(room));
+        bot.isBot = true;
+        bot.bot = createBot(difficulty);
+        room.addPlayer(bot);
+
+        console.log(`[ROOM] Bot ${bot.name} (${difficulty}) added to room ${roomId}`);
+
+        this.emit('playerJoined', {
+            roomId,
+            player: bot.toPublicData(),
+            room: room.toPublicData()
+        });
+
+        return { room, bot };
+    }
+
+    /**
+     * Remove a bot from a room (creator only, before a game starts)
+     */
+    removeBot(roomId, requesterId, botId) {
+        const room = this.getRoom(roomId);
+
+        if (!room.isCreator(requesterId)) {
+            throw new Error('Only the room creator can remove bots');
+        }
+
+        if (room.state !== 'waiting' || (room.game && room.game.phase !== 'waiting')) {
+            throw new Error('Bots can only be removed while the room is waiting');
+        }
+
+        if (!room.getPlayer(botId)?.isBot) {
+            throw new Error('Bot not found in room');
+        }
+
+        const bot = room.removePlayer(botId);
+
+        console.log(`[ROOM] Bot ${bot.name} removed from room ${roomId}`);
+
+        this.emit('playerLeft', {
+            roomId,
+            player: bot.toPublicData(),
+            room: room.toPublicData(),
+            wasCreator: false
+        });
+
+        return { room, bot };
+    }
+
+    /**
+     * Mark a player as disconnected and hold their seat for the grace period
+     * onExpire runs if they have not reconnected by then
+     */
+    markDisconnected(playerId, gracePeriod, onExpire) {
+        const room = this.getRoomByPlayerId(playerId);
+        if (!room) {
+            return null;
+        }
+
+        const player = room.getPlayer(playerId);
+        player.connected = false;
+        player.disconnectedAt = Date.now();
+
+        this.clearDisconnectTimer(playerId);
+        this.disconnectTimers.set(playerId, setTimeout(() => {
+            this.disconnectTimers.delete(playerId);
+            onExpire();
+        }, gracePeriod));
+
+        console.log(`[ROOM] Player ${player.name} disconnected from room ${room.roomId}, holding seat for ${gracePeriod}ms`);
+
+        this.emit('playerDisconnected', {
+            roomId: room.roomId,
+            player: player.toPublicData(),
+            room: room.toPublicData()
+        });
+
+        return room;
+    }
+
+    /**
+     * Rebind a disconnected player to their seat
+     * Returns the room if the player was waiting on the grace period, null otherwise
+     */
+    markReconnected(playerId) {
+        const room = this.getRoomByPlayerId(playerId);
+        if (!room) {
+            return null;
+        }
+
+        const player = room.getPlayer(playerId);
+        if (player.connected) {
+            return null;
+        }
+
+        this.clearDisconnectTimer(playerId);
+        player.connected = true;
+        player.disconnectedAt = null;
+        room.updateActivity();
+
+        console.log(`[ROOM] Player ${player.name} reconnected to room ${room.roomId}`);
 
-        // Apply filters
-        if (filters.state) {
-            rooms = rooms.filter(r => r.state === filters.state);
+        this.emit('playerReconnected', {
+            roomId: room.roomId,
+            player: player.toPublicData(),
+            room: room.toPublicData()
+        });
+
+        return room;
+    }
+
+    /**
+     * Cancel a pending reconnect grace timer
+     */
+    clearDisconnectTimer(playerId) {
+        const timerId = this.disconnectTimers.get(playerId);
+        if (timerId) {
+            clearTimeout(timerId);
+            this.disconnectTimers.delete(playerId);
         }
-        if (filters.hasPassword !== undefined) {
-            rooms = rooms.filter(r => (r.password !== null) === filters.hasPassword);
+    }
+
+    /**
+     * Get room by ID
+     */
+    getRoom(roomId) {
+        const room = this.rooms.get(roomId);
+        if (!room) {
+            throw new Error('Room not found');
+        }
+        return room;
+    }
+
+    /**
+     * Get room by player ID
+     */
+    getRoomByPlayerId(playerId) {
+        const roomId = this.playerToRoom.get(playerId);
+        if (!roomId) {
+            return null;
         }
-        if (filters.notFull) {
-            rooms = rooms.filter(r => !r.isFull());
+        return this.rooms.get(roomId);
+    }
+
+    /**
+     * Get all rooms (with optional filters)
+     */
+    getAllRooms(filters = {}) {
+        return filterRooms(Array.from(this.rooms.values(), r => r.toPublicData()), filters);
+    }
+
+    /**
+     * Get the rooms of the whole cluster (with optional filters)
+     * Rooms hosted here are always current; the directory adds the ones other nodes host.
+     */
+    async listRooms(filters = {}) {
+        if (!this.stateStore) {
+            return this.getAllRooms(filters);
         }
 
-        return rooms.map(r => r.toPublicData());
+        const remoteRooms = (await this.stateStore.listRooms()).filter(room => !this.rooms.has(room.roomId));
+        return filterRooms([...this.getAllRooms(), ...remoteRooms], filters);
     }
 
     /**
@@ -427,6 +1304,220 @@ class RoomManager extends EventEmitter {
         return roomId;
     }
 
+    /**
+     * Persist rooms to a snapshot store from now on (see snapshotStore.js)
+     */
+    enableSnapshots(store) {
+        this.snapshotStore = store;
+        this.rooms.forEach(room => this.scheduleSnapshot(room.roomId));
+    }
+
+    /**
+     * Share memberships and the lobby directory through a cluster state store (see stateStore.js)
+     */
+    enableStateStore(store) {
+        this.stateStore = store;
+        this.playerToRoom.store = store;
+        this.spectatorToRoom.store = store;
+        this.rooms.forEach(room => this.publishRoom(room.roomId));
+    }
+
+    /**
+     * Save and publish a room now and after every change
+     */
+    trackRoom(room) {
+        room.onChange = () => this.roomChanged(room.roomId);
+        this.roomChanged(room.roomId);
+    }
+
+    /**
+     * A room changed or was removed
+     */
+    roomChanged(roomId) {
+        if (this.rooms.has(roomId)) {
+            this.scheduleSnapshot(roomId);
+        } else if (this.snapshotStore) {
+            // A removed room's snapshot goes at once, before another node could adopt it
+            clearTimeout(this.snapshotTimers.get(roomId));
+            this.snapshotTimers.delete(roomId);
+            this.saveSnapshot(roomId);
+        }
+        this.publishRoom(roomId);
+        this.updateActivities(roomId);
+    }
+
+    /**
+     * Report members of a room who started doing something else there, joined it or left it
+     * Emits `activityChanged` with the user's new activity (null once they left).
+     */
+    updateActivities(roomId) {
+        const room = this.rooms.get(roomId);
+        const current = new Map();
+        if (room) {
+            // A spectator taking a seat is briefly both; the seat counts
+            room.spectators.forEach((_, spectatorId) => {
+                current.set(spectatorId, roomActivity(room, MEMBER_KINDS.SPECTATOR));
+            });
+            room.getHumanPlayers().forEach(player => {
+                current.set(player.id, roomActivity(room, MEMBER_KINDS.PLAYER));
+            });
+        }
+
+        const previous = this.activities.get(roomId) || new Map();
+        previous.forEach((_, userId) => {
+            if (!current.has(userId)) {
+                this.emit('activityChanged', { userId, activity: null });
+            }
+        });
+        current.forEach((activity, userId) => {
+            if (previous.get(userId)?.status !== activity.status) {
+                this.emit('activityChanged', { userId, activity });
+            }
+        });
+
+        if (room) {
+            this.activities.set(roomId, current);
+        } else {
+            this.activities.delete(roomId);
+        }
+    }
+
+    /**
+     * Update a room's entry in the cluster's lobby directory (a removed room is unlisted)
+     */
+    publishRoom(roomId) {
+        if (!this.stateStore) {
+            return;
+        }
+
+        const room = this.rooms.get(roomId);
+        const write = room
+            ? this.stateStore.publishRoom(roomId, room.toPublicData())
+            : this.stateStore.unpublishRoom(roomId);
+
+        write.catch(error => {
+            console.error(`[STORE] Failed to publish room ${roomId}:`, error.message);
+        });
+    }
+
+    /**
+     * Queue a save of a room's snapshot (a removed room has its snapshot deleted)
+     * Saves are debounced so a burst of changes is written once.
+     */
+    scheduleSnapshot(roomId) {
+        if (!this.snapshotStore || this.snapshotTimers.has(roomId)) {
+            return;
+        }
+
+        this.snapshotTimers.set(roomId, setTimeout(() => {
+            this.snapshotTimers.delete(roomId);
+            this.saveSnapshot(roomId);
+        }, SNAPSHOT_DEBOUNCE));
+    }
+
+    /**
+     * Write (or delete) a room's snapshot now
+     */
+    saveSnapshot(roomId) {
+        const room = this.rooms.get(roomId);
+        const write = room
+            ? this.snapshotStore.save(roomId, room.toSnapshot())
+            : this.snapshotStore.remove(roomId);
+
+        return write.catch(error => {
+            console.error(`[SNAPSHOT] Failed to save room ${roomId}:`, error.message);
+        });
+    }
+
+    /**
+     * Write every pending snapshot right away (e.g. before shutting down)
+     */
+    async flushSnapshots() {
+        if (!this.snapshotStore) {
+            return;
+        }
+
+        const pending = [...this.snapshotTimers.keys()];
+        this.snapshotTimers.forEach(timerId => clearTimeout(timerId));
+        this.snapshotTimers.clear();
+
+        await Promise.all(pending.map(roomId => this.saveSnapshot(roomId)));
+        await this.snapshotStore.flush();
+    }
+
+    /**
+     * Bring back the rooms saved in the snapshot store
+     * @param {Function} attachGame - Creates the room's GameManager: (room, gameSnapshot) => game
+     * @param {Function} shouldRestore - async (roomId) => boolean, e.g. to skip rooms another node runs
+     * @returns {Room[]} Restored rooms
+     */
+    async restoreRooms(attachGame, shouldRestore = async () => true) {
+        if (!this.snapshotStore) {
+            return [];
+        }
+
+        const restored = [];
+        for (const snapshot of await this.snapshotStore.loadAll()) {
+            if (this.rooms.has(snapshot.roomId) || !await shouldRestore(snapshot.roomId)) {
+                continue;
+            }
+
+            const room = this.restoreRoom(snapshot, attachGame);
+            if (room) {
+                restored.push(room);
+            }
+        }
+
+        return restored;
+    }
+
+    /**
+     * Bring back a single room from its snapshot
+     * @returns {Room|null} The room, or null if the snapshot was unusable (it is then deleted)
+     */
+    restoreRoom(snapshot, attachGame) {
+        try {
+            const room = Room.fromSnapshot(snapshot);
+            room.game = attachGame(room, snapshot.game);
+
+            this.rooms.set(room.roomId, room);
+            room.getHumanPlayers().forEach(player => this.playerToRoom.set(player.id, room.roomId));
+            this.trackRoom(room);
+
+            console.log(`[SNAPSHOT] Restored room ${room.roomId} (${room.state})`);
+            return room;
+        } catch (error) {
+            console.error(`[SNAPSHOT] Could not restore room ${snapshot.roomId}:`, error.message);
+            this.snapshotStore?.remove(snapshot.roomId).catch(() => {});
+            return null;
+        }
+    }
+
+    /**
+     * Forget a room that another node has taken over, leaving the shared state to its new owner
+     */
+    dropRoom(roomId) {
+        const room = this.rooms.get(roomId);
+        if (!room) {
+            return;
+        }
+
+        room.onChange = null;
+        room.game?.clearAllTimers();
+        room.players.forEach(player => {
+            this.playerToRoom.forget(player.id);
+            this.clearDisconnectTimer(player.id);
+        });
+        room.spectators.forEach((_, spectatorId) => this.spectatorToRoom.forget(spectatorId));
+        this.rooms.delete(roomId);
+
+        clearTimeout(this.snapshotTimers.get(roomId));
+        this.snapshotTimers.delete(roomId);
+        this.activities.delete(roomId);
+
+        console.log(`[ROOM] Dropped room ${roomId}, now hosted by another node`);
+    }
+
     /**
      * Get comprehensive statistics
      */
@@ -494,8 +1585,12 @@ class RoomManager extends EventEmitter {
             // Clean up player-to-room mapping
             room.players.forEach(player => {
                 this.playerToRoom.delete(player.id);
+                this.clearDisconnectTimer(player.id);
             });
+            room.game?.clearAllTimers();
+            this.releaseSpectators(room);
             this.rooms.delete(roomId);
+            this.roomChanged(roomId);
             console.log(`[CLEANUP] Removed stale room ${roomId}`);
             this.emit('roomDeleted', { roomId, reason: 'stale' });
         });
@@ -514,8 +1609,13 @@ class RoomManager extends EventEmitter {
             this.cleanupInterval = null;
         }
 
+        this.disconnectTimers.forEach(timerId => clearTimeout(timerId));
+        this.disconnectTimers.clear();
+        this.snapshotTimers.forEach(timerId => clearTimeout(timerId));
+        this.snapshotTimers.clear();
         this.rooms.clear();
         this.playerToRoom.clear();
+        this.spectatorToRoom.clear();
         this.roomCreationLimit.clear();
 
         console.log('[ROOM] RoomManager destroyed');
@@ -0,0 +1,49 @@
+import { roomSettingsSchema } from '../validators/room.validator.js';
+import { DEFAULT_VARIANT } from './variants.js';
+
+/**
+ * Default room rules (timers in seconds)
+ */
+export const DEFAULT_ROOM_SETTINGS = Object.freeze({
+    maxRounds: 5,
+    roundTimer: 30,
+    gameStartCountdown: 5,
+    nextRoundCountdown: 5,
+    variant: DEFAULT_VARIANT,
+    spectatorCardDelay: null, // Seconds before spectators see every card, null to never show them
+    points: Object.freeze({
+        Raja: 1000,
+        Mantri: 800,
+        Chor: 800,
+        Sipahi: 500,
+        Rani: 900,
+        Senapati: 700,
+        Daku: 600
+    })
+});
+
+/**
+ * Validate a (partial) settings object and merge it over the base settings
+ * @param {Object} overrides - Client-provided settings
+ * @param {Object} base - Settings to fall back on for missing values
+ * @returns {Object} Complete settings
+ */
+export const resolveRoomSettings = (overrides = {}, base = DEFAULT_ROOM_SETTINGS) => {
+    const { error, value } = roomSettingsSchema.validate(overrides || {}, {
+        abortEarly: false,
+        stripUnknown: true
+    });
+
+    if (error) {
+        throw new Error(error.details.map(detail => detail.message).join(', '));
+    }
+
+    return {
+        ...base,
+        ...value,
+        points: {
+            ...base.points,
+            ...value.points
+        }
+    };
+};
@@ -0,0 +1,109 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * File-backed store for room snapshots (one JSON file per room)
+ *
+ * Writes go to a temporary file that is renamed over the old snapshot, so a
+ * crash mid-write leaves the previous snapshot intact. Writes for the same room
+ * are queued so an older snapshot can never land after a newer one.
+ */
+class FileSnapshotStore {
+    constructor(directory) {
+        this.directory = path.resolve(directory);
+        this.queues = new Map(); // roomId -> promise of the last queued write
+    }
+
+    /**
+     * Path of a room's snapshot file
+     */
+    filePath(roomId) {
+        return path.join(this.directory, `${roomId}.json`);
+    }
+
+    /**
+     * Run a write after the previous one for the same room
+     */
+    enqueue(roomId, task) {
+        const previous = this.queues.get(roomId) || Promise.resolve();
+        const next = previous.catch(() => {}).then(task);
+
+        this.queues.set(roomId, next);
+        next.finally(() => {
+            if (this.queues.get(roomId) === next) {
+                this.queues.delete(roomId);
+            }
+        }).catch(() => {});
+
+        return next;
+    }
+
+    /**
+     * Save (or replace) a room's snapshot
+     */
+    save(roomId, snapshot) {
+        const data = JSON.stringify(snapshot);
+
+        return this.enqueue(roomId, async () => {
+            await fs.mkdir(this.directory, { recursive: true });
+            const tempPath = `${this.filePath(roomId)}.tmp`;
+            await fs.writeFile(tempPath, data, 'utf8');
+            await fs.rename(tempPath, this.filePath(roomId));
+        });
+    }
+
+    /**
+     * Read one room's snapshot (null if there is none)
+     */
+    async load(roomId) {
+        try {
+            return JSON.parse(await fs.readFile(this.filePath(roomId), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a room's snapshot (no-op if there is none)
+     */
+    remove(roomId) {
+        return this.enqueue(roomId, () => fs.rm(this.filePath(roomId), { force: true }));
+    }
+
+    /**
+     * Read every stored snapshot, skipping files that cannot be parsed
+     */
+    async loadAll() {
+        let files;
+        try {
+            files = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const snapshots = [];
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            try {
+                snapshots.push(JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8')));
+            } catch (error) {
+                console.error(`[SNAPSHOT] Skipping unreadable snapshot ${file}:`, error.message);
+            }
+        }
+
+        return snapshots;
+    }
+
+    /**
+     * Wait for every queued write to finish
+     */
+    async flush() {
+        await Promise.allSettled([...this.queues.values()]);
+    }
+}
+
+/**
+ * Create the snapshot store for a directory
+ */
+export const createSnapshotStore = (directory) => new FileSnapshotStore(directory);
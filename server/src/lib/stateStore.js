@@ -0,0 +1,258 @@
+/**
+ * Shared room state for a cluster of game servers
+ *
+ * Each room is hosted by exactly one node (its owner), which runs the game loop.
+ * The store is where the nodes meet:
+ *   - room snapshots, so another node can take a room over (same interface as snapshotStore.js)
+ *   - the lobby directory, each room's public data as last published by its owner
+ *   - owner leases, which the owner keeps renewing and which lapse when it dies
+ *   - which room every user sits in or watches, so any node can route their requests
+ */
+
+/**
+ * Kinds of room membership
+ */
+export const MEMBER_KINDS = Object.freeze({
+    PLAYER: 'player',
+    SPECTATOR: 'spectator'
+});
+
+/**
+ * Store kept in this process (a single node)
+ */
+class MemoryStateStore {
+    constructor() {
+        this.snapshots = new Map(); // roomId -> snapshot JSON
+        this.directory = new Map(); // roomId -> public room data JSON
+        this.leases = new Map(); // roomId -> { nodeId, expiresAt }
+        this.members = new Map(); // `${kind}:${userId}` -> roomId
+    }
+
+    // ==================== SNAPSHOTS ====================
+
+    async save(roomId, snapshot) {
+        this.snapshots.set(roomId, JSON.stringify(snapshot));
+    }
+
+    async load(roomId) {
+        const data = this.snapshots.get(roomId);
+        return data ? JSON.parse(data) : null;
+    }
+
+    async remove(roomId) {
+        this.snapshots.delete(roomId);
+    }
+
+    async loadAll() {
+        return [...this.snapshots.values()].map(data => JSON.parse(data));
+    }
+
+    async flush() {}
+
+    // ==================== LOBBY DIRECTORY ====================
+
+    async publishRoom(roomId, publicData) {
+        this.directory.set(roomId, JSON.stringify(publicData));
+    }
+
+    async unpublishRoom(roomId) {
+        this.directory.delete(roomId);
+    }
+
+    async listRooms() {
+        return [...this.directory.values()].map(data => JSON.parse(data));
+    }
+
+    async getPublishedRoom(roomId) {
+        const data = this.directory.get(roomId);
+        return data ? JSON.parse(data) : null;
+    }
+
+    // ==================== OWNER LEASES ====================
+
+    getLease(roomId) {
+        const lease = this.leases.get(roomId);
+        if (lease && lease.expiresAt <= Date.now()) {
+            this.leases.delete(roomId);
+            return null;
+        }
+        return lease || null;
+    }
+
+    async claimRoom(roomId, nodeId, ttl) {
+        const lease = this.getLease(roomId);
+        if (lease) {
+            return lease.nodeId;
+        }
+
+        this.leases.set(roomId, { nodeId, expiresAt: Date.now() + ttl });
+        return nodeId;
+    }
+
+    async renewRoom(roomId, nodeId, ttl) {
+        if (this.getLease(roomId)?.nodeId !== nodeId) {
+            return false;
+        }
+
+        this.leases.set(roomId, { nodeId, expiresAt: Date.now() + ttl });
+        return true;
+    }
+
+    async getRoomOwner(roomId) {
+        return this.getLease(roomId)?.nodeId ?? null;
+    }
+
+    async releaseRoom(roomId, nodeId) {
+        if (this.getLease(roomId)?.nodeId === nodeId) {
+            this.leases.delete(roomId);
+        }
+    }
+
+    // ==================== MEMBERSHIP ====================
+
+    async setMember(kind, userId, roomId) {
+        this.members.set(`${kind}:${userId}`, roomId);
+    }
+
+    async getMember(kind, userId) {
+        return this.members.get(`${kind}:${userId}`) ?? null;
+    }
+
+    async removeMember(kind, userId) {
+        this.members.delete(`${kind}:${userId}`);
+    }
+}
+
+/**
+ * Store on a Redis server, shared by every node
+ * Takes a connected node-redis compatible client. Commands from one node run in the
+ * order they were issued, so a write is always visible to that node's next read.
+ */
+class RedisStateStore {
+    constructor(client, { prefix = 'cluster' } = {}) {
+        this.client = client;
+        this.prefix = prefix;
+        this.pending = new Set(); // writes not yet acknowledged (see flush)
+    }
+
+    key(...parts) {
+        return [this.prefix, ...parts].join(':');
+    }
+
+    /**
+     * Keep track of a write until the server acknowledges it
+     */
+    track(write) {
+        this.pending.add(write);
+        write.finally(() => this.pending.delete(write)).catch(() => {});
+        return write;
+    }
+
+    // ==================== SNAPSHOTS ====================
+
+    save(roomId, snapshot) {
+        return this.track(this.client.hSet(this.key('snapshots'), roomId, JSON.stringify(snapshot)));
+    }
+
+    async load(roomId) {
+        const data = await this.client.hGet(this.key('snapshots'), roomId);
+        return data ? JSON.parse(data) : null;
+    }
+
+    remove(roomId) {
+        return this.track(this.client.hDel(this.key('snapshots'), roomId));
+    }
+
+    async loadAll() {
+        const snapshots = [];
+        for (const [roomId, data] of Object.entries(await this.client.hGetAll(this.key('snapshots')))) {
+            try {
+                snapshots.push(JSON.parse(data));
+            } catch (error) {
+                console.error(`[STORE] Skipping unreadable snapshot ${roomId}:`, error.message);
+            }
+        }
+        return snapshots;
+    }
+
+    async flush() {
+        await Promise.allSettled([...this.pending]);
+    }
+
+    // ==================== LOBBY DIRECTORY ====================
+
+    publishRoom(roomId, publicData) {
+        return this.track(this.client.hSet(this.key('rooms'), roomId, JSON.stringify(publicData)));
+    }
+
+    unpublishRoom(roomId) {
+        return this.track(this.client.hDel(this.key('rooms'), roomId));
+    }
+
+    async listRooms() {
+        return Object.values(await this.client.hGetAll(this.key('rooms'))).map(data => JSON.parse(data));
+    }
+
+    async getPublishedRoom(roomId) {
+        const data = await this.client.hGet(this.key('rooms'), roomId);
+        return data ? JSON.parse(data) : null;
+    }
+
+    // ==================== OWNER LEASES ====================
+
+    async claimRoom(roomId, nodeId, ttl) {
+        const claimed = await this.client.set(this.key('owner', roomId), nodeId, {
+            condition: 'NX',
+            expiration: { type: 'PX', value: ttl }
+        });
+
+        return claimed ? nodeId : this.getRoomOwner(roomId);
+    }
+
+    async renewRoom(roomId, nodeId, ttl) {
+        // Check-then-set is not atomic, but a lease is renewed long before it can lapse
+        if (await this.getRoomOwner(roomId) !== nodeId) {
+            return false;
+        }
+
+        const renewed = await this.client.set(this.key('owner', roomId), nodeId, {
+            condition: 'XX',
+            expiration: { type: 'PX', value: ttl }
+        });
+        return !!renewed;
+    }
+
+    async getRoomOwner(roomId) {
+        return this.client.get(this.key('owner', roomId));
+    }
+
+    async releaseRoom(roomId, nodeId) {
+        if (await this.getRoomOwner(roomId) === nodeId) {
+            await this.client.del(this.key('owner', roomId));
+        }
+    }
+
+    // ==================== MEMBERSHIP ====================
+
+    setMember(kind, userId, roomId) {
+        return this.track(this.client.set(this.key(kind, userId), roomId));
+    }
+
+    async getMember(kind, userId) {
+        return this.client.get(this.key(kind, userId));
+    }
+
+    removeMember(kind, userId) {
+        return this.track(this.client.del(this.key(kind, userId)));
+    }
+}
+
+/**
+ * Create a state store kept in this process
+ */
+export const createMemoryStateStore = () => new MemoryStateStore();
+
+/**
+ * Create a state store on a connected Redis client
+ */
+export const createRedisStateStore = (client, options) => new RedisStateStore(client, options);
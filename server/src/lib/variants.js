@@ -0,0 +1,166 @@
+import { ROLES, getRoleSet } from './roles.js';
+
+/**
+ * Rule variants (regional house rules)
+ *
+ * A variant decides which cards are dealt, which roles guess and whom they hunt,
+ * how many guesses each guesser gets, what counts as a valid guess and how a
+ * round is scored. GameManager owns the timers and round flow and asks the
+ * room's variant for everything else.
+ */
+
+/**
+ * Classic guesser -> hunted role pairs
+ */
+const CLASSIC_TARGETS = Object.freeze(Object.fromEntries(
+    Object.entries(ROLES)
+        .filter(([, definition]) => definition.target)
+        .map(([role, definition]) => [role, definition.target])
+));
+
+/**
+ * Check whether a guesser is done for the round (caught their target or out of guesses)
+ */
+export const isGuessComplete = (guess) =>
+    guess.isCorrect || guess.attempts.length >= guess.guessesAllowed;
+
+/**
+ * Guesses a guesser still has this round (0 once done)
+ */
+export const getGuessesLeft = (guess) =>
+    isGuessComplete(guess) ? 0 : guess.guessesAllowed - guess.attempts.length;
+
+/**
+ * Classic scoring: guessers score for a correct guess, hunted roles score
+ * only if nobody caught them and every other role always scores
+ */
+const scoreClassic = ({ cards, guessers, points, targets }) => {
+    const roundScores = new Map();
+    const guesses = [...guessers.values()];
+    const huntedRoles = Object.values(targets);
+
+    cards.forEach((card, playerId) => {
+        const cardPoints = points[card] || 0;
+        let score = cardPoints;
+
+        if (guessers.has(playerId)) {
+            score = guessers.get(playerId).isCorrect ? cardPoints : 0;
+        } else if (huntedRoles.includes(card)) {
+            const caught = guesses.some(g => g.isCorrect && g.guessedPlayerId === playerId);
+            score = caught ? 0 : cardPoints;
+        }
+
+        roundScores.set(playerId, score);
+    });
+
+    return roundScores;
+};
+
+/**
+ * Build a variant from the classic rules plus overrides
+ */
+const defineVariant = (definition) => ({
+    targets: CLASSIC_TARGETS,
+    guessesAllowed: 1,
+
+    /**
+     * Cards to deal for the table size
+     */
+    dealRoles(playerCount) {
+        return getRoleSet(playerCount);
+    },
+
+    /**
+     * Role hunted by a card this variant lets guess (null for non-guessers)
+     */
+    getTargetRole(role) {
+        return this.targets[role] ?? null;
+    },
+
+    /**
+     * Throw if the guess is not allowed under this variant
+     */
+    validateGuess({ guess, guesserId, guessedPlayerId }) {
+        if (!guess) {
+            throw new Error(`Only the ${Object.keys(this.targets).join(' or ')} can make guesses`);
+        }
+
+        if (isGuessComplete(guess)) {
+            throw new Error('You have already guessed this round');
+        }
+
+        if (guesserId === guessedPlayerId) {
+            throw new Error(`${guess.role} cannot guess themselves`);
+        }
+
+        if (guess.attempts.includes(guessedPlayerId)) {
+            throw new Error('You already guessed that player');
+        }
+    },
+
+    /**
+     * Points earned this round (playerId -> score)
+     */
+    scoreRound({ cards, guessers, points }) {
+        return scoreClassic({ cards, guessers, points, targets: this.targets });
+    },
+
+    ...definition
+});
+
+export const VARIANTS = Object.freeze({
+    classic: defineVariant({
+        name: 'classic',
+        description: 'The Mantri finds the Chor (and the Senapati finds the Daku) with one guess'
+    }),
+
+    sipahiGuesses: defineVariant({
+        name: 'sipahiGuesses',
+        description: 'The Sipahi hunts the Chor instead of the Mantri, who always scores',
+        targets: Object.freeze({ Sipahi: 'Chor', Senapati: 'Daku' })
+    }),
+
+    doubleGuess: defineVariant({
+        name: 'doubleGuess',
+        description: 'Guessers get a second guess after a wrong first one',
+        guessesAllowed: 2
+    }),
+
+    scoreSwap: defineVariant({
+        name: 'scoreSwap',
+        description: 'A wrong guess hands the guesser\'s points to the player they failed to catch',
+
+        scoreRound({ cards, guessers, points }) {
+            const roundScores = scoreClassic({ cards, guessers, points, targets: this.targets });
+            const guesses = [...guessers.values()];
+
+            guessers.forEach((guess) => {
+                if (guess.isCorrect) return;
+
+                // Every uncaught holder of the hunted card takes the guesser's points instead of their own
+                cards.forEach((card, playerId) => {
+                    const caught = guesses.some(g => g.isCorrect && g.guessedPlayerId === playerId);
+                    if (card === guess.targetRole && !caught) {
+                        roundScores.set(playerId, points[guess.role] || 0);
+                    }
+                });
+            });
+
+            return roundScores;
+        }
+    })
+});
+
+export const VARIANT_NAMES = Object.freeze(Object.keys(VARIANTS));
+export const DEFAULT_VARIANT = 'classic';
+
+/**
+ * Look up a variant by name
+ */
+export const getVariant = (name = DEFAULT_VARIANT) => {
+    const variant = VARIANTS[name];
+    if (!variant) {
+        throw new Error(`Unknown rule variant: ${name}`);
+    }
+    return variant;
+};
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+const conversationSchema = new mongoose.Schema({
+    // The two users talking, in ascending id order
+    participants: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    }],
+    // "<smallerId>:<largerId>", so a pair of users only ever has one conversation
+    pairKey: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    lastMessage: {
+        text: String,
+        sender: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        sentAt: Date
+    },
+    // userId -> messages that user has not read yet
+    unreadCounts: {
+        type: Map,
+        of: Number,
+        default: {}
+    }
+}, { timestamps: true });
+
+conversationSchema.index({ participants: 1, updatedAt: -1 });
+
+/**
+ * The key of the conversation between two users
+ */
+conversationSchema.statics.pairKeyOf = (userId, otherId) =>
+    [String(userId), String(otherId)].sort().join(":");
+
+export const Conversation = mongoose.model("Conversation", conversationSchema);
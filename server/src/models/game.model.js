@@ -0,0 +1,239 @@
+import mongoose from "mongoose";
+
+const participantSchema = new mongoose.Schema({
+    // Null for bots
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: function () {
+            return !this.isBot;
+        },
+        default: null
+    },
+    // Id the player had in the game's rounds (the user id, or the generated id of a bot)
+    playerId: {
+        type: String
+    },
+    isBot: {
+        type: Boolean,
+        default: false
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    score: {
+        type: Number,
+        default: 0
+    },
+    // Final position, null for players who left before the end
+    rank: {
+        type: Number,
+        default: null
+    },
+    leftEarly: {
+        type: Boolean,
+        default: false
+    },
+    // Removed by the room's creator (kicked or banned) rather than leaving on their own
+    kicked: {
+        type: Boolean,
+        default: false
+    },
+    // Null when the game did not affect this player's rating
+    ratingChange: {
+        type: Number,
+        default: null
+    }
+}, { _id: false });
+
+const guessSchema = new mongoose.Schema({
+    guesserId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    role: {
+        type: String
+    },
+    targetRole: {
+        type: String
+    },
+    // Every player accused, in order (more than one under the doubleGuess variant)
+    attempts: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }],
+    // Milliseconds from the deal to the guesser's last guess, null if they never guessed
+    guessedAfter: {
+        type: Number,
+        default: null
+    },
+    guessedPlayerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null
+    },
+    isCorrect: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+// A quick reaction fired during the round's guessing window
+const emoteSchema = new mongoose.Schema({
+    playerId: {
+        type: String
+    },
+    emote: {
+        type: String
+    },
+    // Milliseconds from the deal
+    sentAfter: {
+        type: Number
+    }
+}, { _id: false });
+
+const roundSchema = new mongoose.Schema({
+    round: {
+        type: Number,
+        required: true
+    },
+    // playerId -> card
+    cards: {
+        type: Map,
+        of: String
+    },
+    // Player ids in the order the shuffled deck was dealt
+    dealOrder: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }],
+    // Player hunting the Chor (the Mantri unless the variant says otherwise)
+    mantriId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    guessedPlayerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null
+    },
+    actualChorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    isCorrect: {
+        type: Boolean,
+        default: false
+    },
+    timedOut: {
+        type: Boolean,
+        default: false
+    },
+    // Every guesser's guesses this round
+    guesses: [guessSchema],
+    // Emotes in the order they were sent
+    emotes: [emoteSchema],
+    // playerId -> points earned this round
+    scores: {
+        type: Map,
+        of: Number
+    },
+    roundDuration: {
+        type: Number,
+        default: 0
+    },
+    playedAt: {
+        type: Date
+    }
+}, { _id: false });
+
+const gameEventSchema = new mongoose.Schema({
+    seq: {
+        type: Number,
+        required: true
+    },
+    // One of GAME_EVENTS in lib/gameEvents.js
+    type: {
+        type: String,
+        required: true
+    },
+    at: {
+        type: Number,
+        required: true
+    },
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    }
+}, { _id: false });
+
+const gameSchema = new mongoose.Schema({
+    roomId: {
+        type: String,
+        required: true
+    },
+    participants: [participantSchema],
+    winner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null
+    },
+    rounds: [roundSchema],
+    totalRounds: {
+        type: Number,
+        default: 0
+    },
+    maxRounds: {
+        type: Number,
+        required: true
+    },
+    // Games with bots are unrated and left off the leaderboard
+    hasBots: {
+        type: Boolean,
+        default: false
+    },
+    // Rule variant the game was played under
+    variant: {
+        type: String,
+        default: "classic"
+    },
+    // Append-only log of every game transition, folds back into the game's state
+    events: [gameEventSchema],
+    // Revealed commit-reveal seed, so every deal can be re-run and checked
+    fairness: {
+        algorithm: {
+            type: String
+        },
+        seedHash: {
+            type: String
+        },
+        serverSeed: {
+            type: String
+        },
+        deck: [{
+            type: String
+        }]
+    },
+    endReason: {
+        type: String,
+        enum: ["completed", "forced"],
+        default: "completed"
+    },
+    startedAt: {
+        type: Date,
+        required: true
+    },
+    endedAt: {
+        type: Date,
+        required: true
+    },
+    duration: {
+        type: Number,
+        default: 0
+    }
+}, { timestamps: true });
+
+gameSchema.index({ "participants.user": 1, endedAt: -1 });
+
+export const Game = mongoose.model("Game", gameSchema);
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+export const NOTIFICATION_TYPES = Object.freeze({
+    FRIEND_REQUEST: "friendRequest",
+    FRIEND_REQUEST_ACCEPTED: "friendRequestAccepted",
+    ROOM_INVITE: "roomInvite",
+    GAME_RESULT: "gameResult"
+});
+
+const notificationSchema = new mongoose.Schema({
+    recipient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    type: {
+        type: String,
+        enum: Object.values(NOTIFICATION_TYPES),
+        required: true
+    },
+    message: {
+        type: String,
+        required: true
+    },
+    // Whatever the client needs to act on it (request id, room id, game id...)
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    read: {
+        type: Boolean,
+        default: false
+    }
+}, { timestamps: true, minimize: false });
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, read: 1 });
+
+export const Notification = mongoose.model("Notification", notificationSchema);
@@ -1,5 +1,25 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { DEFAULT_RATING } from "../lib/rating.js";
+
+const ratingHistorySchema = new mongoose.Schema({
+    rating: {
+        type: Number,
+        required: true
+    },
+    change: {
+        type: Number,
+        required: true
+    },
+    game: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Game"
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
     username: {
@@ -40,7 +60,16 @@ const userSchema = new mongoose.Schema({
             type: mongoose.Schema.Types.ObjectId,
             ref: "User"
         }
-    ]
+    ],
+    rating: {
+        type: Number,
+        default: DEFAULT_RATING
+    },
+    ratedGames: {
+        type: Number,
+        default: 0
+    },
+    ratingHistory: [ratingHistorySchema]
 }, {
     timestamps: true
 });
@@ -0,0 +1,20 @@
+import express from "express";
+import {
+    getMatchHistory,
+    getMatchDetails,
+    getMatchReplay,
+    getMatchEvents,
+    verifyMatch
+} from "../controllers/game.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+router.get("/history", verifyJWT, getMatchHistory);
+router.get("/:gameId", verifyJWT, getMatchDetails);
+router.get("/:gameId/replay", verifyJWT, getMatchReplay);
+router.get("/:gameId/events", verifyJWT, getMatchEvents);
+router.get("/:gameId/verify", verifyJWT, verifyMatch);
+
+
+export default router;
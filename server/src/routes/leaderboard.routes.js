@@ -0,0 +1,14 @@
+import express from "express";
+import {
+    getGlobalLeaderboard,
+    getFriendsLeaderboard
+} from "../controllers/leaderboard.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+router.get("/", verifyJWT, getGlobalLeaderboard);
+router.get("/friends", verifyJWT, getFriendsLeaderboard);
+
+
+export default router;
@@ -0,0 +1,20 @@
+import express from "express";
+import {
+    getConversations,
+    getMessages,
+    sendMessage,
+    markConversationRead
+} from "../controllers/message.controller.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { sendMessageSchema } from "../validators/message.validator.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+router.get("/conversations", verifyJWT, getConversations);
+router.get("/:friendId", verifyJWT, getMessages);
+router.post("/:friendId", verifyJWT, validate(sendMessageSchema), sendMessage);
+router.post("/:friendId/read", verifyJWT, markConversationRead);
+
+
+export default router;
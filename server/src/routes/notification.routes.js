@@ -0,0 +1,20 @@
+import express from "express";
+import {
+    getNotifications,
+    markNotificationRead,
+    markAllNotificationsRead,
+    deleteNotification,
+    clearNotifications
+} from "../controllers/notification.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+router.get("/", verifyJWT, getNotifications);
+router.post("/read", verifyJWT, markAllNotificationsRead);
+router.post("/:notificationId/read", verifyJWT, markNotificationRead);
+router.delete("/", verifyJWT, clearNotifications);
+router.delete("/:notificationId", verifyJWT, deleteNotification);
+
+
+export default router;
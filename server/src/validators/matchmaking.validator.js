@@ -0,0 +1,22 @@
+import Joi from "joi";
+
+/**
+ * Validation schema for quick-play matchmaking options
+ */
+export const matchmakingOptionsSchema = Joi.object({
+    // Only match with players from this region (empty matches anyone)
+    region: Joi.string()
+        .trim()
+        .lowercase()
+        .max(32)
+        .allow(null, "")
+        .messages({
+            'string.max': 'Region must not exceed 32 characters'
+        }),
+
+    // Only match with players of a similar rating
+    matchRating: Joi.boolean().default(true),
+
+    // Fill free seats with bots when no players turn up in time
+    allowBots: Joi.boolean().default(true)
+});
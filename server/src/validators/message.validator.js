@@ -0,0 +1,17 @@
+import Joi from "joi";
+
+/**
+ * Validation schema for a direct message
+ */
+export const sendMessageSchema = Joi.object({
+    text: Joi.string()
+        .trim()
+        .min(1)
+        .max(1000)
+        .required()
+        .messages({
+            'string.empty': 'Message cannot be empty',
+            'string.max': 'Messages must not exceed 1000 characters',
+            'any.required': 'Message text is required'
+        })
+});
@@ -0,0 +1,78 @@
+import Joi from "joi";
+import { VARIANT_NAMES } from "../lib/variants.js";
+
+const pointsValue = Joi.number().integer().min(0).max(5000);
+
+/**
+ * Validation schema for room rule settings
+ * Every field is optional; missing values fall back to the room's current settings
+ */
+export const roomSettingsSchema = Joi.object({
+    maxRounds: Joi.number()
+        .integer()
+        .min(1)
+        .max(20)
+        .messages({
+            'number.min': 'Rounds must be at least 1',
+            'number.max': 'Rounds must not exceed 20'
+        }),
+
+    // Seconds the Mantri (and Senapati) have to guess
+    roundTimer: Joi.number()
+        .integer()
+        .min(10)
+        .max(120)
+        .messages({
+            'number.min': 'Round timer must be at least 10 seconds',
+            'number.max': 'Round timer must not exceed 120 seconds'
+        }),
+
+    // Seconds before the first deal
+    gameStartCountdown: Joi.number()
+        .integer()
+        .min(3)
+        .max(10)
+        .messages({
+            'number.min': 'Game start countdown must be at least 3 seconds',
+            'number.max': 'Game start countdown must not exceed 10 seconds'
+        }),
+
+    // Seconds between rounds
+    nextRoundCountdown: Joi.number()
+        .integer()
+        .min(3)
+        .max(15)
+        .messages({
+            'number.min': 'Next round countdown must be at least 3 seconds',
+            'number.max': 'Next round countdown must not exceed 15 seconds'
+        }),
+
+    // Seconds after each deal before spectators see every card (null keeps them hidden)
+    spectatorCardDelay: Joi.number()
+        .integer()
+        .min(0)
+        .max(300)
+        .allow(null)
+        .messages({
+            'number.min': 'Spectator card delay must not be negative',
+            'number.max': 'Spectator card delay must not exceed 300 seconds'
+        }),
+
+    // Rule variant (see lib/variants.js)
+    variant: Joi.string()
+        .valid(...VARIANT_NAMES)
+        .messages({
+            'any.only': `Variant must be one of: ${VARIANT_NAMES.join(', ')}`
+        }),
+
+    // Points per card
+    points: Joi.object({
+        Raja: pointsValue,
+        Mantri: pointsValue,
+        Chor: pointsValue,
+        Sipahi: pointsValue,
+        Rani: pointsValue,
+        Senapati: pointsValue,
+        Daku: pointsValue
+    })
+});
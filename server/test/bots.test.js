@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBot } from '../src/lib/bots.js';
+import { createRoundRandom, shuffleDeck } from '../src/lib/fairness.js';
+
+const SEED = 'ab'.repeat(32);
+const ROUNDS = 200;
+
+/**
+ * Uniform numbers in [0, 1) from the fair dealer's random source, the same for every bot made with it
+ */
+const seededRandom = () => {
+    const randomInt = createRoundRandom(SEED, 0);
+    return () => randomInt(2 ** 32) / 2 ** 32;
+};
+
+/**
+ * Round `round` as the bot Mantri sees it: the other three players' cards are shuffled from the seed,
+ * and each of them may say "It's not me!" (the Chor half the time, everyone else a quarter of the time)
+ */
+const dealRound = (round, { withReactions = true } = {}) => {
+    const others = ['x', 'y', 'z'];
+    const cards = shuffleDeck(['Raja', 'Chor', 'Sipahi'], SEED, round);
+    const chorId = others[cards.indexOf('Chor')];
+    const randomInt = createRoundRandom(SEED, ROUNDS + round);
+
+    const roundEmotes = withReactions
+        ? others
+            .filter(id => randomInt(4) < (id === chorId ? 2 : 1))
+            .map(id => ({ playerId: id, emote: 'notMe', sentAfter: 2000 }))
+        : [];
+
+    const game = {
+        room: { players: ['m', ...others].map(id => ({ id })) },
+        guessers: new Map([['m', { role: 'Mantri', targetRole: 'Chor', attempts: [] }]]),
+        roundEmotes
+    };
+    return { game, chorId };
+};
+
+/**
+ * Every round's guess of a bot acting as the Mantri
+ */
+const playRounds = (difficulty, options) => {
+    const bot = createBot(difficulty, { random: seededRandom() });
+    return Array.from({ length: ROUNDS }, (_, index) => {
+        const { game, chorId } = dealRound(index + 1, options);
+        return { guess: bot.chooseGuess(game, 'm'), chorId };
+    });
+};
+
+const catches = (rounds) => rounds.filter(({ guess, chorId }) => guess === chorId).length;
+
+describe('bots', () => {
+    it('rejects unknown difficulties', () => {
+        assert.throws(() => createBot('expert'), /Bot difficulty must be one of: easy, hard/);
+    });
+
+    it('never accuses itself, another guesser or a player it already accused', () => {
+        const { game } = dealRound(1);
+        game.guessers.set('x', { role: 'Senapati', targetRole: 'Daku', attempts: [] });
+        game.guessers.get('m').attempts.push('y');
+
+        assert.equal(createBot('easy').chooseGuess(game, 'm'), 'z');
+        assert.equal(createBot('hard').chooseGuess(game, 'm'), 'z');
+    });
+
+    it('guesses like an easy bot when nobody reacts', () => {
+        const easy = playRounds('easy', { withReactions: false });
+        const hard = playRounds('hard', { withReactions: false });
+
+        assert.deepEqual(hard.map(round => round.guess), easy.map(round => round.guess));
+    });
+
+    it('catches the Chor more often than an easy bot by reading the table\'s reactions', () => {
+        const easy = catches(playRounds('easy'));
+        const hard = catches(playRounds('hard'));
+
+        // A third of the rounds by chance; the Chor's tells lift that
+        assert.equal(easy, 67);
+        assert.equal(hard, 82);
+    });
+});
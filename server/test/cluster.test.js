@@ -0,0 +1,159 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Server } from 'socket.io';
+import { createRedisEventBus } from '../src/lib/eventBus.js';
+import { createRedisStateStore } from '../src/lib/stateStore.js';
+import { createClusterNode } from '../src/lib/cluster.js';
+import { createBusAdapter } from '../src/lib/busAdapter.js';
+import { createRedisStandIn } from './helpers/redisStandIn.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * One server of the cluster, on its own connection to the shared stand-in
+ */
+const startServer = async (redis) => {
+    const client = redis.duplicate();
+    await client.connect();
+
+    const bus = createRedisEventBus(client);
+    const store = createRedisStateStore(client);
+    const adopted = [];
+    const dropped = [];
+
+    const node = createClusterNode({
+        bus,
+        store,
+        commands: {
+            whereAmI: (context, payload) => ({ nodeId: node.nodeId, context, payload }),
+            fail: () => {
+                throw new Error('That did not work');
+            }
+        },
+        // Like the real server: a room can be adopted as long as its snapshot exists
+        adoptRoom: async (roomId) => {
+            adopted.push(roomId);
+            return !!await store.load(roomId);
+        },
+        dropRoom: (roomId) => dropped.push(roomId)
+    });
+    await node.start();
+
+    return { client, bus, store, node, adopted, dropped };
+};
+
+describe('cluster on the Redis stand-in', () => {
+    let redis;
+    let a;
+    let b;
+
+    before(async () => {
+        redis = createRedisStandIn();
+        await redis.connect();
+        a = await startServer(redis);
+        b = await startServer(redis);
+    });
+
+    after(async () => {
+        await Promise.all([a, b].map(async (server) => {
+            await server.node.stop();
+            await server.bus.close();
+            await server.client.quit();
+        }));
+    });
+
+    it('gives a room lease to one node only', async () => {
+        assert.equal(await a.node.claimRoom('LEASE1'), true);
+        assert.equal(await b.node.claimRoom('LEASE1'), false);
+        assert.equal(await b.store.getRoomOwner('LEASE1'), a.node.nodeId);
+        assert.equal(await a.store.renewRoom('LEASE1', a.node.nodeId, 15000), true);
+        assert.equal(await b.store.renewRoom('LEASE1', b.node.nodeId, 15000), false);
+    });
+
+    it('runs a command on the node that owns the room', async () => {
+        await a.node.claimRoom('ROUTE1');
+
+        const context = { userId: 'u1', userName: 'Asha' };
+        const result = await b.node.run('ROUTE1', 'whereAmI', context, { guess: 'u2' });
+        assert.deepEqual(result, { nodeId: a.node.nodeId, context, payload: { guess: 'u2' } });
+
+        // Commands without a room run where they arrive
+        assert.equal((await b.node.run(null, 'whereAmI', context)).nodeId, b.node.nodeId);
+    });
+
+    it('passes a forwarded command\'s error back to the caller', async () => {
+        await a.node.claimRoom('ROUTE2');
+        await assert.rejects(b.node.run('ROUTE2', 'fail', {}), /That did not work/);
+        await assert.rejects(b.node.run('ROUTE2', 'nope', {}), /Unknown command: nope/);
+    });
+
+    it('shares room snapshots between nodes', async () => {
+        const snapshot = { roomId: 'SNAP1', players: [{ id: 'u1', name: 'Asha' }], game: null };
+        await a.store.save('SNAP1', snapshot);
+        await a.store.flush();
+
+        assert.deepEqual(await b.store.load('SNAP1'), snapshot);
+        assert.ok((await b.store.loadAll()).some(stored => stored.roomId === 'SNAP1'));
+
+        await b.store.remove('SNAP1');
+        await b.store.flush();
+        assert.equal(await a.store.load('SNAP1'), null);
+    });
+
+    it('takes over a room once its owner\'s lease lapses', async () => {
+        await a.store.save('ORPHAN1', { roomId: 'ORPHAN1' });
+        // An owner that died right after claiming: nobody renews its short lease
+        await a.store.claimRoom('ORPHAN1', 'dead-node', 20);
+        assert.equal(await b.store.getRoomOwner('ORPHAN1'), 'dead-node');
+
+        await sleep(40);
+
+        const result = await b.node.run('ORPHAN1', 'whereAmI', {});
+        assert.equal(result.nodeId, b.node.nodeId);
+        assert.deepEqual(b.adopted, ['ORPHAN1']);
+        assert.equal(await a.store.getRoomOwner('ORPHAN1'), b.node.nodeId);
+    });
+
+    it('does not adopt a room that no longer exists', async () => {
+        const result = await b.node.run('GONE1', 'whereAmI', {});
+        assert.equal(result.nodeId, b.node.nodeId);
+        assert.equal(await a.store.getRoomOwner('GONE1'), null);
+    });
+
+    it('drops a room whose lease another node took', async () => {
+        await a.node.claimRoom('STOLEN1');
+        await a.client.del('cluster:owner:STOLEN1');
+        await b.node.claimRoom('STOLEN1');
+
+        await a.node.renewLeases();
+        assert.deepEqual(a.dropped, ['STOLEN1']);
+        assert.equal(a.node.ownedRooms.has('STOLEN1'), false);
+    });
+
+    it('hands its rooms back when a node stops', async () => {
+        const c = await startServer(redis);
+        await c.node.claimRoom('HANDOFF1');
+        await c.store.save('HANDOFF1', { roomId: 'HANDOFF1' });
+
+        await c.node.stop();
+        await c.bus.close();
+        assert.equal(await a.store.getRoomOwner('HANDOFF1'), null);
+
+        assert.equal((await a.node.run('HANDOFF1', 'whereAmI', {})).nodeId, a.node.nodeId);
+    });
+
+    it('relays Socket.IO broadcasts between servers', async () => {
+        const ioA = new Server({ adapter: createBusAdapter(a.bus) });
+        const ioB = new Server({ adapter: createBusAdapter(b.bus) });
+        try {
+            await sleep(20); // Adapters subscribe asynchronously
+
+            const received = new Promise(resolve => ioB.on('roomHandedOver', resolve));
+            ioA.serverSideEmit('roomHandedOver', { roomId: 'IO1' });
+            assert.deepEqual(await received, { roomId: 'IO1' });
+        } finally {
+            // Neither server is attached to an HTTP server, so only the adapters need closing
+            await Promise.all([ioA, ioB].map(io => io.of('/').adapter.close()));
+        }
+    });
+});
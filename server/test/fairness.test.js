@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createRoundRandom,
+    createServerSeed,
+    hashServerSeed,
+    shuffleDeck,
+    verifyDeal
+} from '../src/lib/fairness.js';
+
+// Known answers, cross-checked against an independent implementation of the scheme in fairness.js
+const SEED = '00'.repeat(31) + '01';
+const SEED_HASH = 'ec4916dd28fc4c10d78e287ca5d9cc51ee1ae73cbfde08c6b37324cbfaac8bc5';
+const DECK = ['Raja', 'Mantri', 'Chor', 'Sipahi'];
+
+describe('fairness', () => {
+    it('commits to the seed with the SHA-256 hash of its bytes', () => {
+        assert.equal(hashServerSeed(SEED), SEED_HASH);
+    });
+
+    it('draws 32-byte hex seeds', () => {
+        assert.match(createServerSeed(), /^[0-9a-f]{64}$/);
+        assert.notEqual(createServerSeed(), createServerSeed());
+    });
+
+    it('shuffles a round deterministically from the seed and round number', () => {
+        assert.deepEqual(shuffleDeck(DECK, SEED, 1), ['Sipahi', 'Raja', 'Mantri', 'Chor']);
+        assert.deepEqual(shuffleDeck(DECK, SEED, 2), ['Raja', 'Chor', 'Mantri', 'Sipahi']);
+        assert.deepEqual(shuffleDeck(DECK, SEED, 3), ['Sipahi', 'Chor', 'Raja', 'Mantri']);
+    });
+
+    it('shuffles an eight-card deck', () => {
+        const deck = ['Raja', 'Mantri', 'Chor', 'Sipahi', 'Rani', 'Senapati', 'Daku', 'Chor'];
+        assert.deepEqual(
+            shuffleDeck(deck, 'ab'.repeat(32), 1),
+            ['Chor', 'Rani', 'Mantri', 'Daku', 'Raja', 'Sipahi', 'Senapati', 'Chor']
+        );
+    });
+
+    it('leaves the input deck untouched', () => {
+        const deck = [...DECK];
+        shuffleDeck(deck, SEED, 1);
+        assert.deepEqual(deck, DECK);
+    });
+
+    it('draws uniform integers below the bound', () => {
+        const randomInt = createRoundRandom(SEED, 1);
+        assert.deepEqual(Array.from({ length: 10 }, () => randomInt(5)), [0, 1, 1, 4, 3, 0, 2, 0, 4, 4]);
+    });
+
+    it('verifies an honest deal', () => {
+        const dealOrder = ['p1', 'p2', 'p3', 'p4'];
+        const cards = { p1: 'Sipahi', p2: 'Raja', p3: 'Mantri', p4: 'Chor' };
+        assert.equal(verifyDeal({ serverSeed: SEED, seedHash: SEED_HASH, deck: DECK, round: 1, dealOrder, cards }), true);
+    });
+
+    it('rejects a deal that does not match the seed or its commitment', () => {
+        const dealOrder = ['p1', 'p2', 'p3', 'p4'];
+        const cards = { p1: 'Raja', p2: 'Sipahi', p3: 'Mantri', p4: 'Chor' };
+        assert.equal(verifyDeal({ serverSeed: SEED, seedHash: SEED_HASH, deck: DECK, round: 1, dealOrder, cards }), false);
+
+        const honest = { p1: 'Sipahi', p2: 'Raja', p3: 'Mantri', p4: 'Chor' };
+        assert.equal(verifyDeal({ serverSeed: SEED, seedHash: hashServerSeed('ff'), deck: DECK, round: 1, dealOrder, cards: honest }), false);
+    });
+});
@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { foldGameEvents, GameEventLog, GAME_EVENTS } from '../src/lib/gameEvents.js';
+
+const participants = [
+    { id: 'a', name: 'Asha', isBot: false },
+    { id: 'b', name: 'Bilal', isBot: false },
+    { id: 'c', name: 'Chitra', isBot: false },
+    { id: 'd', name: 'Dev', isBot: true }
+];
+
+/**
+ * A one-round game: the Mantri misses the Chor once, then catches them
+ */
+const playedGame = () => {
+    const log = new GameEventLog();
+    log.append(GAME_EVENTS.GAME_STARTED, { maxRounds: 1, variant: 'doubleGuess', seedHash: 'hash', participants });
+    log.append(GAME_EVENTS.ROUND_STARTED, { round: 1 });
+    log.append(GAME_EVENTS.CARDS_DEALT, {
+        cards: { a: 'Raja', b: 'Mantri', c: 'Chor', d: 'Sipahi' },
+        dealOrder: ['a', 'b', 'c', 'd'],
+        guessers: { b: { role: 'Mantri', targetRole: 'Chor', guessesAllowed: 2 } }
+    });
+    log.append(GAME_EVENTS.GUESS_MADE, { guesserId: 'b', guessedPlayerId: 'd', isCorrect: false, guessedAfter: 4000 });
+    log.append(GAME_EVENTS.GAME_PAUSED, { pausedBy: 'a', reason: 'vote' });
+    log.append(GAME_EVENTS.GAME_RESUMED, { resumedBy: 'a' });
+    log.append(GAME_EVENTS.GUESS_MADE, { guesserId: 'b', guessedPlayerId: 'c', isCorrect: true, guessedAfter: 9000 });
+    log.append(GAME_EVENTS.ROUND_SCORED, { round: 1, scores: { a: 1000, b: 800, c: 0, d: 500 } });
+    log.append(GAME_EVENTS.GAME_ENDED, { endReason: 'completed' });
+    return log;
+};
+
+describe('game events', () => {
+    it('numbers events and freezes copies of their data', () => {
+        const log = new GameEventLog();
+        const data = { round: 1 };
+        const event = log.append(GAME_EVENTS.ROUND_STARTED, data);
+        data.round = 2;
+
+        assert.equal(event.seq, 1);
+        assert.equal(event.data.round, 1);
+        assert.ok(Object.isFrozen(event.data));
+        assert.throws(() => log.append('madeUp'), /Unknown game event: madeUp/);
+    });
+
+    it('returns the events after a sequence number', () => {
+        const log = playedGame();
+        assert.equal(log.length, 9);
+        assert.deepEqual(log.getEvents(7).map(event => event.type), [GAME_EVENTS.ROUND_SCORED, GAME_EVENTS.GAME_ENDED]);
+    });
+
+    it('rebuilds a log from stored events, refusing gaps', () => {
+        const events = playedGame().getEvents();
+        assert.equal(GameEventLog.fromEvents(events).length, events.length);
+        assert.throws(() => GameEventLog.fromEvents(events.slice(1)), /out of sequence/);
+    });
+
+    it('folds a played game back into its state', () => {
+        const state = foldGameEvents(playedGame().getEvents());
+
+        assert.equal(state.state, 'finished');
+        assert.equal(state.phase, 'finished');
+        assert.equal(state.endReason, 'completed');
+        assert.equal(state.isPaused, false);
+        assert.equal(state.lastSeq, 9);
+        assert.deepEqual(state.scores, { a: 1000, b: 800, c: 0, d: 500 });
+        assert.equal(state.roundHistory.length, 1);
+        assert.deepEqual(state.roundHistory[0].guesses, [{
+            guesserId: 'b',
+            role: 'Mantri',
+            targetRole: 'Chor',
+            guessesAllowed: 2,
+            attempts: ['d', 'c'],
+            guessedAfter: 9000,
+            guessedPlayerId: 'c',
+            isCorrect: true
+        }]);
+    });
+
+    it('stops partway through a game', () => {
+        const state = foldGameEvents(playedGame().getEvents().slice(0, 5));
+
+        assert.equal(state.phase, 'guessing');
+        assert.equal(state.isPaused, true);
+        assert.deepEqual(state.guessers.b.attempts, ['d']);
+        assert.deepEqual(state.scores, { a: 0, b: 0, c: 0, d: 0 });
+    });
+
+    it('refuses out-of-order events', () => {
+        const events = playedGame().getEvents();
+        assert.throws(() => foldGameEvents([events[0], events[2]]), /Game event 3 is out of sequence \(expected 2\)/);
+    });
+});
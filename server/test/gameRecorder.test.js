@@ -0,0 +1,119 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import GameManager from '../src/lib/gameManager.js';
+import { Room, Player } from '../src/lib/roomManager.js';
+import { buildGameRecord, getRatingChanges } from '../src/lib/gameRecorder.js';
+
+// There is no database here: let the recorder's own write fail at once instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+// Player ids are user ids, so they have to be valid ObjectIds
+const [A, B, C, D] = ['a', 'b', 'c', 'd'].map(letter => letter.repeat(24));
+const USERS = [A, B, C, D].map(id => ({ _id: id, rating: 1500, ratedGames: 20 }));
+
+/**
+ * A four-player game one round in
+ */
+const startGame = (settings = {}) => {
+    const room = new Room('REC1', null, A, 'Asha', { settings });
+    room.addPlayer(new Player(B, 'Bilal'));
+    room.addPlayer(new Player(C, 'Chitra'));
+    room.addPlayer(new Player(D, 'Dev'));
+    room.game = new GameManager(room);
+    room.game.actuallyStartGame();
+    return room;
+};
+
+describe('game recorder', () => {
+    it('records a completed game with every round', () => {
+        const room = startGame({ maxRounds: 1 });
+        const game = room.game;
+        const { mantriPlayer, chorPlayer } = game;
+        const cards = Object.fromEntries(game.currentCards);
+        const holderOf = (card) => Object.keys(cards).find(id => cards[id] === card);
+
+        // The Mantri catches the Chor in the only round, which ends the game
+        game.makeGuess(mantriPlayer, chorPlayer);
+        assert.equal(game.state, 'finished');
+
+        const record = buildGameRecord(game, game.getResults());
+        assert.equal(record.endReason, 'completed');
+        assert.equal(record.roomId, 'REC1');
+        assert.equal(record.winner, holderOf('Raja'));
+        assert.equal(record.totalRounds, 1);
+        assert.equal(record.maxRounds, 1);
+        assert.equal(record.hasBots, false);
+        assert.equal(record.variant, 'classic');
+        assert.equal(record.fairness.serverSeed, game.serverSeed);
+        assert.equal(record.events.at(-1).type, 'gameEnded');
+
+        const byCard = Object.fromEntries(record.participants.map(participant => [cards[participant.user], participant]));
+        assert.deepEqual(
+            Object.fromEntries(Object.entries(byCard).map(([card, { score, rank, leftEarly }]) => [card, { score, rank, leftEarly }])),
+            {
+                Raja: { score: 1000, rank: 1, leftEarly: false },
+                Mantri: { score: 800, rank: 2, leftEarly: false },
+                Sipahi: { score: 500, rank: 3, leftEarly: false },
+                Chor: { score: 0, rank: 4, leftEarly: false }
+            }
+        );
+
+        const [round] = record.rounds;
+        assert.equal(record.rounds.length, 1);
+        assert.equal(round.round, 1);
+        assert.deepEqual(round.cards, cards);
+        assert.deepEqual(round.dealOrder, game.dealOrder);
+        assert.equal(round.mantriId, mantriPlayer);
+        assert.equal(round.guessedPlayerId, chorPlayer);
+        assert.equal(round.actualChorId, chorPlayer);
+        assert.equal(round.isCorrect, true);
+        assert.equal(round.timedOut, false);
+        assert.deepEqual(round.guesses.map(guess => [guess.guesserId, guess.attempts]), [[mantriPlayer, [chorPlayer]]]);
+        assert.deepEqual(round.emotes, []);
+        assert.deepEqual(round.scores, { [holderOf('Raja')]: 1000, [mantriPlayer]: 800, [holderOf('Sipahi')]: 500, [chorPlayer]: 0 });
+        assert.ok(round.playedAt instanceof Date);
+    });
+
+    it('records a force-ended game with the player who left unranked', () => {
+        const room = startGame();
+        room.removePlayer(D);
+        const { results } = room.game.forceEndGame();
+
+        const record = buildGameRecord(room.game, results);
+        assert.equal(record.endReason, 'forced');
+        assert.deepEqual(
+            record.participants.map(({ user, rank, leftEarly, kicked }) => ({ user, ranked: rank !== null, leftEarly, kicked })),
+            [
+                { user: A, ranked: true, leftEarly: false, kicked: false },
+                { user: B, ranked: true, leftEarly: false, kicked: false },
+                { user: C, ranked: true, leftEarly: false, kicked: false },
+                { user: D, ranked: false, leftEarly: true, kicked: false }
+            ]
+        );
+        assert.equal(record.rounds.length, 0);
+    });
+
+    it('does not charge a kicked player the leaver penalty', () => {
+        const room = startGame();
+        room.removePlayer(D);
+        room.game.markKicked(D);
+        const { results } = room.game.forceEndGame();
+
+        const record = buildGameRecord(room.game, results);
+        const kicked = record.participants.find(participant => participant.user === D);
+        assert.equal(record.endReason, 'forced');
+        assert.equal(kicked.leftEarly, true);
+        assert.equal(kicked.kicked, true);
+        assert.equal(getRatingChanges(record, USERS).size, 0);
+    });
+
+    it('still charges a player who left on their own', () => {
+        const room = startGame();
+        room.removePlayer(D);
+        const { results } = room.game.forceEndGame();
+
+        const record = buildGameRecord(room.game, results);
+        assert.deepEqual(Object.fromEntries(getRatingChanges(record, USERS)), { [D]: -16 });
+    });
+});
@@ -0,0 +1,130 @@
+import { EventEmitter } from 'events';
+
+/**
+ * In-process stand-in for a Redis server
+ *
+ * Implements the part of the node-redis client API that the Redis state store
+ * and event bus use (strings, hashes, key expiry, pub/sub), so the Redis-backed
+ * cluster can be tested without a Redis server. Clients made with
+ * duplicate() share the same data, like connections to one server would.
+ * Like a real client it is an EventEmitter (the stand-in never emits 'error').
+ */
+class RedisStandIn extends EventEmitter {
+    constructor(server = { data: new Map(), expiries: new Map(), channels: new EventEmitter() }) {
+        super();
+        this.server = server;
+        this.server.channels.setMaxListeners(0);
+        this.isOpen = false;
+    }
+
+    async connect() {
+        this.isOpen = true;
+        return this;
+    }
+
+    async quit() {
+        this.isOpen = false;
+    }
+
+    duplicate() {
+        return new RedisStandIn(this.server);
+    }
+
+    /**
+     * Current value of a key, dropping it once expired
+     */
+    read(key) {
+        const expiresAt = this.server.expiries.get(key);
+        if (expiresAt !== undefined && expiresAt <= Date.now()) {
+            this.server.data.delete(key);
+            this.server.expiries.delete(key);
+        }
+        return this.server.data.get(key);
+    }
+
+    hash(key) {
+        const value = this.read(key);
+        if (value === undefined) {
+            const created = new Map();
+            this.server.data.set(key, created);
+            return created;
+        }
+        if (!(value instanceof Map)) {
+            throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+        }
+        return value;
+    }
+
+    // ==================== STRINGS ====================
+
+    async get(key) {
+        const value = this.read(key);
+        return typeof value === 'string' ? value : null;
+    }
+
+    async set(key, value, { condition, expiration } = {}) {
+        const exists = this.read(key) !== undefined;
+        if ((condition === 'NX' && exists) || (condition === 'XX' && !exists)) {
+            return null;
+        }
+
+        this.server.data.set(key, String(value));
+        this.server.expiries.delete(key);
+        if (expiration?.type === 'PX') {
+            this.server.expiries.set(key, Date.now() + expiration.value);
+        } else if (expiration?.type === 'EX') {
+            this.server.expiries.set(key, Date.now() + expiration.value * 1000);
+        }
+        return 'OK';
+    }
+
+    async del(key) {
+        const existed = this.read(key) !== undefined;
+        this.server.data.delete(key);
+        this.server.expiries.delete(key);
+        return existed ? 1 : 0;
+    }
+
+    // ==================== HASHES ====================
+
+    async hSet(key, field, value) {
+        const hash = this.hash(key);
+        const added = !hash.has(field);
+        hash.set(field, String(value));
+        return added ? 1 : 0;
+    }
+
+    async hGet(key, field) {
+        return this.hash(key).get(field) ?? null;
+    }
+
+    async hDel(key, field) {
+        return this.hash(key).delete(field) ? 1 : 0;
+    }
+
+    async hGetAll(key) {
+        return Object.fromEntries(this.hash(key));
+    }
+
+    // ==================== PUB/SUB ====================
+
+    async publish(channel, message) {
+        const receivers = this.server.channels.listenerCount(channel);
+        const data = String(message);
+        setImmediate(() => this.server.channels.emit(channel, data, channel));
+        return receivers;
+    }
+
+    async subscribe(channel, listener) {
+        this.server.channels.on(channel, listener);
+    }
+
+    async unsubscribe(channel, listener) {
+        this.server.channels.off(channel, listener);
+    }
+}
+
+/**
+ * Create a client connected to a fresh in-process stand-in server
+ */
+export const createRedisStandIn = () => new RedisStandIn();
@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMatchmaker, resolveMatchmakingOptions, MATCH_SIZE } from '../src/lib/matchmaker.js';
+
+const queue = (matchmaker, players, now = 0) =>
+    players.forEach(([userId, rating, options = {}]) =>
+        matchmaker.enqueue({ userId, userName: userId, rating, ...options }, now));
+
+const matchedIds = (matches) => matches.map(match => match.players.map(player => player.userId));
+
+describe('matchmaker', () => {
+    it('fills in defaults, normalizes the region and rejects invalid options', () => {
+        assert.deepEqual(resolveMatchmakingOptions(), { region: null, matchRating: true, allowBots: true });
+        assert.equal(resolveMatchmakingOptions({ region: ' Asia ' }).region, 'asia');
+        assert.throws(() => resolveMatchmakingOptions({ allowBots: 'maybe' }));
+    });
+
+    it('groups four close players, longest waiting first', () => {
+        const matchmaker = createMatchmaker({ botDelay: -1 });
+        queue(matchmaker, [['a', 1500], ['b', 1520], ['c', 1480]], 0);
+        queue(matchmaker, [['d', 1510], ['e', 1500]], 1000);
+
+        const matches = matchmaker.takeMatches(1000);
+        assert.deepEqual(matchedIds(matches), [['a', 'b', 'c', 'd']]);
+        assert.equal(matches[0].bots, 0);
+        assert.equal(matchmaker.queue.size, 1);
+    });
+
+    it('refuses to queue a player twice', () => {
+        const matchmaker = createMatchmaker({ botDelay: -1 });
+        queue(matchmaker, [['a', 1500]]);
+        assert.throws(() => queue(matchmaker, [['a', 1500]]), /already looking for a match/);
+    });
+
+    it('keeps regions apart, while players without one match anyone', () => {
+        const matchmaker = createMatchmaker({ botDelay: -1 });
+        queue(matchmaker, [
+            ['a', 1500, { region: 'asia' }],
+            ['b', 1500, { region: 'europe' }],
+            ['c', 1500],
+            ['d', 1500, { region: 'asia' }],
+            ['e', 1500, { region: 'asia' }]
+        ]);
+
+        assert.deepEqual(matchedIds(matchmaker.takeMatches(0)), [['a', 'c', 'd', 'e']]);
+    });
+
+    it('widens the rating window the longer players wait', () => {
+        const matchmaker = createMatchmaker({ botDelay: -1 });
+        queue(matchmaker, [['a', 1500], ['b', 1500], ['c', 1500], ['d', 1650]]);
+
+        // 150 apart: more than the starting window of 100, within it after 5 seconds
+        assert.deepEqual(matchmaker.takeMatches(4999), []);
+        assert.deepEqual(matchedIds(matchmaker.takeMatches(5000)), [['a', 'b', 'c', 'd']]);
+    });
+
+    it('ignores ratings for players who asked not to match by rating', () => {
+        const matchmaker = createMatchmaker({ botDelay: -1 });
+        queue(matchmaker, [['a', 1000], ['b', 1500], ['c', 2000], ['d', 2500]].map(([id, rating]) => [id, rating, { matchRating: false }]));
+
+        assert.equal(matchmaker.takeMatches(0).length, 1);
+    });
+
+    it('fills free seats with bots once the bot delay has passed', () => {
+        const matchmaker = createMatchmaker({ botDelay: 10000 });
+        queue(matchmaker, [['a', 1500], ['b', 1500], ['c', 1500, { allowBots: false }]]);
+
+        assert.deepEqual(matchmaker.takeMatches(9999), []);
+
+        const matches = matchmaker.takeMatches(10000);
+        assert.deepEqual(matchedIds(matches), [['a', 'b']]);
+        assert.equal(matches[0].bots, MATCH_SIZE - 2);
+        assert.deepEqual([...matchmaker.queue.keys()], ['c']);
+    });
+
+    it('estimates the wait from recent matches, capped by the bot fill', () => {
+        const matchmaker = createMatchmaker({ botDelay: 20000 });
+        queue(matchmaker, [['a', 1500], ['b', 1500], ['c', 1500], ['d', 1500]]);
+        matchmaker.takeMatches(8000);
+
+        queue(matchmaker, [['e', 1500, { allowBots: false }], ['f', 1500]], 10000);
+        assert.equal(matchmaker.estimateWait(matchmaker.queue.get('e'), 12000), 6);
+        assert.deepEqual(matchmaker.status(matchmaker.queue.get('f'), 12000), { playersWaiting: 2, estimatedWait: 6, waited: 2 });
+
+        // Without history a wait is estimated at 30 seconds, but bots arrive after 5
+        const impatient = createMatchmaker({ botDelay: 5000 });
+        queue(impatient, [['g', 1500]]);
+        assert.equal(impatient.estimateWait(impatient.queue.get('g'), 2000), 3);
+    });
+});
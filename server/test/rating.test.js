@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateLeaverPenalties, calculateRatingChanges, isProvisional } from '../src/lib/rating.js';
+
+const player = (id, rating, ratedGames, score, leftEarly = false) => ({ id, rating, ratedGames, score, leftEarly });
+
+describe('rating', () => {
+    it('treats the first ten rated games as provisional', () => {
+        assert.equal(isProvisional(), true);
+        assert.equal(isProvisional(9), true);
+        assert.equal(isProvisional(10), false);
+    });
+
+    it('rates equal players by finishing order, with ties drawn', () => {
+        const changes = calculateRatingChanges([
+            player('a', 1500, 20, 3000),
+            player('b', 1500, 20, 2000),
+            player('c', 1500, 20, 2000),
+            player('d', 1500, 20, 0)
+        ]);
+
+        assert.deepEqual(Object.fromEntries(changes), { a: 16, b: 0, c: 0, d: -16 });
+    });
+
+    it('weighs ratings and moves provisional players faster', () => {
+        const changes = calculateRatingChanges([
+            player('a', 1700, 3, 1000),
+            player('b', 1500, 20, 2000),
+            player('c', 1400, 20, 500),
+            player('d', 1600, 50, 0)
+        ]);
+
+        assert.deepEqual(Object.fromEntries(changes), { a: -5, b: 19, c: 3, d: -19 });
+    });
+
+    it('only penalizes the players who left a force-ended game', () => {
+        const changes = calculateLeaverPenalties([
+            player('a', 1700, 3, 1000, true),
+            player('b', 1500, 20, 2000),
+            player('c', 1400, 20, 500),
+            player('d', 1600, 50, 0)
+        ]);
+
+        assert.deepEqual(Object.fromEntries(changes), { a: -48 });
+    });
+
+    it('scores a leaver as losing to everyone', () => {
+        const changes = calculateLeaverPenalties([
+            player('a', 1500, 0, 0),
+            player('b', 1500, 0, 0),
+            player('c', 1500, 0, 0),
+            player('d', 1500, 0, 0, true)
+        ]);
+
+        assert.deepEqual(Object.fromEntries(changes), { d: -32 });
+    });
+});
@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getGuessesLeft, getVariant, isGuessComplete, VARIANT_NAMES } from '../src/lib/variants.js';
+
+// Chor is worth less than the Mantri here, so a score swap is visible
+const POINTS = { Raja: 1000, Mantri: 800, Chor: 400, Sipahi: 500 };
+const CARDS = new Map([['a', 'Raja'], ['b', 'Mantri'], ['c', 'Chor'], ['d', 'Sipahi']]);
+
+const guess = (overrides = {}) => ({
+    role: 'Mantri',
+    targetRole: 'Chor',
+    guessesAllowed: 1,
+    attempts: [],
+    guessedPlayerId: null,
+    isCorrect: false,
+    ...overrides
+});
+
+const score = (variantName, guessers) =>
+    Object.fromEntries(getVariant(variantName).scoreRound({ cards: CARDS, guessers: new Map(guessers), points: POINTS }));
+
+describe('variants', () => {
+    it('looks variants up by name, classic by default', () => {
+        assert.deepEqual(VARIANT_NAMES, ['classic', 'sipahiGuesses', 'doubleGuess', 'scoreSwap']);
+        assert.equal(getVariant().name, 'classic');
+        assert.throws(() => getVariant('nope'), /Unknown rule variant: nope/);
+    });
+
+    it('tracks how many guesses are left', () => {
+        assert.equal(getGuessesLeft(guess({ guessesAllowed: 2, attempts: ['d'] })), 1);
+        assert.equal(getGuessesLeft(guess({ attempts: ['d'] })), 0);
+        assert.equal(isGuessComplete(guess({ guessesAllowed: 2, attempts: ['c'], isCorrect: true })), true);
+    });
+
+    describe('guess validation', () => {
+        const classic = getVariant('classic');
+
+        it('only lets guessers guess', () => {
+            assert.throws(() => classic.validateGuess({ guess: undefined, guesserId: 'a', guessedPlayerId: 'c' }),
+                /Only the Mantri or Senapati can make guesses/);
+            assert.throws(() => getVariant('sipahiGuesses').validateGuess({ guess: undefined, guesserId: 'b', guessedPlayerId: 'c' }),
+                /Only the Sipahi or Senapati can make guesses/);
+        });
+
+        it('rejects guessing yourself, the same player twice or after the last guess', () => {
+            assert.throws(() => classic.validateGuess({ guess: guess(), guesserId: 'b', guessedPlayerId: 'b' }),
+                /Mantri cannot guess themselves/);
+            assert.throws(() => classic.validateGuess({ guess: guess({ attempts: ['d'] }), guesserId: 'b', guessedPlayerId: 'c' }),
+                /already guessed this round/);
+
+            const second = guess({ guessesAllowed: 2, attempts: ['d'] });
+            assert.throws(() => getVariant('doubleGuess').validateGuess({ guess: second, guesserId: 'b', guessedPlayerId: 'd' }),
+                /already guessed that player/);
+            assert.doesNotThrow(() => getVariant('doubleGuess').validateGuess({ guess: second, guesserId: 'b', guessedPlayerId: 'c' }));
+        });
+    });
+
+    describe('scoring', () => {
+        it('classic: a caught Chor scores nothing', () => {
+            assert.deepEqual(score('classic', [['b', guess({ isCorrect: true, guessedPlayerId: 'c' })]]),
+                { a: 1000, b: 800, c: 0, d: 500 });
+        });
+
+        it('classic: a wrong guess costs the Mantri their points', () => {
+            assert.deepEqual(score('classic', [['b', guess({ guessedPlayerId: 'd' })]]),
+                { a: 1000, b: 0, c: 400, d: 500 });
+        });
+
+        it('sipahiGuesses: the Sipahi hunts and the Mantri always scores', () => {
+            const sipahi = guess({ role: 'Sipahi', isCorrect: true, guessedPlayerId: 'c' });
+            assert.deepEqual(score('sipahiGuesses', [['d', sipahi]]), { a: 1000, b: 800, c: 0, d: 500 });
+        });
+
+        it('scoreSwap: the uncaught Chor takes the Mantri\'s points', () => {
+            assert.deepEqual(score('scoreSwap', [['b', guess({ guessedPlayerId: 'd' })]]),
+                { a: 1000, b: 0, c: 800, d: 500 });
+            assert.deepEqual(score('scoreSwap', [['b', guess({ isCorrect: true, guessedPlayerId: 'c' })]]),
+                { a: 1000, b: 800, c: 0, d: 500 });
+        });
+    });
+});
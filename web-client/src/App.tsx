@@ -1,10 +1,14 @@
 import { BrowserRouter, Route, Routes, Navigate } from 'react-router-dom'
 import Home from './pages/Home'
 import GameRoom from './pages/GameRoom'
+import Leaderboard from './pages/Leaderboard'
+import Replays from './pages/Replays'
+import Replay from './pages/Replay'
 import SignUp from './pages/SignUp'
 import SignIn from './pages/SignIn'
 import { AuthProvider, useAuth } from './context/AuthContext'
 import { SocketProvider } from './provider/SocketProvider'
+import { RoomInvites } from './components/RoomInvites'
 
 // Protected Route Component
 const ProtectedRoute = ({ children }: { children: React.ReactNode }) => {
@@ -43,7 +47,32 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/leaderboard"
+              element={
+                <ProtectedRoute>
+                  <Leaderboard />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/replays"
+              element={
+                <ProtectedRoute>
+                  <Replays />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/replays/:gameId"
+              element={
+                <ProtectedRoute>
+                  <Replay />
+                </ProtectedRoute>
+              }
+            />
           </Routes>
+          <RoomInvites />
         </BrowserRouter>
       </SocketProvider>
     </AuthProvider>
@@ -0,0 +1,151 @@
+import { useEffect, useRef, useState, type FormEvent } from 'react';
+import { useSocket } from '../provider/SocketProvider';
+import { Button } from './Button';
+import { Card } from './Card';
+
+interface ChatMessage {
+    id: string;
+    userId: string;
+    name: string;
+    text: string;
+    isSpectator: boolean;
+    sentAt: number;
+}
+
+// Mirrors the server's CHAT_HISTORY_LIMIT and CHAT_MESSAGE_MAX_LENGTH
+const MAX_MESSAGES = 100;
+const MAX_LENGTH = 200;
+
+interface ChatPanelProps {
+    currentUserId?: string;
+    isCreator: boolean;
+    // Players and spectators, to name muted users
+    members: { id: string; name: string }[];
+    mutedUsers: string[];
+    onMute: (userId: string, muted: boolean) => void;
+}
+
+/**
+ * Room chat for players and spectators, with mute controls for the room creator
+ */
+export const ChatPanel = ({ currentUserId, isCreator, members, mutedUsers, onMute }: ChatPanelProps) => {
+    const { socket } = useSocket();
+
+    const [messages, setMessages] = useState<ChatMessage[]>([]);
+    const [text, setText] = useState('');
+    const [error, setError] = useState('');
+    const listRef = useRef<HTMLDivElement>(null);
+
+    useEffect(() => {
+        if (!socket) return;
+
+        const onMessage = (message: ChatMessage) => {
+            setMessages((current) => [...current, message].slice(-MAX_MESSAGES));
+        };
+
+        socket.emit('getChatHistory', (response: { success: boolean; messages?: ChatMessage[] }) => {
+            if (response.success && response.messages) {
+                const history = response.messages;
+                // Keep anything that arrived while the history was loading
+                setMessages((current) => [
+                    ...history,
+                    ...current.filter((message) => !history.some((h) => h.id === message.id))
+                ].slice(-MAX_MESSAGES));
+            }
+        });
+        socket.on('chatMessage', onMessage);
+
+        return () => {
+            socket.off('chatMessage', onMessage);
+        };
+    }, [socket]);
+
+    // Follow the conversation as it grows
+    useEffect(() => {
+        if (listRef.current) {
+            listRef.current.scrollTop = listRef.current.scrollHeight;
+        }
+    }, [messages]);
+
+    const send = (e: FormEvent) => {
+        e.preventDefault();
+        if (!socket || !text.trim()) return;
+
+        socket.emit('sendChatMessage', { text }, (response: { success: boolean; error?: string }) => {
+            if (response.success) {
+                setText('');
+                setError('');
+            } else {
+                setError(response.error || 'Failed to send message');
+            }
+        });
+    };
+
+    const isMuted = mutedUsers.includes(currentUserId ?? '');
+    const visibleMessages = messages.filter((message) => !mutedUsers.includes(message.userId));
+
+    return (
+        <Card className="p-4">
+            <h3 className="text-lg font-bold text-white mb-3">Chat</h3>
+
+            <div ref={listRef} className="h-64 overflow-y-auto space-y-2 mb-3 pr-1">
+                {visibleMessages.length === 0 ? (
+                    <p className="text-gray-500 text-sm text-center py-6">No messages yet. Start the banter!</p>
+                ) : (
+                    visibleMessages.map((message) => (
+                        <div key={message.id} className="group text-sm">
+                            <span className={`font-semibold ${message.userId === currentUserId ? 'text-indigo-400' : 'text-gray-300'}`}>
+                                {message.isSpectator && '👁 '}{message.name}
+                            </span>
+                            {isCreator && message.userId !== currentUserId && (
+                                <button
+                                    type="button"
+                                    className="ml-2 text-xs text-gray-500 hover:text-red-400 opacity-0 group-hover:opacity-100"
+                                    onClick={() => onMute(message.userId, true)}
+                                >
+                                    mute
+                                </button>
+                            )}
+                            <p className="text-white break-words">{message.text}</p>
+                        </div>
+                    ))
+                )}
+            </div>
+
+            {isCreator && mutedUsers.length > 0 && (
+                <div className="flex flex-wrap gap-2 mb-3 text-xs text-gray-400">
+                    <span>Muted:</span>
+                    {mutedUsers.map((userId) => (
+                        <button
+                            key={userId}
+                            type="button"
+                            className="px-2 py-0.5 rounded bg-white/10 hover:bg-white/20 text-gray-300"
+                            onClick={() => onMute(userId, false)}
+                        >
+                            {members.find((member) => member.id === userId)?.name ?? 'Someone who left'} ✕
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {error && <p className="text-xs text-red-400 mb-2">{error}</p>}
+
+            {isMuted ? (
+                <p className="text-sm text-gray-500">You have been muted by the room creator.</p>
+            ) : (
+                <form onSubmit={send} className="flex gap-2">
+                    <input
+                        value={text}
+                        onChange={(e) => setText(e.target.value)}
+                        maxLength={MAX_LENGTH}
+                        placeholder="Accuse someone..."
+                        className="flex-1 min-w-0 px-3 py-2 rounded-lg bg-white/5 border border-white/20 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                    />
+                    <Button type="submit" variant="primary" size="sm" disabled={!text.trim()}>
+                        Send
+                    </Button>
+                </form>
+            )}
+        </Card>
+    );
+};
@@ -0,0 +1,198 @@
+import { useEffect, useRef, useState, type FormEvent } from 'react';
+import { useSocket } from '../provider/SocketProvider';
+import { api } from '../lib/api';
+import { Button } from './Button';
+
+interface DirectMessage {
+    _id: string;
+    sender: string;
+    text: string;
+    createdAt: string;
+}
+
+interface DirectMessageWindowProps {
+    friend: { _id: string; username: string };
+    onClose: () => void;
+}
+
+const PAGE_SIZE = 30;
+
+// Send `typing` at most this often while the user keeps typing, and drop the friend's indicator after this long
+const TYPING_THROTTLE_MS = 3000;
+const TYPING_TIMEOUT_MS = 5000;
+
+/**
+ * One-to-one conversation with a friend (mounted only while open)
+ */
+export const DirectMessageWindow = ({ friend, onClose }: DirectMessageWindowProps) => {
+    const { socket } = useSocket();
+
+    // Oldest first
+    const [messages, setMessages] = useState<DirectMessage[]>([]);
+    const [page, setPage] = useState(1);
+    const [hasMore, setHasMore] = useState(false);
+    const [text, setText] = useState('');
+    const [error, setError] = useState('');
+    const [isFriendTyping, setIsFriendTyping] = useState(false);
+    const listRef = useRef<HTMLDivElement>(null);
+    const lastTypingSentAt = useRef(0);
+
+    // Load a page of history (page 1 is the newest)
+    useEffect(() => {
+        let cancelled = false;
+
+        api.get(`/messages/${friend._id}`, { params: { page, limit: PAGE_SIZE } })
+            .then((response) => {
+                if (cancelled) return;
+                const { data, pagination } = response.data.data;
+                const older: DirectMessage[] = [...data].reverse();
+                setMessages((current) => [
+                    ...older.filter((message) => !current.some((m) => m._id === message._id)),
+                    ...current
+                ]);
+                setHasMore(pagination.page < pagination.totalPages);
+            })
+            .catch((err) => {
+                if (cancelled) return;
+                setError(err.response?.data?.message || 'Failed to load messages');
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [friend._id, page]);
+
+    // Opening the conversation reads it
+    useEffect(() => {
+        api.post(`/messages/${friend._id}/read`).catch(() => {
+            // No conversation yet
+        });
+    }, [friend._id]);
+
+    useEffect(() => {
+        if (!socket) return;
+
+        let typingTimeout: ReturnType<typeof setTimeout> | undefined;
+
+        // Messages from the friend, and our own to them (sent from this or another tab)
+        const onMessage = ({ message, to }: { message: DirectMessage; to: string }) => {
+            if (message.sender !== friend._id && to !== friend._id) return;
+            setMessages((current) => current.some((m) => m._id === message._id) ? current : [...current, message]);
+            if (message.sender === friend._id) {
+                setIsFriendTyping(false);
+                api.post(`/messages/${friend._id}/read`).catch(() => {});
+            }
+        };
+
+        const onTyping = ({ userId, isTyping }: { userId: string; isTyping: boolean }) => {
+            if (userId !== friend._id) return;
+            setIsFriendTyping(isTyping);
+            clearTimeout(typingTimeout);
+            if (isTyping) {
+                typingTimeout = setTimeout(() => setIsFriendTyping(false), TYPING_TIMEOUT_MS);
+            }
+        };
+
+        socket.on('directMessage', onMessage);
+        socket.on('friendTyping', onTyping);
+
+        return () => {
+            clearTimeout(typingTimeout);
+            socket.off('directMessage', onMessage);
+            socket.off('friendTyping', onTyping);
+        };
+    }, [socket, friend._id]);
+
+    // Stay at the bottom as messages arrive (but not when older ones are loaded above)
+    const lastMessageId = messages[messages.length - 1]?._id;
+    useEffect(() => {
+        if (listRef.current) {
+            listRef.current.scrollTop = listRef.current.scrollHeight;
+        }
+    }, [lastMessageId]);
+
+    const handleChange = (value: string) => {
+        setText(value);
+
+        const now = Date.now();
+        if (socket && value && now - lastTypingSentAt.current > TYPING_THROTTLE_MS) {
+            lastTypingSentAt.current = now;
+            socket.emit('typing', { friendId: friend._id, isTyping: true });
+        }
+    };
+
+    const send = (e: FormEvent) => {
+        e.preventDefault();
+        if (!text.trim()) return;
+
+        api.post(`/messages/${friend._id}`, { text })
+            .then((response) => {
+                const message: DirectMessage = response.data.data;
+                setMessages((current) => current.some((m) => m._id === message._id) ? current : [...current, message]);
+                setText('');
+                setError('');
+                lastTypingSentAt.current = 0;
+                socket?.emit('typing', { friendId: friend._id, isTyping: false });
+            })
+            .catch((err) => {
+                setError(err.response?.data?.message || 'Failed to send message');
+            });
+    };
+
+    return (
+        <div className="fixed bottom-4 left-4 z-40 w-80 bg-[#141b3d] border border-white/20 rounded-xl shadow-2xl flex flex-col">
+            <div className="flex items-center justify-between p-3 border-b border-white/10">
+                <h3 className="text-white font-semibold truncate">{friend.username}</h3>
+                <button type="button" className="text-gray-400 hover:text-white" onClick={onClose} aria-label="Close">
+                    ✕
+                </button>
+            </div>
+
+            <div ref={listRef} className="h-72 overflow-y-auto p-3 space-y-2">
+                {hasMore && (
+                    <button
+                        type="button"
+                        className="w-full text-xs text-indigo-400 hover:text-indigo-300"
+                        onClick={() => setPage((current) => current + 1)}
+                    >
+                        Load older messages
+                    </button>
+                )}
+                {messages.length === 0 && !error && (
+                    <p className="text-gray-500 text-sm text-center py-6">Say hi to {friend.username}!</p>
+                )}
+                {messages.map((message) => {
+                    const isMine = message.sender !== friend._id;
+                    return (
+                        <div key={message._id} className={`flex ${isMine ? 'justify-end' : 'justify-start'}`}>
+                            <div
+                                className={`max-w-[80%] px-3 py-2 rounded-lg text-sm break-words ${isMine ? 'bg-indigo-500 text-white' : 'bg-white/10 text-gray-100'}`}
+                                title={new Date(message.createdAt).toLocaleString()}
+                            >
+                                {message.text}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+
+            {isFriendTyping && (
+                <p className="px-3 text-xs text-gray-400">{friend.username} is typing...</p>
+            )}
+            {error && <p className="px-3 text-xs text-red-400">{error}</p>}
+
+            <form onSubmit={send} className="flex gap-2 p-3">
+                <input
+                    value={text}
+                    onChange={(e) => handleChange(e.target.value)}
+                    maxLength={1000}
+                    placeholder="Play at 9pm?"
+                    className="flex-1 min-w-0 px-3 py-2 rounded-lg bg-white/5 border border-white/20 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+                />
+                <Button type="submit" variant="primary" size="sm" disabled={!text.trim()}>
+                    Send
+                </Button>
+            </form>
+        </div>
+    );
+};
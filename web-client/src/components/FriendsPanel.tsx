@@ -0,0 +1,223 @@
+import { useEffect, useState } from 'react';
+import { useSocket } from '../provider/SocketProvider';
+import { useAuth } from '../context/AuthContext';
+import { api } from '../lib/api';
+import { Button } from './Button';
+import { Card } from './Card';
+import { DirectMessageWindow } from './DirectMessageWindow';
+
+type PresenceStatus = 'offline' | 'lobby' | 'waiting' | 'playing' | 'spectating';
+
+interface Presence {
+    userId: string;
+    status: PresenceStatus;
+    roomId: string | null;
+}
+
+interface Friend {
+    _id: string;
+    username: string;
+    avatar: string;
+    presence?: Presence;
+}
+
+const STATUS_LABELS: Record<PresenceStatus, string> = {
+    offline: 'Offline',
+    lobby: 'In the lobby',
+    waiting: 'Waiting in room',
+    playing: 'Playing',
+    spectating: 'Spectating'
+};
+
+const STATUS_STYLES: Record<PresenceStatus, string> = {
+    offline: 'bg-gray-500',
+    lobby: 'bg-green-500',
+    waiting: 'bg-yellow-500',
+    playing: 'bg-blue-500',
+    spectating: 'bg-purple-500'
+};
+
+// Friends you can join first, offline friends last
+const STATUS_ORDER: PresenceStatus[] = ['waiting', 'lobby', 'playing', 'spectating', 'offline'];
+
+interface Conversation {
+    friend: { _id: string };
+    unreadCount: number;
+}
+
+interface FriendsPanelProps {
+    onJoin: (roomId: string) => void;
+    onSpectate: (roomId: string) => void;
+}
+
+/**
+ * Friends with live online / in-game status, shortcuts into their rooms and direct messages
+ */
+export const FriendsPanel = ({ onJoin, onSpectate }: FriendsPanelProps) => {
+    const { socket } = useSocket();
+    const { user } = useAuth();
+
+    const [friends, setFriends] = useState<Friend[]>([]);
+    const [presence, setPresence] = useState<Record<string, Presence>>({});
+    // friendId -> unread direct messages
+    const [unread, setUnread] = useState<Record<string, number>>({});
+    const [chatFriend, setChatFriend] = useState<Friend | null>(null);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        api.get('/users/friends')
+            .then((response) => {
+                if (cancelled) return;
+                const list: Friend[] = response.data.data;
+                setFriends(list);
+                setPresence((current) => {
+                    const next = { ...current };
+                    list.forEach((friend) => {
+                        if (friend.presence && !next[friend._id]) next[friend._id] = friend.presence;
+                    });
+                    return next;
+                });
+            })
+            .catch(() => {
+                // The panel simply stays empty
+            });
+
+        api.get('/messages/conversations')
+            .then((response) => {
+                if (cancelled) return;
+                const conversations: Conversation[] = response.data.data.data;
+                setUnread(Object.fromEntries(
+                    conversations.map((conversation) => [conversation.friend._id, conversation.unreadCount])
+                ));
+            })
+            .catch(() => {
+                // No unread badges
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    // Count messages that arrive outside the open conversation
+    useEffect(() => {
+        if (!socket) return;
+
+        const onMessage = ({ from }: { from: { _id: string } }) => {
+            if (from._id === user?.id || from._id === chatFriend?._id) return;
+            setUnread((current) => ({ ...current, [from._id]: (current[from._id] ?? 0) + 1 }));
+        };
+
+        // Read in another tab
+        const onRead = ({ readerId, friendId }: { readerId: string; friendId: string }) => {
+            if (readerId !== user?.id) return;
+            setUnread((current) => ({ ...current, [friendId]: 0 }));
+        };
+
+        socket.on('directMessage', onMessage);
+        socket.on('directMessagesRead', onRead);
+
+        return () => {
+            socket.off('directMessage', onMessage);
+            socket.off('directMessagesRead', onRead);
+        };
+    }, [socket, user?.id, chatFriend?._id]);
+
+    const openChat = (friend: Friend) => {
+        setChatFriend(friend);
+        setUnread((current) => ({ ...current, [friend._id]: 0 }));
+    };
+
+    // Follow status changes for as long as the panel is shown
+    useEffect(() => {
+        if (!socket) return;
+
+        const applyPresence = (update: Presence) => {
+            setPresence((current) => ({ ...current, [update.userId]: update }));
+        };
+
+        socket.emit('subscribePresence', (response: { success: boolean; presence?: Presence[] }) => {
+            if (response.success && response.presence) {
+                setPresence((current) => {
+                    const next = { ...current };
+                    response.presence?.forEach((update) => {
+                        next[update.userId] = update;
+                    });
+                    return next;
+                });
+            }
+        });
+        socket.on('presenceUpdated', applyPresence);
+
+        return () => {
+            socket.off('presenceUpdated', applyPresence);
+            socket.emit('unsubscribePresence', () => {});
+        };
+    }, [socket]);
+
+    const statusOf = (friend: Friend): Presence =>
+        presence[friend._id] ?? { userId: friend._id, status: 'offline', roomId: null };
+
+    const sortedFriends = [...friends].sort((a, b) =>
+        STATUS_ORDER.indexOf(statusOf(a).status) - STATUS_ORDER.indexOf(statusOf(b).status)
+        || a.username.localeCompare(b.username)
+    );
+
+    return (
+        <Card>
+            <h3 className="text-xl font-bold text-white mb-4">Friends</h3>
+
+            {friends.length === 0 ? (
+                <p className="text-gray-400 text-sm">No friends yet.</p>
+            ) : (
+                <div className="space-y-3">
+                    {sortedFriends.map((friend) => {
+                        const { status, roomId } = statusOf(friend);
+
+                        return (
+                            <div key={friend._id} className="flex items-center justify-between gap-3">
+                                <div className="min-w-0">
+                                    <p className="text-white truncate">{friend.username}</p>
+                                    <p className="flex items-center gap-2 text-xs text-gray-400">
+                                        <span className={`w-2 h-2 rounded-full ${STATUS_STYLES[status]}`} />
+                                        {STATUS_LABELS[status]}{roomId ? ` ${roomId}` : ''}
+                                    </p>
+                                </div>
+
+                                <div className="flex gap-2 shrink-0">
+                                    {roomId && status === 'waiting' && (
+                                        <Button variant="secondary" size="sm" onClick={() => onJoin(roomId)}>
+                                            Join
+                                        </Button>
+                                    )}
+                                    {roomId && (
+                                        <Button variant="ghost" size="sm" onClick={() => onSpectate(roomId)}>
+                                            Spectate
+                                        </Button>
+                                    )}
+                                    <Button variant="ghost" size="sm" className="relative" onClick={() => openChat(friend)}>
+                                        Message
+                                        {(unread[friend._id] ?? 0) > 0 && (
+                                            <span className="absolute -top-1 -right-1 min-w-4 h-4 px-1 rounded-full bg-red-500 text-white text-[10px] flex items-center justify-center">
+                                                {unread[friend._id]}
+                                            </span>
+                                        )}
+                                    </Button>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            {chatFriend && (
+                <DirectMessageWindow
+                    key={chatFriend._id}
+                    friend={chatFriend}
+                    onClose={() => setChatFriend(null)}
+                />
+            )}
+        </Card>
+    );
+};
@@ -1,21 +1,19 @@
+import { CARD_ICONS, type CardRole } from "../lib/cards"
+
 interface GameCardProps {
-    card: 'Raja' | 'Mantri' | 'Chor' | 'Sipahi';
+    card: CardRole;
     isRevealed?: boolean;
 }
 
 const GameCard = ({ card, isRevealed = false }: GameCardProps) => {
-    const cardColors = {
+    const cardColors: Record<CardRole, string> = {
         Raja: 'from-yellow-500 to-orange-500',
         Mantri: 'from-blue-500 to-indigo-500',
         Chor: 'from-red-500 to-pink-500',
         Sipahi: 'from-green-500 to-emerald-500',
-    };
-
-    const cardIcons = {
-        Raja: '👑',
-        Mantri: '🎓',
-        Chor: '🎭',
-        Sipahi: '⚔️',
+        Rani: 'from-fuchsia-500 to-purple-500',
+        Senapati: 'from-cyan-500 to-sky-500',
+        Daku: 'from-stone-500 to-zinc-600',
     };
 
     return (
@@ -34,7 +32,7 @@ const GameCard = ({ card, isRevealed = false }: GameCardProps) => {
                 {/* Card Front */}
                 <div className="absolute w-full h-full backface-hidden rotate-y-180">
                     <div className={`w-full h-full bg-gradient-to-br ${cardColors[card]} rounded-xl border-2 border-white/30 shadow-2xl p-4 flex flex-col items-center justify-center`}>
-                        <div className="text-7xl mb-4">{cardIcons[card]}</div>
+                        <div className="text-7xl mb-4">{CARD_ICONS[card]}</div>
                         <div className="text-white text-2xl font-bold">{card}</div>
                     </div>
                 </div>
@@ -0,0 +1,98 @@
+import { useEffect, useState } from 'react';
+import { useSocket } from '../provider/SocketProvider';
+import { api } from '../lib/api';
+import { Button } from './Button';
+import { Modal } from './Modal';
+
+interface Friend {
+    _id: string;
+    username: string;
+    avatar: string;
+}
+
+interface InviteFriendsModalProps {
+    onClose: () => void;
+}
+
+/**
+ * Pick friends to invite into the current room (mounted only while open)
+ */
+export const InviteFriendsModal = ({ onClose }: InviteFriendsModalProps) => {
+    const { socket } = useSocket();
+
+    const [friends, setFriends] = useState<Friend[]>([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState('');
+    // friendId -> 'sent' or the reason the invitation failed
+    const [status, setStatus] = useState<Record<string, string>>({});
+
+    useEffect(() => {
+        let cancelled = false;
+
+        api.get('/users/friends')
+            .then((response) => {
+                if (cancelled) return;
+                setFriends(response.data.data);
+                setError('');
+            })
+            .catch(() => {
+                if (cancelled) return;
+                setError('Failed to load friends');
+            })
+            .finally(() => {
+                if (!cancelled) setIsLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    const invite = (friendId: string) => {
+        if (!socket) return;
+
+        socket.emit('inviteToRoom', { friendId }, (response: { success: boolean; error?: string }) => {
+            setStatus((current) => ({
+                ...current,
+                [friendId]: response.success ? 'sent' : response.error || 'Failed to invite'
+            }));
+        });
+    };
+
+    return (
+        <Modal isOpen onClose={onClose} title="Invite Friends">
+            <div className="space-y-3">
+                {error && (
+                    <div className="bg-red-500/10 border border-red-500/50 rounded-lg p-3 text-red-400 text-sm">
+                        {error}
+                    </div>
+                )}
+
+                {isLoading ? (
+                    <p className="text-gray-400 text-center py-4">Loading friends...</p>
+                ) : friends.length === 0 ? (
+                    <p className="text-gray-400 text-center py-4">No friends to invite yet.</p>
+                ) : (
+                    friends.map((friend) => (
+                        <div key={friend._id} className="flex items-center justify-between gap-3">
+                            <div className="min-w-0">
+                                <p className="text-white truncate">{friend.username}</p>
+                                {status[friend._id] && status[friend._id] !== 'sent' && (
+                                    <p className="text-xs text-red-400">{status[friend._id]}</p>
+                                )}
+                            </div>
+                            <Button
+                                variant="secondary"
+                                size="sm"
+                                onClick={() => invite(friend._id)}
+                                disabled={status[friend._id] === 'sent'}
+                            >
+                                {status[friend._id] === 'sent' ? 'Invited' : 'Invite'}
+                            </Button>
+                        </div>
+                    ))
+                )}
+            </div>
+        </Modal>
+    );
+};
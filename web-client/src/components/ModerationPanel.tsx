@@ -0,0 +1,74 @@
+import { Button } from './Button';
+import { Card } from './Card';
+
+interface BannedUser {
+    id: string;
+    name: string;
+    bannedAt: number;
+}
+
+interface ModerationPanelProps {
+    isLocked: boolean;
+    spectators: { id: string; name: string }[];
+    bannedUsers: BannedUser[];
+    onToggleLock: () => void;
+    onKick: (userId: string, ban: boolean) => void;
+    onUnban: (userId: string) => void;
+}
+
+/**
+ * Room creator's controls: lock the room, remove spectators and lift bans
+ * (players are kicked, banned or made host from their own cards)
+ */
+export const ModerationPanel = ({ isLocked, spectators, bannedUsers, onToggleLock, onKick, onUnban }: ModerationPanelProps) => (
+    <Card className="p-4">
+        <div className="flex items-center justify-between mb-3">
+            <h3 className="text-lg font-bold text-white">Moderation</h3>
+            <Button variant={isLocked ? 'primary' : 'secondary'} size="sm" onClick={onToggleLock}>
+                {isLocked ? '🔓 Unlock Room' : '🔒 Lock Room'}
+            </Button>
+        </div>
+        <p className="text-xs text-gray-500 mb-4">
+            {isLocked
+                ? 'Nobody new can join or watch. Friends you invite still get in.'
+                : 'Anyone who finds the room can join or watch.'}
+        </p>
+
+        {spectators.length > 0 && (
+            <div className="mb-4">
+                <h4 className="text-sm font-semibold text-gray-300 mb-2">Spectators</h4>
+                <ul className="space-y-1">
+                    {spectators.map((spectator) => (
+                        <li key={spectator.id} className="flex items-center justify-between text-sm">
+                            <span className="text-white">👁 {spectator.name}</span>
+                            <div className="flex gap-1">
+                                <Button variant="ghost" size="sm" onClick={() => onKick(spectator.id, false)}>
+                                    Kick
+                                </Button>
+                                <Button variant="ghost" size="sm" onClick={() => onKick(spectator.id, true)}>
+                                    Ban
+                                </Button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        )}
+
+        <h4 className="text-sm font-semibold text-gray-300 mb-2">Banned</h4>
+        {bannedUsers.length === 0 ? (
+            <p className="text-sm text-gray-500">Nobody is banned.</p>
+        ) : (
+            <ul className="space-y-1">
+                {bannedUsers.map((banned) => (
+                    <li key={banned.id} className="flex items-center justify-between text-sm">
+                        <span className="text-gray-300">{banned.name}</span>
+                        <Button variant="ghost" size="sm" onClick={() => onUnban(banned.id)}>
+                            Unban
+                        </Button>
+                    </li>
+                ))}
+            </ul>
+        )}
+    </Card>
+);
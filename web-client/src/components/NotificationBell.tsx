@@ -0,0 +1,144 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Bell } from 'lucide-react';
+import { useSocket } from '../provider/SocketProvider';
+import { api } from '../lib/api';
+import { Button } from './Button';
+
+type NotificationType = 'friendRequest' | 'friendRequestAccepted' | 'roomInvite' | 'gameResult';
+
+interface Notification {
+    _id: string;
+    type: NotificationType;
+    message: string;
+    data: { gameId?: string };
+    read: boolean;
+    createdAt: string;
+}
+
+/**
+ * Header bell with the unread count, opening the notification inbox
+ */
+export const NotificationBell = () => {
+    const navigate = useNavigate();
+    const { socket } = useSocket();
+
+    const [notifications, setNotifications] = useState<Notification[]>([]);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [isOpen, setIsOpen] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        api.get('/notifications')
+            .then((response) => {
+                if (cancelled) return;
+                setNotifications(response.data.data.data);
+                setUnreadCount(response.data.data.unreadCount);
+            })
+            .catch(() => {
+                // The inbox simply stays empty
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    useEffect(() => {
+        if (!socket) return;
+
+        const onNotification = (notification: Notification) => {
+            setNotifications((current) => [notification, ...current]);
+            setUnreadCount((count) => count + 1);
+        };
+
+        socket.on('notification', onNotification);
+        return () => {
+            socket.off('notification', onNotification);
+        };
+    }, [socket]);
+
+    const markRead = (notification: Notification) => {
+        if (notification.read) return;
+
+        setNotifications((current) => current.map((n) => n._id === notification._id ? { ...n, read: true } : n));
+        setUnreadCount((count) => Math.max(0, count - 1));
+        api.post(`/notifications/${notification._id}/read`).catch(() => {});
+    };
+
+    const markAllRead = () => {
+        setNotifications((current) => current.map((n) => ({ ...n, read: true })));
+        setUnreadCount(0);
+        api.post('/notifications/read').catch(() => {});
+    };
+
+    const clearAll = () => {
+        setNotifications([]);
+        setUnreadCount(0);
+        api.delete('/notifications').catch(() => {});
+    };
+
+    const open = (notification: Notification) => {
+        markRead(notification);
+        if (notification.type === 'gameResult' && notification.data.gameId) {
+            setIsOpen(false);
+            navigate(`/replays/${notification.data.gameId}`);
+        }
+    };
+
+    return (
+        <div className="relative">
+            <button
+                type="button"
+                className="relative p-2 text-gray-300 hover:text-white rounded-lg hover:bg-white/10 transition-colors"
+                onClick={() => setIsOpen((value) => !value)}
+                aria-label="Notifications"
+            >
+                <Bell className="w-5 h-5" />
+                {unreadCount > 0 && (
+                    <span className="absolute -top-1 -right-1 min-w-5 h-5 px-1 rounded-full bg-red-500 text-white text-xs flex items-center justify-center">
+                        {unreadCount > 99 ? '99+' : unreadCount}
+                    </span>
+                )}
+            </button>
+
+            {isOpen && (
+                <div className="absolute right-0 mt-2 w-80 z-40 bg-[#141b3d] border border-white/20 rounded-xl shadow-2xl">
+                    <div className="flex items-center justify-between p-3 border-b border-white/10">
+                        <h3 className="text-white font-semibold">Notifications</h3>
+                        <div className="flex gap-1">
+                            <Button variant="ghost" size="sm" onClick={markAllRead} disabled={unreadCount === 0}>
+                                Mark all read
+                            </Button>
+                            <Button variant="ghost" size="sm" onClick={clearAll} disabled={notifications.length === 0}>
+                                Clear
+                            </Button>
+                        </div>
+                    </div>
+
+                    <div className="max-h-96 overflow-y-auto">
+                        {notifications.length === 0 ? (
+                            <p className="text-gray-400 text-sm text-center py-6">No notifications.</p>
+                        ) : (
+                            notifications.map((notification) => (
+                                <div
+                                    key={notification._id}
+                                    className={`px-3 py-2 border-b border-white/5 cursor-pointer hover:bg-white/5 ${notification.read ? '' : 'bg-indigo-500/10'}`}
+                                    onClick={() => open(notification)}
+                                >
+                                    <p className={`text-sm ${notification.read ? 'text-gray-400' : 'text-white'}`}>
+                                        {notification.message}
+                                    </p>
+                                    <p className="text-xs text-gray-500">
+                                        {new Date(notification.createdAt).toLocaleString()}
+                                    </p>
+                                </div>
+                            ))
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
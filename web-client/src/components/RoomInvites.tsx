@@ -0,0 +1,112 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useSocket } from '../provider/SocketProvider';
+import { Button } from './Button';
+
+interface RoomInvite {
+    inviteId: string;
+    roomId: string;
+    from: { id: string; name: string };
+    expiresAt: number;
+}
+
+/**
+ * Invitations from friends to join their room, shown wherever the user is
+ * Each one disappears once answered or expired.
+ */
+export const RoomInvites = () => {
+    const navigate = useNavigate();
+    const { socket } = useSocket();
+
+    const [invites, setInvites] = useState<RoomInvite[]>([]);
+    const [error, setError] = useState('');
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        if (!socket) return;
+
+        // A newer invitation to the same room replaces the older one
+        const onInvite = (invite: RoomInvite) => {
+            setInvites((current) => [
+                ...current.filter((i) => i.roomId !== invite.roomId),
+                invite
+            ]);
+        };
+
+        socket.on('roomInvite', onInvite);
+        return () => {
+            socket.off('roomInvite', onInvite);
+        };
+    }, [socket]);
+
+    // Tick while invitations are pending so they expire on screen
+    useEffect(() => {
+        if (invites.length === 0) return;
+
+        const interval = setInterval(() => {
+            const current = Date.now();
+            setNow(current);
+            setInvites((pending) => pending.filter((invite) => invite.expiresAt > current));
+        }, 1000);
+
+        return () => clearInterval(interval);
+    }, [invites.length]);
+
+    const respond = (invite: RoomInvite, accept: boolean) => {
+        if (!socket) return;
+
+        setInvites((current) => current.filter((i) => i.inviteId !== invite.inviteId));
+        setError('');
+
+        socket.emit('respondToInvite', {
+            roomId: invite.roomId,
+            inviteId: invite.inviteId,
+            accept
+        }, (response: { success: boolean; error?: string }) => {
+            if (!accept) return;
+
+            if (response.success) {
+                navigate('/game-room');
+            } else {
+                setError(response.error || 'Failed to join room');
+            }
+        });
+    };
+
+    if (invites.length === 0 && !error) return null;
+
+    return (
+        <div className="fixed bottom-4 right-4 z-40 w-80 space-y-3">
+            {error && (
+                <div
+                    className="bg-red-500/10 border border-red-500/50 rounded-lg p-3 text-red-400 text-sm cursor-pointer"
+                    onClick={() => setError('')}
+                >
+                    {error}
+                </div>
+            )}
+
+            {invites.map((invite) => (
+                <div
+                    key={invite.inviteId}
+                    className="bg-[#141b3d] border border-white/20 rounded-xl p-4 shadow-2xl space-y-3"
+                >
+                    <p className="text-white text-sm">
+                        <span className="font-semibold">{invite.from.name}</span> invited you to room {invite.roomId}
+                    </p>
+                    <p className="text-xs text-gray-400">
+                        Expires in {Math.max(0, Math.ceil((invite.expiresAt - now) / 1000))}s
+                    </p>
+                    <div className="flex gap-2">
+                        <Button variant="secondary" size="sm" className="flex-1" onClick={() => respond(invite, false)}>
+                            Decline
+                        </Button>
+                        <Button variant="primary" size="sm" className="flex-1" onClick={() => respond(invite, true)}>
+                            Join
+                        </Button>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
@@ -19,6 +19,12 @@ interface AuthContextType {
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
+// The API returns Mongo's `_id`; game events identify players by `id`
+const normalizeUser = (data: User & { _id?: string }): User => ({
+    ...data,
+    id: data.id ?? data._id,
+});
+
 export const useAuth = () => {
     const context = useContext(AuthContext);
     if (!context) {
@@ -42,7 +48,7 @@ export const AuthProvider = ({ children }: AuthProviderProps) => {
 
         if (token && storedUser) {
             try {
-                setUser(JSON.parse(storedUser));
+                setUser(normalizeUser(JSON.parse(storedUser)));
             } catch (error) {
                 console.error('Failed to parse stored user:', error);
                 localStorage.removeItem('user');
@@ -58,7 +64,8 @@ export const AuthProvider = ({ children }: AuthProviderProps) => {
             const response = await api.post('/users/sign-in', { email, password });
 
             if (response.data.success) {
-                const { user: userData, accessToken } = response.data.data;
+                const { user: apiUser, accessToken } = response.data.data;
+                const userData = normalizeUser(apiUser);
 
                 // Store token and user data
                 localStorage.setItem('accessToken', accessToken);
@@ -84,7 +91,8 @@ export const AuthProvider = ({ children }: AuthProviderProps) => {
             });
 
             if (response.data.success) {
-                const { user: userData, accessToken } = response.data.data;
+                const { user: apiUser, accessToken } = response.data.data;
+                const userData = normalizeUser(apiUser);
 
                 // Store token and user data
                 localStorage.setItem('accessToken', accessToken);
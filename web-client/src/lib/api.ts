@@ -8,4 +8,13 @@ export const api = axios.create({
         "Content-Type": "application/json",
     },
     // withCredentials: true,
-});
\ No newline at end of file
+});
+
+// Attach the stored access token to authenticated requests
+api.interceptors.request.use((config) => {
+    const token = localStorage.getItem("accessToken");
+    if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+});
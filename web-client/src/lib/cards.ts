@@ -0,0 +1,12 @@
+// Every card that can be dealt (larger tables add Rani, Senapati and Daku)
+export type CardRole = 'Raja' | 'Mantri' | 'Chor' | 'Sipahi' | 'Rani' | 'Senapati' | 'Daku';
+
+export const CARD_ICONS: Record<CardRole, string> = {
+    Raja: '👑',
+    Mantri: '🎓',
+    Chor: '🎭',
+    Sipahi: '⚔️',
+    Rani: '👸',
+    Senapati: '🛡️',
+    Daku: '🗡️',
+};
@@ -0,0 +1,13 @@
+// Quick reactions during the guessing window (mirrors server/src/lib/emotes.js)
+export type Emote = 'suspicious' | 'laughing' | 'notMe' | 'thinking' | 'sweating' | 'gotYou';
+
+export const EMOTE_LABELS: Record<Emote, string> = {
+    suspicious: '🤨',
+    laughing: '😂',
+    notMe: "It's not me!",
+    thinking: '🤔',
+    sweating: '😅',
+    gotYou: 'Got you!',
+};
+
+export const EMOTES = Object.keys(EMOTE_LABELS) as Emote[];
@@ -0,0 +1,16 @@
+// Rule variants a room can be created with (mirrors server/src/lib/variants.js)
+export type RuleVariant = 'classic' | 'sipahiGuesses' | 'doubleGuess' | 'scoreSwap';
+
+export const VARIANT_LABELS: Record<RuleVariant, string> = {
+    classic: 'Classic',
+    sipahiGuesses: 'Sipahi Guesses',
+    doubleGuess: 'Two Guesses',
+    scoreSwap: 'Score Swap',
+};
+
+export const VARIANT_DESCRIPTIONS: Record<RuleVariant, string> = {
+    classic: 'The Mantri finds the Chor with one guess',
+    sipahiGuesses: 'The Sipahi hunts the Chor, the Mantri always scores',
+    doubleGuess: 'Guessers get a second guess after a miss',
+    scoreSwap: 'A miss hands the guesser\'s points to the Chor',
+};
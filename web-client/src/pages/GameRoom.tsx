@@ -5,12 +5,32 @@ import { useAuth } from "../context/AuthContext"
 import { Button } from "../components/Button"
 import { Card } from "../components/Card"
 import GameCard from "../components/GameCard"
+import { CARD_ICONS, type CardRole } from "../lib/cards"
+import { VARIANT_LABELS, VARIANT_DESCRIPTIONS, type RuleVariant } from "../lib/variants"
+import { EMOTES, EMOTE_LABELS, type Emote } from "../lib/emotes"
 import Timer from "../components/Timer"
+import { InviteFriendsModal } from "../components/InviteFriendsModal"
+import { ChatPanel } from "../components/ChatPanel"
+import { ModerationPanel } from "../components/ModerationPanel"
 
 interface Player {
     id: string;
     name: string;
     isCreator: boolean;
+    connected?: boolean;
+    isBot?: boolean;
+    botDifficulty?: BotDifficulty | null;
+}
+
+type BotDifficulty = 'easy' | 'hard';
+
+// A player who must guess this round (Mantri hunts the Chor, Senapati hunts the Daku)
+interface Guesser {
+    playerId: string;
+    role: CardRole;
+    targetRole: CardRole;
+    hasGuessed: boolean;
+    guessesLeft: number;
 }
 
 interface GameState {
@@ -20,8 +40,51 @@ interface GameState {
     players: Player[];
     scores: Record<string, number>;
     mantriPlayer: string | null;
+    guessers?: Guesser[];
+    seedHash?: string | null;
 }
 
+// Per-player state the server sends when (re)joining a room mid-game
+interface GameSnapshot extends GameState {
+    phase: 'waiting' | 'countdown' | 'guessing' | 'reveal' | 'finished';
+    isPaused: boolean;
+    pauseTimeRemaining: number | null;
+    serverTime: number;
+    deadlines: {
+        gameStartsAt: number | null;
+        roundEndsAt: number | null;
+        nextRoundAt: number | null;
+    };
+    yourCard: string | null;
+    revealedCards: Record<string, string>;
+    results: unknown;
+    spectatorCards?: Record<string, string> | null;
+}
+
+interface RoomSettings {
+    maxRounds: number;
+    roundTimer: number;
+    gameStartCountdown: number;
+    nextRoundCountdown: number;
+    variant: RuleVariant;
+    spectatorCardDelay: number | null;
+    points: Record<string, number>;
+}
+
+// An emote floating over a player's card
+interface EmoteBubble {
+    key: string;
+    playerId: string;
+    emote: Emote;
+}
+
+// How long an emote bubble stays on screen (matches the emote-float animation)
+const EMOTE_BUBBLE_MS = 2500;
+
+// Whole seconds left until a server deadline, measured on the server's clock
+const secondsUntil = (deadline: number | null, serverTime: number) =>
+    deadline ? Math.max(Math.ceil((deadline - serverTime) / 1000), 0) : null;
+
 const GameRoom = () => {
     const navigate = useNavigate();
     const { socket } = useSocket();
@@ -35,30 +98,77 @@ const GameRoom = () => {
     const [results, setResults] = useState<any>(null);
     const [revealedCards, setRevealedCards] = useState<Record<string, string>>({});
 
+    // Spectators get a read-only view, plus every card if the room reveals them
+    const [isSpectator, setIsSpectator] = useState(false);
+    const [spectatorCards, setSpectatorCards] = useState<Record<string, string>>({});
+
     // Timer states
     const [gameStartCountdown, setGameStartCountdown] = useState<number | null>(null);
     const [roundTimeRemaining, setRoundTimeRemaining] = useState<number | null>(null);
     const [nextRoundCountdown, setNextRoundCountdown] = useState<number | null>(null);
 
+    const [isInviteModalOpen, setIsInviteModalOpen] = useState(false);
+
+    // Reactions shown next to their senders for EMOTE_BUBBLE_MS
+    const [emoteBubbles, setEmoteBubbles] = useState<EmoteBubble[]>([]);
+
+    // Pause state
+    const [isPaused, setIsPaused] = useState(false);
+    const [pauseVotes, setPauseVotes] = useState<{ type: string; votes: number; required: number } | null>(null);
+
+    // Restore the board (card, timers, reveals, results) from a server snapshot
+    const hydrateSnapshot = useCallback((snapshot: GameSnapshot) => {
+        const { phase, deadlines, serverTime } = snapshot;
+
+        setGameState(snapshot);
+        setMyCard(snapshot.yourCard);
+        setRevealedCards(snapshot.revealedCards);
+        setSpectatorCards(snapshot.spectatorCards ?? {});
+        setGameStartCountdown(phase === 'countdown' ? secondsUntil(deadlines.gameStartsAt, serverTime) : null);
+        setRoundTimeRemaining(phase === 'guessing' ? secondsUntil(deadlines.roundEndsAt, serverTime) : null);
+        setNextRoundCountdown(phase === 'reveal' ? secondsUntil(deadlines.nextRoundAt, serverTime) : null);
+        setIsPaused(snapshot.isPaused);
+
+        // Paused timers have no deadline, show the frozen remaining time instead
+        if (snapshot.isPaused && snapshot.pauseTimeRemaining !== null) {
+            const frozen = Math.ceil(snapshot.pauseTimeRemaining / 1000);
+            if (phase === 'guessing') setRoundTimeRemaining(frozen);
+            if (phase === 'reveal') setNextRoundCountdown(frozen);
+        }
+
+        if (snapshot.results) {
+            setResults(snapshot.results);
+            setShowResults(true);
+        }
+    }, []);
+
     // Fetch initial room state
     useEffect(() => {
         if (socket) {
             socket.emit('getRoomState', (response: any) => {
                 if (response.success) {
                     setRoom(response.room);
-                    setGameState(response.gameState);
+                    setIsSpectator(!!response.spectating);
+                    if (response.snapshot) {
+                        hydrateSnapshot(response.snapshot);
+                    } else {
+                        setGameState(response.gameState);
+                    }
                 } else {
                     // Not in a room, go back to lobby
                     navigate('/');
                 }
             });
         }
-    }, [socket, navigate]);
+    }, [socket, navigate, hydrateSnapshot]);
 
     // Socket event listeners
     useEffect(() => {
         if (!socket) return;
 
+        // Pending emote bubble removals, cleared with the listeners
+        const emoteTimers = new Set<ReturnType<typeof setTimeout>>();
+
         // Player joined
         socket.on('playerJoined', ({ room: updatedRoom }) => {
             setRoom(updatedRoom);
@@ -67,20 +177,88 @@ const GameRoom = () => {
         // Player left
         socket.on('playerLeft', ({ room: updatedRoom }) => {
             setRoom(updatedRoom);
-            if (updatedRoom.players.length < 4 && gameState?.state === 'playing') {
+            if (updatedRoom.players.length < updatedRoom.maxPlayers && gameState?.state === 'playing') {
                 // Game force ended
                 setGameState(prev => prev ? { ...prev, state: 'finished' } : null);
             }
         });
 
+        // The creator muted or unmuted someone in the chat
+        socket.on('chatMuteUpdated', ({ room: updatedRoom }) => {
+            setRoom(updatedRoom);
+        });
+
+        // The creator removed us: back to the lobby, which tells us why
+        socket.on('removedFromRoom', ({ message }) => {
+            navigate('/', { state: { notice: message } });
+        });
+
+        // The creator handed the room over, locked it or lifted a ban
+        socket.on('hostTransferred', ({ room: updatedRoom }) => {
+            setRoom(updatedRoom);
+        });
+
+        socket.on('roomLockUpdated', ({ room: updatedRoom }) => {
+            setRoom(updatedRoom);
+        });
+
+        socket.on('roomBansUpdated', ({ room: updatedRoom }) => {
+            setRoom(updatedRoom);
+        });
+
+        // Spectators came or went
+        socket.on('spectatorJoined', ({ room: updatedRoom }) => {
+            setRoom(updatedRoom);
+        });
+
+        socket.on('spectatorLeft', ({ room: updatedRoom }) => {
+            setRoom(updatedRoom);
+        });
+
+        // Every card of the current deal (spectators only, after the room's delay)
+        socket.on('spectatorCards', ({ cards }) => {
+            setSpectatorCards(cards);
+        });
+
+        // Creator changed the room rules
+        socket.on('roomSettingsUpdated', ({ room: updatedRoom, settings }) => {
+            setRoom(updatedRoom);
+            setGameState(prev => prev ? { ...prev, maxRounds: settings.maxRounds } : null);
+        });
+
+        // Player lost connection (seat is held for the grace period)
+        socket.on('playerDisconnected', ({ room: updatedRoom }) => {
+            setRoom(updatedRoom);
+        });
+
+        // Player came back within the grace period
+        socket.on('playerReconnected', ({ room: updatedRoom }) => {
+            setRoom(updatedRoom);
+        });
+
+        // We reconnected and were put back in the room
+        socket.on('rejoinedRoom', ({ room: updatedRoom, gameState: updatedGameState, snapshot }) => {
+            setRoom(updatedRoom);
+            if (snapshot) {
+                hydrateSnapshot(snapshot);
+            } else {
+                setGameState(updatedGameState);
+            }
+        });
+
         // Game start countdown (5 seconds)
         socket.on('gameStartCountdown', ({ countdown }) => {
             setGameStartCountdown(countdown);
         });
 
+        // A seat emptied during the countdown: back to waiting for players
+        socket.on('gameStartCancelled', () => {
+            setGameStartCountdown(null);
+        });
+
         // Game actually started (after countdown)
-        socket.on('gameActuallyStarted', ({ currentRound, mantriPlayer }) => {
-            setGameState(prev => prev ? { ...prev, currentRound, mantriPlayer } : null);
+        socket.on('gameActuallyStarted', ({ currentRound, mantriPlayer, guessers, seedHash }) => {
+            setGameState(prev => prev ? { ...prev, currentRound, mantriPlayer, guessers, seedHash } : null);
             setGameStartCountdown(null);
             setShowResults(false);
             setRevealedCards({});
@@ -91,7 +269,7 @@ const GameRoom = () => {
             setRoundTimeRemaining(timeRemaining);
         });
 
-        // Round timeout (Mantri failed to guess)
+        // Round timeout (not every guesser guessed in time)
         socket.on('roundTimeout', ({ totalScores, cards }) => {
             setRevealedCards(cards);
             setGameState(prev => prev ? { ...prev, scores: totalScores } : null);
@@ -103,7 +281,26 @@ const GameRoom = () => {
             setMyCard(card);
         });
 
-        // Guess result
+        // A guesser locked in their guess (outcome hidden until the round ends)
+        socket.on('guessRecorded', ({ guesserId, guessesLeft }) => {
+            setGameState(prev => prev ? {
+                ...prev,
+                guessers: prev.guessers?.map(g => g.playerId === guesserId ? { ...g, guessesLeft, hasGuessed: guessesLeft === 0 } : g)
+            } : null);
+        });
+
+        // Someone reacted while the guessers hunt
+        socket.on('emoteSent', ({ playerId, emote, sentAt }) => {
+            const key = `${playerId}-${sentAt}`;
+            setEmoteBubbles(prev => [...prev, { key, playerId, emote }]);
+            const timer = setTimeout(() => {
+                emoteTimers.delete(timer);
+                setEmoteBubbles(prev => prev.filter(bubble => bubble.key !== key));
+            }, EMOTE_BUBBLE_MS);
+            emoteTimers.add(timer);
+        });
+
+        // Guess result (every guesser has guessed)
         socket.on('guessResult', ({ totalScores, cards }) => {
             setRevealedCards(cards);
             setGameState(prev => prev ? { ...prev, scores: totalScores } : null);
@@ -116,20 +313,39 @@ const GameRoom = () => {
         });
 
         // Next round actually started (after countdown)
-        socket.on('nextRoundActuallyStarted', ({ currentRound, mantriPlayer }) => {
-            setGameState(prev => prev ? { ...prev, currentRound, mantriPlayer } : null);
+        socket.on('nextRoundActuallyStarted', ({ currentRound, mantriPlayer, guessers }) => {
+            setGameState(prev => prev ? { ...prev, currentRound, mantriPlayer, guessers } : null);
             setMyCard(null);
             setSelectedPlayer(null);
             setRevealedCards({});
+            setSpectatorCards({});
             setNextRoundCountdown(null);
         });
 
 
 
+        // Game paused (timers frozen)
+        socket.on('gamePaused', () => {
+            setIsPaused(true);
+            setPauseVotes(null);
+        });
+
+        // Game resumed (timer updates continue from the server)
+        socket.on('gameResumed', () => {
+            setIsPaused(false);
+            setPauseVotes(null);
+        });
+
+        // Someone voted to pause/resume
+        socket.on('pauseVoteUpdate', ({ type, votes, required }) => {
+            setPauseVotes({ type, votes, required });
+        });
+
         // Game finished
         socket.on('gameFinished', ({ results: gameResults }) => {
-            setResults(gameResults.results);
+            setResults(gameResults);
             setShowResults(true);
+            setIsPaused(false);
             setGameState(prev => prev ? { ...prev, state: 'finished' } : null);
         });
 
@@ -137,6 +353,7 @@ const GameRoom = () => {
         socket.on('gameForceEnded', ({ reason, results: gameResults }) => {
             setResults(gameResults);
             setShowResults(true);
+            setIsPaused(false);
             setGameState(prev => prev ? { ...prev, state: 'finished' } : null);
             alert(`Game ended: ${reason}`);
         });
@@ -154,19 +371,41 @@ const GameRoom = () => {
         return () => {
             socket.off('playerJoined');
             socket.off('playerLeft');
+            socket.off('chatMuteUpdated');
+            socket.off('removedFromRoom');
+            socket.off('hostTransferred');
+            socket.off('roomLockUpdated');
+            socket.off('roomBansUpdated');
+            socket.off('spectatorJoined');
+            socket.off('spectatorLeft');
+            socket.off('spectatorCards');
+            socket.off('roomSettingsUpdated');
+            socket.off('playerDisconnected');
+            socket.off('playerReconnected');
+            socket.off('rejoinedRoom');
             socket.off('gameStartCountdown');
+            socket.off('gameStartCancelled');
             socket.off('gameActuallyStarted');
             socket.off('roundTimerUpdate');
             socket.off('roundTimeout');
             socket.off('yourCard');
+            socket.off('guessRecorded');
+            socket.off('emoteSent');
             socket.off('guessResult');
             socket.off('nextRoundCountdown');
             socket.off('nextRoundActuallyStarted');
+            socket.off('gamePaused');
+            socket.off('gameResumed');
+            socket.off('pauseVoteUpdate');
             socket.off('gameFinished');
             socket.off('gameForceEnded');
             socket.off('gameReset');
+
+            // Bubbles whose removal was pending would otherwise stay up
+            emoteTimers.forEach(timer => clearTimeout(timer));
+            setEmoteBubbles([]);
         };
-    }, [socket, gameState?.state]);
+    }, [socket, gameState?.state, hydrateSnapshot, navigate]);
 
     const handleStartGame = useCallback(() => {
         if (!socket) return;
@@ -182,6 +421,10 @@ const GameRoom = () => {
         socket.emit('makeGuess', { guessedPlayerId: selectedPlayer }, (response: any) => {
             if (!response.success) {
                 alert(response.error);
+            } else if (response.guessesLeft > 0) {
+                // Missed, but the variant allows another try
+                setSelectedPlayer(null);
+                alert(`Wrong guess! ${response.guessesLeft} guess(es) left`);
             }
         });
     }, [socket, selectedPlayer]);
@@ -195,6 +438,42 @@ const GameRoom = () => {
         });
     }, [socket]);
 
+    const handleTogglePause = useCallback(() => {
+        if (!socket) return;
+        socket.emit(isPaused ? 'resumeGame' : 'pauseGame', (response: { success: boolean; error?: string }) => {
+            if (!response.success) {
+                alert(response.error);
+            }
+        });
+    }, [socket, isPaused]);
+
+    const handleUpdateSettings = useCallback((settings: Partial<RoomSettings>) => {
+        if (!socket) return;
+        socket.emit('updateRoomSettings', { settings }, (response: { success: boolean; error?: string }) => {
+            if (!response.success) {
+                alert(response.error);
+            }
+        });
+    }, [socket]);
+
+    const handleAddBot = useCallback((difficulty: BotDifficulty) => {
+        if (!socket) return;
+        socket.emit('addBot', { difficulty }, (response: { success: boolean; error?: string }) => {
+            if (!response.success) {
+                alert(response.error);
+            }
+        });
+    }, [socket]);
+
+    const handleRemoveBot = useCallback((botId: string) => {
+        if (!socket) return;
+        socket.emit('removeBot', { botId }, (response: { success: boolean; error?: string }) => {
+            if (!response.success) {
+                alert(response.error);
+            }
+        });
+    }, [socket]);
+
     const handlePlayAgain = useCallback((accepted: boolean) => {
         if (!socket) return;
         socket.emit('playAgainResponse', { accepted }, (response: any) => {
@@ -204,19 +483,77 @@ const GameRoom = () => {
         });
     }, [socket]);
 
+    const handleMute = useCallback((targetId: string, muted: boolean) => {
+        if (!socket) return;
+        socket.emit(muted ? 'muteUser' : 'unmuteUser', { targetId }, (response: { success: boolean; error?: string }) => {
+            if (!response.success) {
+                alert(response.error);
+            }
+        });
+    }, [socket]);
+
+    const handleKick = useCallback((targetId: string, ban: boolean) => {
+        if (!socket) return;
+        if (ban && !window.confirm('Ban this user? They will not be able to join or watch this room again.')) return;
+        socket.emit('kickPlayer', { targetId, ban }, (response: { success: boolean; error?: string }) => {
+            if (!response.success) {
+                alert(response.error);
+            }
+        });
+    }, [socket]);
+
+    const handleUnban = useCallback((targetId: string) => {
+        if (!socket) return;
+        socket.emit('unbanPlayer', { targetId }, (response: { success: boolean; error?: string }) => {
+            if (!response.success) {
+                alert(response.error);
+            }
+        });
+    }, [socket]);
+
+    const handleTransferHost = useCallback((targetId: string) => {
+        if (!socket) return;
+        socket.emit('transferHost', { targetId }, (response: { success: boolean; error?: string }) => {
+            if (!response.success) {
+                alert(response.error);
+            }
+        });
+    }, [socket]);
+
+    const handleToggleLock = useCallback(() => {
+        if (!socket || !room) return;
+        socket.emit('lockRoom', { locked: !room.isLocked }, (response: { success: boolean; error?: string }) => {
+            if (!response.success) {
+                alert(response.error);
+            }
+        });
+    }, [socket, room]);
+
+    const handleEmote = useCallback((emote: Emote) => {
+        if (!socket) return;
+        // Throttling errors need no alert, the bubble simply does not appear
+        socket.emit('sendEmote', { emote }, () => {});
+    }, [socket]);
+
     const handleLeaveRoom = useCallback(() => {
         if (!socket) return;
-        socket.emit('leaveRoom', (response: any) => {
+        socket.emit(isSpectator ? 'stopSpectating' : 'leaveRoom', (response: any) => {
             if (response.success) {
                 navigate('/');
             }
         });
-    }, [socket, navigate]);
+    }, [socket, navigate, isSpectator]);
 
     const isCreator = room?.players.find((p: Player) => p.id === user?.id)?.isCreator;
-    const canStartGame = isCreator && room?.players.length === 4 && gameState?.state !== 'playing';
-    const isMantri = user?.id === gameState?.mantriPlayer;
+    const requiredPlayers: number = room?.maxPlayers ?? 4;
+    const canStartGame = isCreator && room?.players.length === requiredPlayers && gameState?.state !== 'playing';
     const hasGuessed = Object.keys(revealedCards).length > 0;
+    const guessers = gameState?.guessers ?? [];
+    const myGuesser = guessers.find(g => g.playerId === user?.id);
+    const guesserFor = (playerId: string) => guessers.find(g => g.playerId === playerId);
+    const canGuess = !!myGuesser && !myGuesser.hasGuessed && !hasGuessed && gameState?.state === 'playing';
+    const settings: RoomSettings | undefined = room?.settings;
+    const canEmote = !isSpectator && gameState?.state === 'playing' && roundTimeRemaining !== null && !hasGuessed && !isPaused;
 
     if (!room || !gameState) {
         return (
@@ -232,15 +569,31 @@ const GameRoom = () => {
             {gameStartCountdown !== null && (
                 <Timer
                     timeRemaining={gameStartCountdown}
-                    totalTime={5}
+                    totalTime={settings?.gameStartCountdown ?? 5}
                     type="gameStart"
                 />
             )}
 
-            {nextRoundCountdown !== null && (
+            {isPaused && (
+                <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/70 backdrop-blur-sm">
+                    <Card className="text-center p-8 space-y-6">
+                        <h2 className="text-4xl font-bold text-white">⏸️ Game Paused</h2>
+                        {pauseVotes?.type === 'resume' && (
+                            <p className="text-gray-400">
+                                {pauseVotes.votes}/{pauseVotes.required} votes to resume
+                            </p>
+                        )}
+                        <Button variant="primary" size="lg" onClick={handleTogglePause}>
+                            {isCreator ? 'Resume' : 'Vote to Resume'}
+                        </Button>
+                    </Card>
+                </div>
+            )}
+
+            {nextRoundCountdown !== null && !isPaused && (
                 <Timer
                     timeRemaining={nextRoundCountdown}
-                    totalTime={5}
+                    totalTime={settings?.nextRoundCountdown ?? 5}
                     type="nextRound"
                 />
             )}
@@ -252,7 +605,14 @@ const GameRoom = () => {
                         <h1 className="text-2xl font-bold text-white">Room {room.roomId}</h1>
                         <p className="text-gray-400">
                             Round {gameState.currentRound}/{gameState.maxRounds}
+                            {room.spectatorCount > 0 && ` · 👁 ${room.spectatorCount} watching`}
+                            {room.isLocked && ' · 🔒 Locked'}
                         </p>
+                        {gameState.seedHash && (
+                            <p className="text-xs text-gray-500 font-mono" title={gameState.seedHash}>
+                                Seed hash {gameState.seedHash.slice(0, 16)}…
+                            </p>
+                        )}
                     </div>
 
                     <div className="flex items-center gap-4">
@@ -260,11 +620,25 @@ const GameRoom = () => {
                         {roundTimeRemaining !== null && gameState.state === 'playing' && (
                             <Timer
                                 timeRemaining={roundTimeRemaining}
-                                totalTime={30}
+                                totalTime={settings?.roundTimer ?? 30}
                                 type="round"
                             />
                         )}
 
+                        {isSpectator && (
+                            <div className="px-3 py-1 rounded-full text-sm font-semibold bg-cyan-500/20 text-cyan-400">
+                                👁 Spectating
+                            </div>
+                        )}
+
+                        {gameState.state === 'playing' && !isPaused && !isSpectator && (
+                            <Button variant="secondary" size="sm" onClick={handleTogglePause}>
+                                {isCreator
+                                    ? 'Pause'
+                                    : `Vote Pause${pauseVotes?.type === 'pause' ? ` (${pauseVotes.votes}/${pauseVotes.required})` : ''}`}
+                            </Button>
+                        )}
+
                         <div className={`px-3 py-1 rounded-full text-sm font-semibold ${gameState.state === 'waiting' ? 'bg-yellow-500/20 text-yellow-400' :
                             gameState.state === 'playing' ? 'bg-green-500/20 text-green-400' :
                                 'bg-gray-500/20 text-gray-400'
@@ -273,7 +647,7 @@ const GameRoom = () => {
                         </div>
 
                         <Button variant="danger" size="sm" onClick={handleLeaveRoom}>
-                            Leave Room
+                            {isSpectator ? 'Stop Watching' : 'Leave Room'}
                         </Button>
                     </div>
                 </div>
@@ -286,31 +660,98 @@ const GameRoom = () => {
                     {room.players.map((player: Player) => (
                         <Card
                             key={player.id}
-                            className={`${selectedPlayer === player.id ? 'ring-2 ring-indigo-500' : ''
-                                } ${isMantri && gameState.state === 'playing' && !hasGuessed && player.id !== user?.id
+                            className={`relative ${selectedPlayer === player.id ? 'ring-2 ring-indigo-500' : ''
+                                } ${canGuess && player.id !== user?.id
                                     ? 'cursor-pointer hover:ring-2 hover:ring-purple-500'
                                     : ''
                                 }`}
                             onClick={() => {
-                                if (isMantri && gameState.state === 'playing' && !hasGuessed && player.id !== user?.id) {
+                                if (canGuess && player.id !== user?.id) {
                                     setSelectedPlayer(player.id);
                                 }
                             }}
                         >
+                            {emoteBubbles.filter(bubble => bubble.playerId === player.id).map(bubble => (
+                                <div
+                                    key={bubble.key}
+                                    className="absolute left-1/2 -top-4 z-10 px-3 py-1 rounded-full bg-white text-gray-900 text-sm font-semibold shadow-lg whitespace-nowrap pointer-events-none animate-emote-float"
+                                >
+                                    {EMOTE_LABELS[bubble.emote] ?? bubble.emote}
+                                </div>
+                            ))}
+
                             <div className="space-y-3">
                                 <div className="flex items-center justify-between">
                                     <h3 className="text-lg font-bold text-white">{player.name}</h3>
                                     {player.isCreator && (
                                         <span className="text-yellow-400 text-xs">👑 Creator</span>
                                     )}
+                                    {player.isBot && (
+                                        <span className="text-cyan-400 text-xs">🤖 {player.botDifficulty === 'hard' ? 'Hard' : 'Easy'} Bot</span>
+                                    )}
                                 </div>
 
                                 <div className="text-3xl font-bold text-indigo-400">
                                     {gameState.scores[player.id] || 0}
                                 </div>
 
-                                {player.id === gameState.mantriPlayer && gameState.state === 'playing' && (
-                                    <div className="text-sm text-blue-400">🎓 Mantri</div>
+                                {guesserFor(player.id) && gameState.state === 'playing' && (
+                                    <div className="text-sm text-blue-400">
+                                        {CARD_ICONS[guesserFor(player.id)!.role]} {guesserFor(player.id)?.role}
+                                        {guesserFor(player.id)?.hasGuessed && !hasGuessed && ' · guessed'}
+                                    </div>
+                                )}
+
+                                {player.isBot && isCreator && gameState.state === 'waiting' && (
+                                    <Button
+                                        variant="ghost"
+                                        size="sm"
+                                        onClick={(e) => {
+                                            e.stopPropagation();
+                                            handleRemoveBot(player.id);
+                                        }}
+                                    >
+                                        Remove Bot
+                                    </Button>
+                                )}
+
+                                {!player.isBot && isCreator && player.id !== user?.id && (
+                                    <div className="flex flex-wrap gap-1">
+                                        <Button
+                                            variant="ghost"
+                                            size="sm"
+                                            onClick={(e) => {
+                                                e.stopPropagation();
+                                                handleTransferHost(player.id);
+                                            }}
+                                        >
+                                            Make Host
+                                        </Button>
+                                        <Button
+                                            variant="ghost"
+                                            size="sm"
+                                            onClick={(e) => {
+                                                e.stopPropagation();
+                                                handleKick(player.id, false);
+                                            }}
+                                        >
+                                            Kick
+                                        </Button>
+                                        <Button
+                                            variant="ghost"
+                                            size="sm"
+                                            onClick={(e) => {
+                                                e.stopPropagation();
+                                                handleKick(player.id, true);
+                                            }}
+                                        >
+                                            Ban
+                                        </Button>
+                                    </div>
+                                )}
+
+                                {player.connected === false && (
+                                    <div className="text-sm text-orange-400 animate-pulse">📡 Reconnecting...</div>
                                 )}
 
                                 {/* Show own card to self */}
@@ -320,27 +761,129 @@ const GameRoom = () => {
                                     </div>
                                 )}
 
-                                {/* Show Mantri card to EVERYONE (as per game rules) */}
-                                {player.id === gameState.mantriPlayer && gameState.state === 'playing' && player.id !== user?.id && myCard && (
+                                {/* Show guesser cards (Mantri, Senapati) to EVERYONE (as per game rules) */}
+                                {guesserFor(player.id) && gameState.state === 'playing' && player.id !== user?.id && myCard && (
                                     <div className="mt-2">
-                                        <GameCard card={'Mantri' as any} isRevealed={true} />
+                                        <GameCard card={guesserFor(player.id)!.role} isRevealed={true} />
                                     </div>
                                 )}
 
                                 {/* Show revealed cards after guess/timeout */}
-                                {revealedCards[player.id] && player.id !== user?.id && player.id !== gameState.mantriPlayer && (
+                                {revealedCards[player.id] && player.id !== user?.id && !guesserFor(player.id) && (
                                     <div className="mt-2">
                                         <GameCard card={revealedCards[player.id] as any} isRevealed={true} />
                                     </div>
                                 )}
+
+                                {/* Spectators see every card once the room's delay has passed */}
+                                {isSpectator && spectatorCards[player.id] && !revealedCards[player.id] && (
+                                    <div className="mt-2">
+                                        <GameCard card={spectatorCards[player.id] as CardRole} isRevealed={true} />
+                                    </div>
+                                )}
                             </div>
                         </Card>
                     ))}
                 </div>
 
+                {/* Emotes (only while the guessers hunt) */}
+                {canEmote && (
+                    <div className="flex flex-wrap justify-center gap-2 mb-8">
+                        {EMOTES.map((emote) => (
+                            <Button key={emote} variant="ghost" size="sm" onClick={() => handleEmote(emote)}>
+                                {EMOTE_LABELS[emote]}
+                            </Button>
+                        ))}
+                    </div>
+                )}
+
                 {/* Game Controls */}
                 <div className="space-y-4">
-                    {gameState.state === 'waiting' && (
+                    {gameState.state === 'waiting' && settings && (
+                        <Card className="p-6">
+                            <h3 className="text-lg font-bold text-white mb-4">Room Rules</h3>
+                            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                                <div>
+                                    <span className="block text-gray-400 mb-1">Rounds</span>
+                                    {isCreator ? (
+                                        <select
+                                            value={settings.maxRounds}
+                                            onChange={(e) => handleUpdateSettings({ maxRounds: parseInt(e.target.value) })}
+                                            className="w-full px-3 py-2 rounded-lg bg-white/5 border border-white/20 text-white"
+                                        >
+                                            {[3, 5, 7, 10].map((rounds) => (
+                                                <option key={rounds} value={rounds}>{rounds}</option>
+                                            ))}
+                                        </select>
+                                    ) : (
+                                        <span className="text-white font-semibold">{settings.maxRounds}</span>
+                                    )}
+                                </div>
+                                <div>
+                                    <span className="block text-gray-400 mb-1">Guess Time</span>
+                                    {isCreator ? (
+                                        <select
+                                            value={settings.roundTimer}
+                                            onChange={(e) => handleUpdateSettings({ roundTimer: parseInt(e.target.value) })}
+                                            className="w-full px-3 py-2 rounded-lg bg-white/5 border border-white/20 text-white"
+                                        >
+                                            {[15, 30, 45, 60].map((seconds) => (
+                                                <option key={seconds} value={seconds}>{seconds}s</option>
+                                            ))}
+                                        </select>
+                                    ) : (
+                                        <span className="text-white font-semibold">{settings.roundTimer}s</span>
+                                    )}
+                                </div>
+                                <div className="col-span-2">
+                                    <span className="block text-gray-400 mb-1">Rules</span>
+                                    {isCreator ? (
+                                        <select
+                                            value={settings.variant}
+                                            onChange={(e) => handleUpdateSettings({ variant: e.target.value as RuleVariant })}
+                                            className="w-full px-3 py-2 rounded-lg bg-white/5 border border-white/20 text-white"
+                                        >
+                                            {(Object.keys(VARIANT_LABELS) as RuleVariant[]).map((variant) => (
+                                                <option key={variant} value={variant}>{VARIANT_LABELS[variant]}</option>
+                                            ))}
+                                        </select>
+                                    ) : (
+                                        <span className="text-white font-semibold">{VARIANT_LABELS[settings.variant]}</span>
+                                    )}
+                                    <span className="block mt-1 text-xs text-gray-400">{VARIANT_DESCRIPTIONS[settings.variant]}</span>
+                                </div>
+                                <div className="col-span-2">
+                                    <span className="block text-gray-400 mb-1">Spectators See Cards</span>
+                                    {isCreator ? (
+                                        <select
+                                            value={settings.spectatorCardDelay ?? ''}
+                                            onChange={(e) => handleUpdateSettings({
+                                                spectatorCardDelay: e.target.value === '' ? null : parseInt(e.target.value)
+                                            })}
+                                            className="w-full px-3 py-2 rounded-lg bg-white/5 border border-white/20 text-white"
+                                        >
+                                            <option value="">Never</option>
+                                            {[0, 10, 30, 60].map((seconds) => (
+                                                <option key={seconds} value={seconds}>{seconds === 0 ? 'Immediately' : `After ${seconds}s`}</option>
+                                            ))}
+                                        </select>
+                                    ) : (
+                                        <span className="text-white font-semibold">
+                                            {settings.spectatorCardDelay === null ? 'Never' : `After ${settings.spectatorCardDelay}s`}
+                                        </span>
+                                    )}
+                                </div>
+                                <div className="col-span-2">
+                                    <span className="block text-gray-400 mb-1">Points</span>
+                                    <span className="text-white font-semibold">
+                                        {Object.entries(settings.points).map(([card, points]) => `${card} ${points}`).join(' · ')}
+                                    </span>
+                                </div>
+                            </div>
+                        </Card>
+                    )}
+
+                    {gameState.state === 'waiting' && !isSpectator && (
                         <Card className="text-center p-8">
                             <h2 className="text-2xl font-bold text-white mb-4">Ready to Start?</h2>
                             <p className="text-gray-400 mb-6">All players are in the room!</p>
@@ -353,15 +896,32 @@ const GameRoom = () => {
                     {gameState.state === 'waiting' && !canStartGame && (
                         <Card className="text-center p-8">
                             <p className="text-gray-400">
-                                Waiting for {4 - room.players.length} more player(s)...
+                                Waiting for {requiredPlayers - room.players.length} more player(s)...
                             </p>
+                            {!isSpectator && (
+                                <div className="flex gap-3 justify-center mt-4">
+                                    <Button variant="secondary" size="sm" onClick={() => setIsInviteModalOpen(true)}>
+                                        Invite Friends
+                                    </Button>
+                                    {isCreator && (
+                                        <>
+                                            <Button variant="secondary" size="sm" onClick={() => handleAddBot('easy')}>
+                                                Add Easy Bot
+                                            </Button>
+                                            <Button variant="secondary" size="sm" onClick={() => handleAddBot('hard')}>
+                                                Add Hard Bot
+                                            </Button>
+                                        </>
+                                    )}
+                                </div>
+                            )}
                         </Card>
                     )}
 
-                    {gameState.state === 'playing' && isMantri && !hasGuessed && (
+                    {canGuess && myGuesser && (
                         <Card className="text-center p-8">
-                            <h2 className="text-2xl font-bold text-white mb-4">You are the Mantri!</h2>
-                            <p className="text-gray-400 mb-6">Select a player you think is the Chor</p>
+                            <h2 className="text-2xl font-bold text-white mb-4">You are the {myGuesser.role}!</h2>
+                            <p className="text-gray-400 mb-6">Select a player you think is the {myGuesser.targetRole}</p>
                             <Button
                                 variant="primary"
                                 size="lg"
@@ -373,9 +933,11 @@ const GameRoom = () => {
                         </Card>
                     )}
 
-                    {gameState.state === 'playing' && !isMantri && !hasGuessed && (
+                    {gameState.state === 'playing' && !canGuess && !hasGuessed && (
                         <Card className="text-center p-8">
-                            <p className="text-gray-400">Waiting for Mantri to make a guess...</p>
+                            <p className="text-gray-400">
+                                Waiting for {guessers.filter(g => !g.hasGuessed).map(g => g.role).join(' and ') || 'Mantri'} to make a guess...
+                            </p>
                         </Card>
                     )}
 
@@ -420,7 +982,22 @@ const GameRoom = () => {
                                 ))}
                             </div>
 
-                            <div className="text-center">
+                            {results.fairness?.serverSeed && (
+                                <details className="mb-8 text-sm text-gray-400">
+                                    <summary className="cursor-pointer">Verify the shuffle</summary>
+                                    <p className="mt-2 break-all">
+                                        Seed hash (shown at the start): <span className="text-white font-mono">{results.fairness.seedHash}</span>
+                                    </p>
+                                    <p className="mt-1 break-all">
+                                        Server seed: <span className="text-white font-mono">{results.fairness.serverSeed}</span>
+                                    </p>
+                                    <p className="mt-1">
+                                        SHA-256 of the seed must match the hash; every round's deal can be re-run from it ({results.fairness.algorithm}).
+                                    </p>
+                                </details>
+                            )}
+
+                            {!isSpectator && <div className="text-center">
                                 <p className="text-gray-400 mb-6">Play again?</p>
                                 <div className="flex gap-4 justify-center">
                                     <Button variant="primary" onClick={() => handlePlayAgain(true)}>
@@ -430,11 +1007,38 @@ const GameRoom = () => {
                                         No
                                     </Button>
                                 </div>
-                            </div>
+                            </div>}
                         </Card>
                     )}
                 </div>
+
+                {isCreator && (
+                    <div className="mt-8">
+                        <ModerationPanel
+                            isLocked={!!room.isLocked}
+                            spectators={room.spectators ?? []}
+                            bannedUsers={room.bannedUsers ?? []}
+                            onToggleLock={handleToggleLock}
+                            onKick={handleKick}
+                            onUnban={handleUnban}
+                        />
+                    </div>
+                )}
+
+                <div className="mt-8">
+                    <ChatPanel
+                        currentUserId={user?.id}
+                        isCreator={!!isCreator}
+                        members={[...room.players, ...(room.spectators ?? [])]}
+                        mutedUsers={room.mutedUsers ?? []}
+                        onMute={handleMute}
+                    />
+                </div>
             </main>
+
+            {isInviteModalOpen && (
+                <InviteFriendsModal onClose={() => setIsInviteModalOpen(false)} />
+            )}
         </div>
     )
 }
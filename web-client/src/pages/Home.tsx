@@ -1,23 +1,57 @@
 import { useState, useEffect } from "react"
-import { useNavigate } from "react-router-dom"
+import { useLocation, useNavigate } from "react-router-dom"
 import { useAuth } from "../context/AuthContext"
 import { useSocket } from "../provider/SocketProvider"
 import { Button } from "../components/Button"
 import { Input } from "../components/Input"
 import { Modal } from "../components/Modal"
 import { Card } from "../components/Card"
+import { FriendsPanel } from "../components/FriendsPanel"
+import { NotificationBell } from "../components/NotificationBell"
+import { VARIANT_LABELS, VARIANT_DESCRIPTIONS, type RuleVariant } from "../lib/variants"
 
 interface Room {
     roomId: string;
     hasPassword: boolean;
+    isLocked?: boolean;
     creatorId: string;
     playerCount: number;
     maxPlayers: number;
     state: string;
 }
 
+interface MatchmakingStatus {
+    playersWaiting: number;
+    estimatedWait: number;
+    waited: number;
+}
+
+const MATCH_REGIONS = [
+    { value: '', label: 'Any region' },
+    { value: 'asia', label: 'Asia' },
+    { value: 'europe', label: 'Europe' },
+    { value: 'americas', label: 'Americas' }
+];
+
+const DEFAULT_MATCH_FORM = {
+    region: '',
+    matchRating: true,
+    allowBots: true
+};
+
+const DEFAULT_CREATE_FORM = {
+    password: '',
+    maxPlayers: 4,
+    settings: {
+        maxRounds: 5,
+        roundTimer: 30,
+        variant: 'classic' as RuleVariant
+    }
+};
+
 const Home = () => {
     const navigate = useNavigate();
+    const location = useLocation();
     const { user, signOut } = useAuth();
     const { socket, isConnected } = useSocket();
 
@@ -26,12 +60,15 @@ const Home = () => {
     const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
     const [isJoinModalOpen, setIsJoinModalOpen] = useState(false);
     const [selectedRoom, setSelectedRoom] = useState<Room | null>(null);
+    const [joinMode, setJoinMode] = useState<'play' | 'spectate'>('play');
 
     // Create room form
-    const [createForm, setCreateForm] = useState({
-        password: '',
-        maxPlayers: 4
-    });
+    const [createForm, setCreateForm] = useState(DEFAULT_CREATE_FORM);
+
+    // Quick play
+    const [isMatchModalOpen, setIsMatchModalOpen] = useState(false);
+    const [matchForm, setMatchForm] = useState(DEFAULT_MATCH_FORM);
+    const [matchStatus, setMatchStatus] = useState<MatchmakingStatus | null>(null);
 
     // Join room form
     const [joinForm, setJoinForm] = useState({
@@ -41,6 +78,9 @@ const Home = () => {
     const [error, setError] = useState('');
     const [isLoading, setIsLoading] = useState(false);
 
+    // Why the user was sent back here (e.g. kicked by a room's creator)
+    const [notice, setNotice] = useState<string | null>((location.state as { notice?: string } | null)?.notice ?? null);
+
     // Fetch rooms on mount
     useEffect(() => {
         if (socket) {
@@ -55,11 +95,37 @@ const Home = () => {
                 setRooms(updatedRooms);
             });
 
+            // Still seated in a room (e.g. the server restarted mid-game): go back to it
+            socket.emit('getRoomState', (response: { success: boolean; spectating?: boolean }) => {
+                if (response.success && !response.spectating) {
+                    navigate('/game-room');
+                }
+            });
+
+            // Quick play: wait updates until a match is found (the game starts right away)
+            socket.on('matchmakingUpdate', (status: MatchmakingStatus) => {
+                setMatchStatus(status);
+            });
+
+            socket.on('matchFound', () => {
+                setMatchStatus(null);
+                setIsMatchModalOpen(false);
+                navigate('/game-room');
+            });
+
+            socket.on('matchmakingCancelled', ({ reason }: { reason: string }) => {
+                setMatchStatus(null);
+                setError(reason);
+            });
+
             return () => {
                 socket.off('roomListUpdated');
+                socket.off('matchmakingUpdate');
+                socket.off('matchFound');
+                socket.off('matchmakingCancelled');
             };
         }
-    }, [socket]);
+    }, [socket, navigate]);
 
     const handleCreateRoom = () => {
         if (!socket) return;
@@ -85,7 +151,8 @@ const Home = () => {
         setIsLoading(true);
         setError('');
 
-        socket.emit('joinRoom', {
+        const event = joinMode === 'spectate' ? 'spectateRoom' : 'joinRoom';
+        socket.emit(event, {
             roomId: selectedRoom.roomId,
             password: joinForm.password
         }, (response: any) => {
@@ -95,18 +162,56 @@ const Home = () => {
                 setIsJoinModalOpen(false);
                 navigate('/game-room');
             } else {
-                setError(response.error || 'Failed to join room');
+                setError(response.error || (joinMode === 'spectate' ? 'Failed to spectate room' : 'Failed to join room'));
+            }
+        });
+    };
+
+    const handleFindMatch = () => {
+        if (!socket) return;
+
+        setIsLoading(true);
+        setError('');
+
+        socket.emit('findMatch', matchForm, (response: { success: boolean; queue?: MatchmakingStatus; error?: string }) => {
+            setIsLoading(false);
+
+            if (response.success && response.queue) {
+                setMatchStatus(response.queue);
+            } else {
+                setError(response.error || 'Failed to start matchmaking');
             }
         });
     };
 
-    const openJoinModal = (room: Room) => {
+    const handleCancelMatchmaking = () => {
+        setIsMatchModalOpen(false);
+        if (!socket || !matchStatus) return;
+
+        setMatchStatus(null);
+        socket.emit('cancelMatchmaking', () => {});
+    };
+
+    const openJoinModal = (room: Room, mode: 'play' | 'spectate' = 'play') => {
         setSelectedRoom(room);
+        setJoinMode(mode);
         setJoinForm({ password: '' });
         setError('');
         setIsJoinModalOpen(true);
     };
 
+    // Friends' rooms may be full or running, so look them up among all rooms
+    const openFriendRoom = (roomId: string, mode: 'play' | 'spectate') => {
+        if (!socket) return;
+
+        socket.emit('getRooms', { filters: {} }, (response: { success: boolean; rooms?: Room[] }) => {
+            const room = response.rooms?.find((r) => r.roomId === roomId);
+            if (room) {
+                openJoinModal(room, mode);
+            }
+        });
+    };
+
     return (
         <div className="min-h-screen bg-gradient-to-br from-[#0a0e27] via-[#141b3d] to-[#0a0e27]">
             {/* Header */}
@@ -125,6 +230,16 @@ const Home = () => {
                                 </span>
                             </div>
 
+                            <Button variant="ghost" size="sm" onClick={() => navigate('/leaderboard')}>
+                                Leaderboard
+                            </Button>
+
+                            <Button variant="ghost" size="sm" onClick={() => navigate('/replays')}>
+                                Replays
+                            </Button>
+
+                            <NotificationBell />
+
                             <div className="text-white px-4 py-2 bg-white/10 rounded-lg">
                                 {user?.username}
                             </div>
@@ -148,78 +263,207 @@ const Home = () => {
                         Create a room or join an existing one to start playing
                     </p>
 
-                    <Button
-                        variant="primary"
-                        size="lg"
-                        onClick={() => {
-                            setCreateForm({ password: '', maxPlayers: 4 });
-                            setError('');
-                            setIsCreateModalOpen(true);
-                        }}
-                        disabled={!isConnected}
-                    >
-                        <svg className="w-5 h-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                        </svg>
-                        Create Room
-                    </Button>
-                </div>
-
-                {/* Rooms List */}
-                <div>
-                    <h3 className="text-2xl font-bold text-white mb-6">Available Rooms</h3>
+                    <div className="flex justify-center gap-4">
+                        <Button
+                            variant="secondary"
+                            size="lg"
+                            onClick={() => {
+                                setError('');
+                                setIsMatchModalOpen(true);
+                            }}
+                            disabled={!isConnected}
+                        >
+                            Quick Play
+                        </Button>
 
-                    {rooms.length === 0 ? (
-                        <Card className="text-center py-12">
-                            <p className="text-gray-400 text-lg">No rooms available. Create one to get started!</p>
-                        </Card>
-                    ) : (
-                        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                            {rooms.map((room) => (
-                                <Card key={room.roomId} className="hover:scale-105">
-                                    <div className="space-y-4">
-                                        <div className="flex items-center justify-between">
-                                            <h4 className="text-xl font-bold text-white">Room {room.roomId}</h4>
-                                            <span className={`px-3 py-1 rounded-full text-xs font-semibold ${room.state === 'waiting' ? 'bg-green-500/20 text-green-400' : 'bg-blue-500/20 text-blue-400'
-                                                }`}>
-                                                {room.state}
-                                            </span>
-                                        </div>
+                        <Button
+                            variant="primary"
+                            size="lg"
+                            onClick={() => {
+                                setCreateForm(DEFAULT_CREATE_FORM);
+                                setError('');
+                                setIsCreateModalOpen(true);
+                            }}
+                            disabled={!isConnected}
+                        >
+                            <svg className="w-5 h-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                            </svg>
+                            Create Room
+                        </Button>
+                    </div>
+                </div>
 
-                                        <div className="space-y-2">
-                                            <div className="flex items-center justify-between text-sm">
-                                                <span className="text-gray-400">Players</span>
-                                                <span className="text-white font-semibold">
-                                                    {room.playerCount}/{room.maxPlayers}
+                {notice && (
+                    <div className="flex items-center justify-between bg-orange-500/10 border border-orange-500/50 rounded-lg p-3 mb-8 text-orange-300 text-sm">
+                        <span>{notice}</span>
+                        <button type="button" className="text-orange-300 hover:text-white" onClick={() => setNotice(null)} aria-label="Dismiss">
+                            ✕
+                        </button>
+                    </div>
+                )}
+
+                <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+                    {/* Rooms List */}
+                    <div className="lg:col-span-3">
+                        <h3 className="text-2xl font-bold text-white mb-6">Available Rooms</h3>
+
+                        {rooms.length === 0 ? (
+                            <Card className="text-center py-12">
+                                <p className="text-gray-400 text-lg">No rooms available. Create one to get started!</p>
+                            </Card>
+                        ) : (
+                            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+                                {rooms.map((room) => (
+                                    <Card key={room.roomId} className="hover:scale-105">
+                                        <div className="space-y-4">
+                                            <div className="flex items-center justify-between">
+                                                <h4 className="text-xl font-bold text-white">Room {room.roomId}</h4>
+                                                <span className={`px-3 py-1 rounded-full text-xs font-semibold ${room.state === 'waiting' ? 'bg-green-500/20 text-green-400' : 'bg-blue-500/20 text-blue-400'
+                                                    }`}>
+                                                    {room.state}
                                                 </span>
                                             </div>
 
-                                            {room.hasPassword && (
-                                                <div className="flex items-center gap-2 text-sm text-yellow-400">
-                                                    <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
-                                                    </svg>
-                                                    Password Protected
+                                            <div className="space-y-2">
+                                                <div className="flex items-center justify-between text-sm">
+                                                    <span className="text-gray-400">Players</span>
+                                                    <span className="text-white font-semibold">
+                                                        {room.playerCount}/{room.maxPlayers}
+                                                    </span>
                                                 </div>
-                                            )}
+
+                                                {room.hasPassword && (
+                                                    <div className="flex items-center gap-2 text-sm text-yellow-400">
+                                                        <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                                                        </svg>
+                                                        Password Protected
+                                                    </div>
+                                                )}
+
+                                                {room.isLocked && (
+                                                    <div className="text-sm text-red-400">🔒 Locked by the creator</div>
+                                                )}
+                                            </div>
+
+                                            <div className="flex gap-2">
+                                                <Button
+                                                    variant="secondary"
+                                                    size="md"
+                                                    className="flex-1"
+                                                    onClick={() => openJoinModal(room)}
+                                                    disabled={room.playerCount >= room.maxPlayers || room.isLocked}
+                                                >
+                                                    Join Room
+                                                </Button>
+                                                <Button
+                                                    variant="ghost"
+                                                    size="md"
+                                                    onClick={() => openJoinModal(room, 'spectate')}
+                                                    disabled={room.isLocked}
+                                                >
+                                                    Spectate
+                                                </Button>
+                                            </div>
                                         </div>
+                                    </Card>
+                                ))}
+                            </div>
+                        )}
+                    </div>
 
-                                        <Button
-                                            variant="secondary"
-                                            size="md"
-                                            className="w-full"
-                                            onClick={() => openJoinModal(room)}
-                                            disabled={room.playerCount >= room.maxPlayers}
-                                        >
-                                            Join Room
-                                        </Button>
-                                    </div>
-                                </Card>
-                            ))}
+                    {/* Friends */}
+                    <div>
+                        <FriendsPanel
+                            onJoin={(roomId) => openFriendRoom(roomId, 'play')}
+                            onSpectate={(roomId) => openFriendRoom(roomId, 'spectate')}
+                        />
+                    </div>
+                </div>
+            </main>
+
+            {/* Quick Play Modal */}
+            <Modal
+                isOpen={isMatchModalOpen}
+                onClose={handleCancelMatchmaking}
+                title="Quick Play"
+            >
+                <div className="space-y-4">
+                    {error && (
+                        <div className="bg-red-500/10 border border-red-500/50 rounded-lg p-3 text-red-400 text-sm">
+                            {error}
                         </div>
                     )}
+
+                    {matchStatus ? (
+                        <div className="text-center space-y-2 py-4">
+                            <p className="text-white text-lg font-semibold">Looking for players...</p>
+                            <p className="text-gray-400 text-sm">
+                                {matchStatus.playersWaiting} player{matchStatus.playersWaiting === 1 ? '' : 's'} in the queue
+                            </p>
+                            <p className="text-gray-400 text-sm">
+                                Waited {matchStatus.waited}s · Estimated wait {matchStatus.estimatedWait}s
+                            </p>
+                        </div>
+                    ) : (
+                        <>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-300 mb-2">
+                                    Region
+                                </label>
+                                <select
+                                    value={matchForm.region}
+                                    onChange={(e) => setMatchForm({ ...matchForm, region: e.target.value })}
+                                    className="w-full px-4 py-3 rounded-lg bg-white/5 backdrop-blur-sm border border-white/20 text-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                                >
+                                    {MATCH_REGIONS.map(({ value, label }) => (
+                                        <option key={value} value={value}>{label}</option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            <label className="flex items-center gap-3 text-sm text-gray-300">
+                                <input
+                                    type="checkbox"
+                                    checked={matchForm.matchRating}
+                                    onChange={(e) => setMatchForm({ ...matchForm, matchRating: e.target.checked })}
+                                />
+                                Match me with players of a similar rating
+                            </label>
+
+                            <label className="flex items-center gap-3 text-sm text-gray-300">
+                                <input
+                                    type="checkbox"
+                                    checked={matchForm.allowBots}
+                                    onChange={(e) => setMatchForm({ ...matchForm, allowBots: e.target.checked })}
+                                />
+                                Fill empty seats with bots if nobody turns up
+                            </label>
+                        </>
+                    )}
+
+                    <div className="flex gap-3 pt-4">
+                        <Button
+                            variant="secondary"
+                            onClick={handleCancelMatchmaking}
+                            className="flex-1"
+                        >
+                            Cancel
+                        </Button>
+                        {!matchStatus && (
+                            <Button
+                                variant="primary"
+                                onClick={handleFindMatch}
+                                isLoading={isLoading}
+                                className="flex-1"
+                            >
+                                Find Match
+                            </Button>
+                        )}
+                    </div>
                 </div>
-            </main>
+            </Modal>
 
             {/* Create Room Modal */}
             <Modal
@@ -251,8 +495,67 @@ const Home = () => {
                             onChange={(e) => setCreateForm({ ...createForm, maxPlayers: parseInt(e.target.value) })}
                             className="w-full px-4 py-3 rounded-lg bg-white/5 backdrop-blur-sm border border-white/20 text-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
                         >
-                            <option value={4}>4 Players</option>
+                            {[4, 5, 6, 7, 8].map((count) => (
+                                <option key={count} value={count}>{count} Players</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-300 mb-2">
+                                Rounds
+                            </label>
+                            <select
+                                value={createForm.settings.maxRounds}
+                                onChange={(e) => setCreateForm({
+                                    ...createForm,
+                                    settings: { ...createForm.settings, maxRounds: parseInt(e.target.value) }
+                                })}
+                                className="w-full px-4 py-3 rounded-lg bg-white/5 backdrop-blur-sm border border-white/20 text-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                            >
+                                {[3, 5, 7, 10].map((rounds) => (
+                                    <option key={rounds} value={rounds}>{rounds} Rounds</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        <div>
+                            <label className="block text-sm font-medium text-gray-300 mb-2">
+                                Guess Time
+                            </label>
+                            <select
+                                value={createForm.settings.roundTimer}
+                                onChange={(e) => setCreateForm({
+                                    ...createForm,
+                                    settings: { ...createForm.settings, roundTimer: parseInt(e.target.value) }
+                                })}
+                                className="w-full px-4 py-3 rounded-lg bg-white/5 backdrop-blur-sm border border-white/20 text-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                            >
+                                {[15, 30, 45, 60].map((seconds) => (
+                                    <option key={seconds} value={seconds}>{seconds} seconds</option>
+                                ))}
+                            </select>
+                        </div>
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">
+                            Rules
+                        </label>
+                        <select
+                            value={createForm.settings.variant}
+                            onChange={(e) => setCreateForm({
+                                ...createForm,
+                                settings: { ...createForm.settings, variant: e.target.value as RuleVariant }
+                            })}
+                            className="w-full px-4 py-3 rounded-lg bg-white/5 backdrop-blur-sm border border-white/20 text-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                        >
+                            {(Object.keys(VARIANT_LABELS) as RuleVariant[]).map((variant) => (
+                                <option key={variant} value={variant}>{VARIANT_LABELS[variant]}</option>
+                            ))}
                         </select>
+                        <p className="mt-1 text-xs text-gray-400">{VARIANT_DESCRIPTIONS[createForm.settings.variant]}</p>
                     </div>
 
                     <div className="flex gap-3 pt-4">
@@ -279,7 +582,7 @@ const Home = () => {
             <Modal
                 isOpen={isJoinModalOpen}
                 onClose={() => setIsJoinModalOpen(false)}
-                title={`Join Room ${selectedRoom?.roomId}`}
+                title={`${joinMode === 'spectate' ? 'Spectate' : 'Join'} Room ${selectedRoom?.roomId}`}
             >
                 <div className="space-y-4">
                     {error && (
@@ -312,7 +615,7 @@ const Home = () => {
                             isLoading={isLoading}
                             className="flex-1"
                         >
-                            Join
+                            {joinMode === 'spectate' ? 'Spectate' : 'Join'}
                         </Button>
                     </div>
                 </div>
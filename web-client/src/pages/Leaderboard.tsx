@@ -0,0 +1,238 @@
+import { useEffect, useState } from "react"
+import { useNavigate } from "react-router-dom"
+import { api } from "../lib/api"
+import { useAuth } from "../context/AuthContext"
+import { Button } from "../components/Button"
+import { Card } from "../components/Card"
+
+interface LeaderboardEntry {
+    _id: string;
+    rank: number;
+    username: string;
+    avatar: string;
+    rating: number;
+    games: number;
+    wins: number;
+    winRate: number;
+    totalScore: number;
+}
+
+interface Pagination {
+    page: number;
+    limit: number;
+    total: number;
+    totalPages: number;
+}
+
+type Scope = 'global' | 'friends';
+type Period = 'all' | 'weekly' | 'monthly';
+type SortBy = 'score' | 'winRate' | 'rating';
+
+const PERIOD_LABELS: Record<Period, string> = {
+    all: 'All Time',
+    weekly: 'This Week',
+    monthly: 'This Month',
+};
+
+const SORT_LABELS: Record<SortBy, string> = {
+    score: 'Total Score',
+    winRate: 'Win Rate',
+    rating: 'Rating',
+};
+
+const Leaderboard = () => {
+    const navigate = useNavigate();
+    const { user } = useAuth();
+
+    const [scope, setScope] = useState<Scope>('global');
+    const [period, setPeriod] = useState<Period>('all');
+    const [sortBy, setSortBy] = useState<SortBy>('score');
+    const [page, setPage] = useState(1);
+
+    const [entries, setEntries] = useState<LeaderboardEntry[]>([]);
+    const [pagination, setPagination] = useState<Pagination | null>(null);
+    const [error, setError] = useState('');
+    const [isLoading, setIsLoading] = useState(true);
+
+    // Fetch whenever the view changes
+    useEffect(() => {
+        let cancelled = false;
+        const path = scope === 'friends' ? '/leaderboard/friends' : '/leaderboard';
+
+        api.get(path, { params: { period, sortBy, page, limit: 20 } })
+            .then((response) => {
+                if (cancelled) return;
+                setEntries(response.data.data.data);
+                setPagination(response.data.data.pagination);
+                setError('');
+            })
+            .catch(() => {
+                if (cancelled) return;
+                setError('Failed to load leaderboard');
+            })
+            .finally(() => {
+                if (!cancelled) setIsLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [scope, period, sortBy, page]);
+
+    // Any filter change goes back to the first page
+    const updateView = (update: () => void) => {
+        update();
+        setPage(1);
+        setIsLoading(true);
+    };
+
+    const formatValue = (entry: LeaderboardEntry) => {
+        switch (sortBy) {
+            case 'winRate':
+                return `${Math.round(entry.winRate * 100)}%`;
+            case 'rating':
+                return entry.rating;
+            default:
+                return entry.totalScore;
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-[#0a0e27] via-[#141b3d] to-[#0a0e27]">
+            {/* Header */}
+            <header className="border-b border-white/10 backdrop-blur-sm bg-white/5">
+                <div className="container mx-auto px-4 py-4">
+                    <div className="flex items-center justify-between">
+                        <h1 className="text-2xl font-bold text-white bg-gradient-to-r from-indigo-400 to-purple-400 bg-clip-text text-transparent">
+                            Leaderboard
+                        </h1>
+
+                        <Button variant="ghost" size="sm" onClick={() => navigate('/')}>
+                            Back to Lobby
+                        </Button>
+                    </div>
+                </div>
+            </header>
+
+            <main className="container mx-auto px-4 py-8 space-y-6">
+                {/* Filters */}
+                <div className="flex flex-wrap items-center gap-4">
+                    <div className="flex gap-2">
+                        {(['global', 'friends'] as Scope[]).map((value) => (
+                            <Button
+                                key={value}
+                                variant={scope === value ? 'primary' : 'secondary'}
+                                size="sm"
+                                onClick={() => updateView(() => setScope(value))}
+                            >
+                                {value === 'global' ? 'Global' : 'Friends'}
+                            </Button>
+                        ))}
+                    </div>
+
+                    <select
+                        value={period}
+                        onChange={(e) => updateView(() => setPeriod(e.target.value as Period))}
+                        className="px-4 py-2 rounded-lg bg-white/5 backdrop-blur-sm border border-white/20 text-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    >
+                        {(Object.keys(PERIOD_LABELS) as Period[]).map((value) => (
+                            <option key={value} value={value}>{PERIOD_LABELS[value]}</option>
+                        ))}
+                    </select>
+
+                    <select
+                        value={sortBy}
+                        onChange={(e) => updateView(() => setSortBy(e.target.value as SortBy))}
+                        className="px-4 py-2 rounded-lg bg-white/5 backdrop-blur-sm border border-white/20 text-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    >
+                        {(Object.keys(SORT_LABELS) as SortBy[]).map((value) => (
+                            <option key={value} value={value}>{SORT_LABELS[value]}</option>
+                        ))}
+                    </select>
+                </div>
+
+                {error && (
+                    <div className="bg-red-500/10 border border-red-500/50 rounded-lg p-3 text-red-400 text-sm">
+                        {error}
+                    </div>
+                )}
+
+                {/* Rankings */}
+                {isLoading ? (
+                    <Card className="text-center py-12">
+                        <p className="text-gray-400 text-lg">Loading...</p>
+                    </Card>
+                ) : entries.length === 0 ? (
+                    <Card className="text-center py-12">
+                        <p className="text-gray-400 text-lg">No ranked players yet. Play a few games to appear here!</p>
+                    </Card>
+                ) : (
+                    <Card className="p-0 overflow-hidden">
+                        <table className="w-full text-left">
+                            <thead className="bg-white/5 text-gray-400 text-sm">
+                                <tr>
+                                    <th className="px-6 py-3">#</th>
+                                    <th className="px-6 py-3">Player</th>
+                                    <th className="px-6 py-3">Games</th>
+                                    <th className="px-6 py-3">Wins</th>
+                                    <th className="px-6 py-3 text-right">{SORT_LABELS[sortBy]}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {entries.map((entry) => (
+                                    <tr
+                                        key={entry._id}
+                                        className={`border-t border-white/10 ${entry._id === user?.id ? 'bg-indigo-500/10' : ''}`}
+                                    >
+                                        <td className="px-6 py-4 text-white font-bold">
+                                            {entry.rank === 1 ? '👑' : entry.rank}
+                                        </td>
+                                        <td className="px-6 py-4 text-white">{entry.username}</td>
+                                        <td className="px-6 py-4 text-gray-400">{entry.games}</td>
+                                        <td className="px-6 py-4 text-gray-400">{entry.wins}</td>
+                                        <td className="px-6 py-4 text-right text-xl font-bold text-indigo-400">
+                                            {formatValue(entry)}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </Card>
+                )}
+
+                {/* Paging */}
+                {pagination && pagination.totalPages > 1 && (
+                    <div className="flex items-center justify-center gap-4">
+                        <Button
+                            variant="secondary"
+                            size="sm"
+                            disabled={page <= 1}
+                            onClick={() => {
+                                setIsLoading(true);
+                                setPage(page - 1);
+                            }}
+                        >
+                            Previous
+                        </Button>
+                        <span className="text-gray-400 text-sm">
+                            Page {pagination.page} of {pagination.totalPages}
+                        </span>
+                        <Button
+                            variant="secondary"
+                            size="sm"
+                            disabled={page >= pagination.totalPages}
+                            onClick={() => {
+                                setIsLoading(true);
+                                setPage(page + 1);
+                            }}
+                        >
+                            Next
+                        </Button>
+                    </div>
+                )}
+            </main>
+        </div>
+    )
+}
+
+export default Leaderboard
@@ -0,0 +1,291 @@
+import { useEffect, useState } from "react"
+import { useNavigate, useParams } from "react-router-dom"
+import { api } from "../lib/api"
+import { useAuth } from "../context/AuthContext"
+import { Button } from "../components/Button"
+import { Card } from "../components/Card"
+import GameCard from "../components/GameCard"
+import type { CardRole } from "../lib/cards"
+import { VARIANT_LABELS, type RuleVariant } from "../lib/variants"
+import { EMOTE_LABELS, type Emote } from "../lib/emotes"
+
+interface ReplayPlayer {
+    playerId: string;
+    name: string;
+    isBot: boolean;
+    score: number;
+    rank: number | null;
+    leftEarly: boolean;
+}
+
+interface ReplayGuess {
+    guesserId: string;
+    role: string;
+    targetRole: string;
+    attempts: string[];
+    guessedAfter: number | null;
+    guessedPlayerId: string | null;
+    isCorrect: boolean;
+}
+
+interface ReplayEmote {
+    playerId: string;
+    emote: Emote;
+    sentAfter: number;
+}
+
+interface ReplayRound {
+    round: number;
+    cards: Record<string, CardRole>;
+    guesses: ReplayGuess[];
+    emotes: ReplayEmote[];
+    timedOut: boolean;
+    roundDuration: number;
+    scores: Record<string, number>;
+    totals: Record<string, number>;
+}
+
+interface GameReplay {
+    _id: string;
+    roomId: string;
+    variant: RuleVariant;
+    endReason: 'completed' | 'forced';
+    endedAt: string;
+    players: ReplayPlayer[];
+    rounds: ReplayRound[];
+}
+
+// How long each round stays on screen while playing back, and the pause before the cards flip
+const ROUND_PLAYBACK_MS = 4000;
+const CARD_FLIP_DELAY_MS = 400;
+
+const formatSeconds = (ms: number) => `${(ms / 1000).toFixed(1)}s`;
+
+const Replay = () => {
+    const navigate = useNavigate();
+    const { gameId } = useParams();
+    const { user } = useAuth();
+
+    const [replay, setReplay] = useState<GameReplay | null>(null);
+    const [error, setError] = useState('');
+
+    // Playback
+    const [roundIndex, setRoundIndex] = useState(0);
+    const [revealedIndex, setRevealedIndex] = useState<number | null>(null);
+    const [isPlaying, setIsPlaying] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        api.get(`/games/${gameId}/replay`)
+            .then((response) => {
+                if (cancelled) return;
+                setReplay(response.data.data);
+                setError('');
+            })
+            .catch((err) => {
+                if (cancelled) return;
+                setError(err.response?.data?.message || 'Failed to load replay');
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [gameId]);
+
+    // Cards go face down on every round change and flip over after a beat
+    useEffect(() => {
+        if (!replay) return;
+        const timerId = setTimeout(() => setRevealedIndex(roundIndex), CARD_FLIP_DELAY_MS);
+        return () => clearTimeout(timerId);
+    }, [replay, roundIndex]);
+
+    // Auto-advance while playing, stopping on the last round
+    useEffect(() => {
+        if (!replay || !isPlaying) return;
+        const timerId = setTimeout(() => {
+            if (roundIndex >= replay.rounds.length - 1) {
+                setIsPlaying(false);
+            } else {
+                setRoundIndex(roundIndex + 1);
+            }
+        }, ROUND_PLAYBACK_MS);
+        return () => clearTimeout(timerId);
+    }, [replay, isPlaying, roundIndex]);
+
+    const goToRound = (index: number) => {
+        if (!replay) return;
+        setRoundIndex(Math.min(Math.max(index, 0), replay.rounds.length - 1));
+    };
+
+    const handleTogglePlay = () => {
+        if (!replay) return;
+        // Playing from the end starts over
+        if (!isPlaying && roundIndex >= replay.rounds.length - 1) {
+            setRoundIndex(0);
+        }
+        setIsPlaying(!isPlaying);
+    };
+
+    const nameOf = (playerId: string | null) =>
+        replay?.players.find((player) => player.playerId === playerId)?.name ?? 'Unknown player';
+
+    const round = replay?.rounds[roundIndex];
+    const isRevealed = revealedIndex === roundIndex;
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-[#0a0e27] via-[#141b3d] to-[#0a0e27]">
+            {/* Header */}
+            <header className="border-b border-white/10 backdrop-blur-sm bg-white/5">
+                <div className="container mx-auto px-4 py-4">
+                    <div className="flex items-center justify-between">
+                        <div>
+                            <h1 className="text-2xl font-bold text-white bg-gradient-to-r from-indigo-400 to-purple-400 bg-clip-text text-transparent">
+                                Replay{replay && ` · Room ${replay.roomId}`}
+                            </h1>
+                            {replay && (
+                                <p className="text-gray-400 text-sm">
+                                    {new Date(replay.endedAt).toLocaleString()} · {VARIANT_LABELS[replay.variant] ?? replay.variant}
+                                    {replay.endReason === 'forced' && ' · ended early'}
+                                </p>
+                            )}
+                        </div>
+
+                        <Button variant="ghost" size="sm" onClick={() => navigate('/replays')}>
+                            All Replays
+                        </Button>
+                    </div>
+                </div>
+            </header>
+
+            <main className="container mx-auto px-4 py-8 space-y-6">
+                {error && (
+                    <div className="bg-red-500/10 border border-red-500/50 rounded-lg p-3 text-red-400 text-sm">
+                        {error}
+                    </div>
+                )}
+
+                {!replay && !error && (
+                    <Card className="text-center py-12">
+                        <p className="text-gray-400 text-lg">Loading...</p>
+                    </Card>
+                )}
+
+                {replay && replay.rounds.length === 0 && (
+                    <Card className="text-center py-12">
+                        <p className="text-gray-400 text-lg">This game ended before the first round was played.</p>
+                    </Card>
+                )}
+
+                {replay && round && (
+                    <>
+                        {/* Controls */}
+                        <Card className="p-6 space-y-4">
+                            <div className="flex items-center justify-between">
+                                <h2 className="text-xl font-bold text-white">
+                                    Round {round.round} of {replay.rounds.length}
+                                </h2>
+                                <div className="flex gap-2">
+                                    <Button variant="secondary" size="sm" onClick={() => goToRound(roundIndex - 1)} disabled={roundIndex === 0}>
+                                        ⏮ Prev
+                                    </Button>
+                                    <Button variant="primary" size="sm" onClick={handleTogglePlay}>
+                                        {isPlaying ? '⏸ Pause' : '▶ Play'}
+                                    </Button>
+                                    <Button variant="secondary" size="sm" onClick={() => goToRound(roundIndex + 1)} disabled={roundIndex >= replay.rounds.length - 1}>
+                                        Next ⏭
+                                    </Button>
+                                </div>
+                            </div>
+                            <input
+                                type="range"
+                                min={0}
+                                max={replay.rounds.length - 1}
+                                value={roundIndex}
+                                onChange={(e) => goToRound(parseInt(e.target.value))}
+                                className="w-full accent-indigo-500"
+                                aria-label="Round"
+                            />
+                        </Card>
+
+                        {/* Table */}
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                            {replay.players.map((player) => {
+                                const card = round.cards[player.playerId];
+                                const delta = round.scores[player.playerId] ?? 0;
+
+                                return (
+                                    <Card
+                                        key={player.playerId}
+                                        className={`p-4 ${player.playerId === user?.id ? 'ring-2 ring-indigo-500' : ''}`}
+                                    >
+                                        <div className="text-center mb-3">
+                                            <p className="text-white font-semibold">
+                                                {player.name}{player.isBot && ' 🤖'}
+                                            </p>
+                                            <p className="text-sm text-gray-400">
+                                                {round.totals[player.playerId] ?? 0} pts
+                                                <span className={`ml-2 ${delta > 0 ? 'text-green-400' : 'text-gray-500'}`}>
+                                                    +{delta}
+                                                </span>
+                                            </p>
+                                        </div>
+                                        {card ? (
+                                            <GameCard card={card} isRevealed={isRevealed} />
+                                        ) : (
+                                            <p className="text-center text-sm text-gray-500">Not dealt in</p>
+                                        )}
+                                    </Card>
+                                );
+                            })}
+                        </div>
+
+                        {/* Guesses */}
+                        <Card className="p-6 space-y-3">
+                            <h3 className="text-lg font-bold text-white">Accusations</h3>
+                            {round.guesses.length === 0 && (
+                                <p className="text-gray-400">Nobody guessed this round.</p>
+                            )}
+                            {round.guesses.map((guess) => (
+                                <div key={guess.guesserId} className="text-gray-300">
+                                    <span className="text-white font-semibold">{nameOf(guess.guesserId)}</span>
+                                    {` (${guess.role}) `}
+                                    {guess.attempts.length === 0 ? (
+                                        <span className="text-yellow-400">ran out of time hunting the {guess.targetRole}</span>
+                                    ) : (
+                                        <>
+                                            accused {guess.attempts.map(nameOf).join(', then ')}
+                                            {guess.guessedAfter !== null && ` after ${formatSeconds(guess.guessedAfter)}`}
+                                            {' — '}
+                                            <span className={guess.isCorrect ? 'text-green-400' : 'text-red-400'}>
+                                                {guess.isCorrect ? `caught the ${guess.targetRole}` : `missed the ${guess.targetRole}`}
+                                            </span>
+                                        </>
+                                    )}
+                                </div>
+                            ))}
+                            {round.emotes?.length > 0 && (
+                                <p className="text-sm text-gray-400">
+                                    Reactions:{' '}
+                                    {round.emotes.map((emote, index) => (
+                                        <span key={index} className="mr-3 whitespace-nowrap">
+                                            <span className="text-white">{nameOf(emote.playerId)}</span>
+                                            {` ${EMOTE_LABELS[emote.emote] ?? emote.emote} at ${formatSeconds(emote.sentAfter)}`}
+                                        </span>
+                                    ))}
+                                </p>
+                            )}
+                            <p className="text-sm text-gray-500">
+                                {round.timedOut
+                                    ? 'The round timer ran out.'
+                                    : `Round finished in ${formatSeconds(round.roundDuration)}.`}
+                            </p>
+                        </Card>
+                    </>
+                )}
+            </main>
+        </div>
+    )
+}
+
+export default Replay
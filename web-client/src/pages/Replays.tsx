@@ -0,0 +1,144 @@
+import { useEffect, useState } from "react"
+import { useNavigate } from "react-router-dom"
+import { api } from "../lib/api"
+import { Button } from "../components/Button"
+import { Card } from "../components/Card"
+import { VARIANT_LABELS, type RuleVariant } from "../lib/variants"
+
+interface MatchSummary {
+    _id: string;
+    roomId: string;
+    result: 'won' | 'lost';
+    score: number;
+    rank: number | null;
+    participants: { name: string; isBot: boolean }[];
+    totalRounds: number;
+    variant: RuleVariant;
+    endReason: 'completed' | 'forced';
+    endedAt: string;
+}
+
+interface Pagination {
+    page: number;
+    limit: number;
+    total: number;
+    totalPages: number;
+}
+
+const Replays = () => {
+    const navigate = useNavigate();
+
+    const [page, setPage] = useState(1);
+    const [matches, setMatches] = useState<MatchSummary[]>([]);
+    const [pagination, setPagination] = useState<Pagination | null>(null);
+    const [error, setError] = useState('');
+    const [isLoading, setIsLoading] = useState(true);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        api.get('/games/history', { params: { page, limit: 10 } })
+            .then((response) => {
+                if (cancelled) return;
+                setMatches(response.data.data.data);
+                setPagination(response.data.data.pagination);
+                setError('');
+            })
+            .catch(() => {
+                if (cancelled) return;
+                setError('Failed to load your games');
+            })
+            .finally(() => {
+                if (!cancelled) setIsLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [page]);
+
+    const changePage = (next: number) => {
+        setIsLoading(true);
+        setPage(next);
+    };
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-[#0a0e27] via-[#141b3d] to-[#0a0e27]">
+            {/* Header */}
+            <header className="border-b border-white/10 backdrop-blur-sm bg-white/5">
+                <div className="container mx-auto px-4 py-4">
+                    <div className="flex items-center justify-between">
+                        <h1 className="text-2xl font-bold text-white bg-gradient-to-r from-indigo-400 to-purple-400 bg-clip-text text-transparent">
+                            Replays
+                        </h1>
+
+                        <Button variant="ghost" size="sm" onClick={() => navigate('/')}>
+                            Back to Lobby
+                        </Button>
+                    </div>
+                </div>
+            </header>
+
+            <main className="container mx-auto px-4 py-8 space-y-6">
+                {error && (
+                    <div className="bg-red-500/10 border border-red-500/50 rounded-lg p-3 text-red-400 text-sm">
+                        {error}
+                    </div>
+                )}
+
+                {isLoading ? (
+                    <Card className="text-center py-12">
+                        <p className="text-gray-400 text-lg">Loading...</p>
+                    </Card>
+                ) : matches.length === 0 ? (
+                    <Card className="text-center py-12">
+                        <p className="text-gray-400 text-lg">No finished games yet. Play one to watch it back here!</p>
+                    </Card>
+                ) : (
+                    <div className="space-y-4">
+                        {matches.map((match) => (
+                            <Card key={match._id} className="flex flex-wrap items-center justify-between gap-4">
+                                <div>
+                                    <p className="text-white font-bold">
+                                        Room {match.roomId}
+                                        <span className={`ml-3 px-3 py-1 rounded-full text-xs font-semibold ${match.result === 'won' ? 'bg-green-500/20 text-green-400' : 'bg-red-500/20 text-red-400'}`}>
+                                            {match.result === 'won' ? 'Won' : 'Lost'}
+                                        </span>
+                                    </p>
+                                    <p className="text-sm text-gray-400 mt-1">
+                                        {new Date(match.endedAt).toLocaleString()} · {match.totalRounds} rounds · {VARIANT_LABELS[match.variant] ?? match.variant}
+                                        {match.endReason === 'forced' && ' · ended early'}
+                                    </p>
+                                    <p className="text-sm text-gray-500 mt-1">
+                                        {match.participants.map((participant) => participant.name).join(', ')}
+                                    </p>
+                                </div>
+
+                                <Button variant="secondary" size="sm" onClick={() => navigate(`/replays/${match._id}`)}>
+                                    Watch Replay
+                                </Button>
+                            </Card>
+                        ))}
+                    </div>
+                )}
+
+                {/* Paging */}
+                {pagination && pagination.totalPages > 1 && (
+                    <div className="flex items-center justify-center gap-4">
+                        <Button variant="secondary" size="sm" disabled={page <= 1} onClick={() => changePage(page - 1)}>
+                            Previous
+                        </Button>
+                        <span className="text-gray-400 text-sm">
+                            Page {pagination.page} of {pagination.totalPages}
+                        </span>
+                        <Button variant="secondary" size="sm" disabled={page >= pagination.totalPages} onClick={() => changePage(page + 1)}>
+                            Next
+                        </Button>
+                    </div>
+                )}
+            </main>
+        </div>
+    )
+}
+
+export default Replays